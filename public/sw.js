@@ -0,0 +1,82 @@
+/**
+ * Service worker: precaches the app shell, serves hashed build files cache first and the rest network first,
+ * and shows order notifications. Paths follow the registration scope; the cache is named after ?build=.
+ */
+
+const BASE = new URL(self.registration.scope).pathname;
+const CACHE = `vp-shell-${new URL(self.location.href).searchParams.get("build") || "dev"}`;
+const SHELL = [BASE, `${BASE}index.html`, `${BASE}manifest.json`, `${BASE}icon.svg`];
+
+async function precache() {
+  const cache = await caches.open(CACHE);
+  await cache.addAll(SHELL);
+  try {
+    // Only production builds have an asset manifest; the dev server is cached as it is used.
+    const manifest = await (await fetch(`${BASE}asset-manifest.json`, { cache: "no-store" })).json();
+    await cache.addAll(manifest.entrypoints.map((path) => `${BASE}${path}`));
+  } catch {
+    // ignore
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("vp-shell-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const isHashedAsset = (url) => url.pathname.startsWith(`${BASE}static/`) && /\.[0-9a-f]{8}\./.test(url.pathname);
+const isStaticFile = (url) => /\.\w+$/.test(url.pathname);
+const isCatalog = (url) => /\/campuses\/[^/]+\/catalog$/.test(url.pathname);
+
+async function cacheFirst(request) {
+  const hit = await caches.match(request);
+  if (hit) return hit;
+  const response = await fetch(request);
+  if (response.ok) (await caches.open(CACHE)).put(request, response.clone());
+  return response;
+}
+
+async function networkFirst(request, fallbackUrl) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) (await caches.open(CACHE)).put(request, response.clone());
+    return response;
+  } catch (e) {
+    const hit = (await caches.match(request)) || (fallbackUrl && (await caches.match(fallbackUrl)));
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === "navigate") event.respondWith(networkFirst(request, `${BASE}index.html`));
+  else if (sameOrigin && isHashedAsset(url)) event.respondWith(cacheFirst(request));
+  // Static files and the catalog may be served stale. API calls (order events, unlock, auth) never are.
+  else if ((sameOrigin && isStaticFile(url)) || isCatalog(url)) event.respondWith(networkFirst(request));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || BASE, self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((w) => new URL(w.url).origin === self.location.origin);
+      if (!open) return self.clients.openWindow(url);
+      return open.focus().then((w) => (w.url === url || !w.navigate ? w : w.navigate(url)));
+    })
+  );
+});
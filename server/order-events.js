@@ -0,0 +1,179 @@
+/**
+ * Local order event server (`npm run events`, see the README): SSE, WebSocket and polling
+ * endpoints under /orders/:id, with plain node http and just enough of RFC 6455 to push text frames.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((a) => {
+    const [k, v] = a.replace(/^--/, "").split("=");
+    return [k, v ?? "true"];
+  })
+);
+
+const PORT = Number(args.port || process.env.PORT || 4001);
+const SCENARIO = args.scenario || "happy";
+const SPEED = Number(args.speed || 1);
+
+// Seconds spent in each status before the next one, roughly what a real lunch order looks like sped up.
+const FLOW = [
+  ["PLACED", 4],
+  ["ACCEPTED", 6],
+  ["PREPARING", 20],
+  ["READY", 5],
+  ["PICKED_UP", 6],
+  ["IN_FLIGHT", 15],
+  ["DELIVERED", null]
+];
+
+const orders = new Map(); // id → events[]
+
+// The Arrive Point compartment an order is dispatched to, stable per order id.
+const compartmentFor = (orderId) => (crypto.createHash("sha1").update(orderId).digest()[0] % 4) + 1;
+
+function timeline(orderId, scheduledFor) {
+  if (!orders.has(orderId)) {
+    let at = Date.now();
+    const events = [];
+    const push = (status) => {
+      const seq = events.length + 1;
+      const event = { id: `${orderId}:${seq}`, orderId, seq, status, at };
+      if (status === "IN_FLIGHT" || status === "DELIVERED") event.compartment = compartmentFor(orderId);
+      events.push(event);
+    };
+    // Scheduled orders start out SCHEDULED and are PLACED when their slot comes up.
+    if (scheduledFor) {
+      at = Math.max(at, scheduledFor);
+      push("PLACED");
+    }
+    for (let i = 1; i < FLOW.length; i++) {
+      at += (FLOW[i - 1][1] * 1000) / SPEED;
+      push(FLOW[i][0]);
+    }
+    orders.set(orderId, events);
+    console.log(`[${SCENARIO}] tracking ${orderId}`);
+  }
+  return orders.get(orderId);
+}
+
+const due = (events, since) => events.filter((e) => e.seq > since && e.at <= Date.now());
+
+/**
+ * Calls send(event) as events fall due, shaped by the scenario.
+ * Returns a stop function. `drop` ends the connection (flaky scenario).
+ */
+function stream(orderId, scheduledFor, since, send, drop) {
+  const events = timeline(orderId, scheduledFor);
+  const sent = new Set();
+  let count = 0;
+
+  const tick = () => {
+    let batch = due(events, since).filter((e) => !sent.has(e.seq));
+    if (SCENARIO === "shuffled" && batch.length) {
+      // Hold each event back until the next one is due, then send both newest first, plus a duplicate.
+      const last = batch[batch.length - 1];
+      if (last.seq < events[events.length - 1].seq && batch.length === 1) return;
+      batch = batch.reverse().concat([batch[batch.length - 1]]);
+    }
+    for (const e of batch) {
+      sent.add(e.seq);
+      send(e);
+      count += 1;
+      if (SCENARIO === "flaky" && count % 2 === 0) {
+        console.log(`[flaky] dropping ${orderId} after seq ${e.seq}`);
+        drop();
+        return;
+      }
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, 250);
+  return () => clearInterval(timer);
+}
+
+function cors(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Accept, Content-Type, Last-Event-ID");
+}
+
+function parse(req) {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const m = url.pathname.match(/^\/orders\/([^/]+)\/(events|ws|history)$/);
+  if (!m) return null;
+  const lastEventId = Number(String(req.headers["last-event-id"] || "").split(":")[1]);
+  const since = Math.max(Number(url.searchParams.get("since")) || 0, lastEventId || 0);
+  const scheduledFor = Number(url.searchParams.get("scheduledFor")) || null;
+  return { orderId: decodeURIComponent(m[1]), kind: m[2], since, scheduledFor };
+}
+
+const server = http.createServer((req, res) => {
+  cors(res);
+  if (req.method === "OPTIONS") return res.writeHead(204).end();
+
+  const route = parse(req);
+  if (!route || route.kind === "ws") return res.writeHead(404).end();
+
+  if (route.kind === "history") {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    return res.end(JSON.stringify(due(timeline(route.orderId, route.scheduledFor), route.since)));
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.write("retry: 2000\n\n");
+  const stop = stream(
+    route.orderId,
+    route.scheduledFor,
+    route.since,
+    (e) => res.write(`id: ${e.id}\nevent: status\ndata: ${JSON.stringify(e)}\n\n`),
+    () => res.end()
+  );
+  const ping = setInterval(() => res.write(": ping\n\n"), 15000);
+  req.on("close", () => {
+    stop();
+    clearInterval(ping);
+  });
+});
+
+function wsFrame(text) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  const header = len < 126 ? Buffer.from([0x81, len]) : Buffer.from([0x81, 126, len >> 8, len & 0xff]);
+  return Buffer.concat([header, payload]);
+}
+
+server.on("upgrade", (req, socket) => {
+  const route = parse(req);
+  const key = req.headers["sec-websocket-key"];
+  if (!route || route.kind !== "ws" || !key) return socket.destroy();
+
+  const accept = crypto.createHash("sha1").update(key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11").digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const stop = stream(
+    route.orderId,
+    route.scheduledFor,
+    route.since,
+    (e) => socket.write(wsFrame(JSON.stringify(e))),
+    () => socket.end(Buffer.from([0x88, 0]))
+  );
+  // Any close frame (opcode 8) from the client ends the connection; other frames are ignored.
+  socket.on("data", (buf) => {
+    if ((buf[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0]));
+  });
+  socket.on("close", stop);
+  socket.on("error", stop);
+});
+
+server.listen(PORT, () => {
+  console.log(`Order event server on http://localhost:${PORT} (scenario: ${SCENARIO}, speed: ${SPEED}x)`);
+});
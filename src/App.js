@@ -1,5 +1,6 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+import React, { useCallback, useEffect, useId, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { motion, AnimatePresence, MotionConfig } from "framer-motion";
 import {
   QrCode,
   ShieldCheck,
@@ -9,75 +10,76 @@ import {
   Lock,
   Phone,
   MapPin,
-  Loader2
+  Loader2,
+  RefreshCw,
+  TriangleAlert,
+  LifeBuoy,
+  Receipt,
+  RotateCcw,
+  Bell,
+  WifiOff,
+  Wrench,
+  Download,
+  Printer,
+  Drone,
+  Footprints
 } from "lucide-react";
+import { ViewportProvider, useViewport } from "./viewport";
+import { Dialog } from "./dialog";
+import { buildPath, currentPath, matchRoute, useHistoryRoute } from "./router";
+import { usePersistentState } from "./storage";
+import { catalogClient, useCatalog } from "./catalog";
+import { authProvider, isOperator, isSessionValid } from "./auth";
+import { AUTH_ERRORS, CREDENTIAL_ERRORS, LOCK_ERRORS, OPERATOR_ERRORS } from "./errors";
+import { formatCountdown, formatDateTime, formatDuration, formatZonedClock, formatZonedClockRange, useNow } from "./time";
+import { dayLabel, deliverySlots, formatHours, useWindowStatus } from "./windows";
+import { isMerchantOpenAt, merchantAvailability } from "./availability";
+import { estimateMinutes, initialEta, isRunningLate, reviseEta } from "./eta";
+import { applyOrderEvent, isFinalStatus, useOrderTracking } from "./orderStream";
+import { canUnlockOrder, isExceptionStatus, orderStatusInfo, orderSteps, pickupDeadline, statusInfo } from "./orderStatus";
+import { compartmentStatus } from "./compartments";
+import { deliveryMode, mapProjection, routePoints, vehiclePosition } from "./flightMap";
+import { CATALOG_KINDS, useDeepLinkReports, useOperatorCatalog } from "./operator";
+import { downloadSvg, posterFilename, posterTargets, renderPoster } from "./posters";
+import { DEEP_LINK_PROBLEMS, readDeepLink, reportInvalidDeepLink, resolveDeepLink } from "./deepLink";
+import { isActiveOrder, orderStore, useOrders } from "./orders";
+import { boardRows, burnInShift, isReadyForPickup, useKioskBoard, useWakeLock } from "./kiosk";
+import {
+  DEFAULT_NOTIFICATION_PREFS,
+  NOTIFY_EVENTS,
+  browserNotificationPermission,
+  requestBrowserNotifications,
+  useOrderNotifications
+} from "./notifications";
+import { prefetchUnlockGrant, useUnlockCredential } from "./unlockCredential";
+import { useOnline } from "./network";
+import { I18nProvider, LOCALES, useI18n } from "./i18n";
+import {
+  COUNTRIES,
+  countryForLocale,
+  findCountry,
+  formatNational,
+  formatPhone,
+  isValidNational,
+  nationalDigits,
+  normalizePhone,
+  toE164
+} from "./phone";
+import { svgDataUrl, useQrDataUrl } from "./qr";
+import { lockController } from "./lockController";
+import { CHECKOUT_STATUS, announceCheckout, arrivePointFromNote, checkoutProvider, useCheckoutSession } from "./checkout";
+import { USE_MOCK_BACKEND } from "./config";
+import ChowNowCheckout from "./mock/ChowNowCheckout";
 import "./style.css";
 
 /**
  * StackBlitz friendly front end (no shadcn).
  * Screens:
- * Landing → Auth → Destination → Merchants → Merchant Detail → Tracking → Unlock
+ * Landing → Auth → Destination → Merchants → Merchant Detail → Checkout → Tracking → Unlock
+ * plus Orders, the operator's Operator and Posters, and the signed-out Kiosk wall display.
  */
 
-// Mock data
-const LOCATIONS = [
-  {
-    id: "vp-launch-fishers",
-    name: "Launch Fishers",
-    subtitle: "Shared pickup",
-    arrivePoints: [
-      { id: "AP-101", label: "AP-101 • Lobby", type: "shared" },
-      { id: "AP-102", label: "AP-102 • Suite Wing", type: "shared" }
-    ]
-  },
-  {
-    id: "vp-building-a",
-    name: "Visionary Park Building A",
-    subtitle: "Private pickup",
-    arrivePoints: [{ id: "AP-201", label: "AP-201 • Main Entrance", type: "private" }]
-  },
-  {
-    id: "vp-building-b",
-    name: "Visionary Park Building B",
-    subtitle: "Private pickup",
-    arrivePoints: [{ id: "AP-301", label: "AP-301 • Mail Room", type: "private" }]
-  }
-];
-
-const MERCHANTS = [
-  {
-    id: "merchant-1",
-    name: "Sushi & Bowls",
-    category: "Asian",
-    etaMins: 28,
-    open: true,
-    chownowUrl: "https://order.chownow.com/placeholders/merchant-1",
-    tags: ["Fresh", "Light", "Popular"]
-  },
-  {
-    id: "merchant-2",
-    name: "Garlic Noodle House",
-    category: "Noodles",
-    etaMins: 32,
-    open: true,
-    chownowUrl: "https://order.chownow.com/placeholders/merchant-2",
-    tags: ["Savory", "Medium spice"]
-  },
-  {
-    id: "merchant-3",
-    name: "Grill & Greens",
-    category: "Bowls",
-    etaMins: 24,
-    open: false,
-    chownowUrl: "https://order.chownow.com/placeholders/merchant-3",
-    tags: ["Protein", "Clean"]
-  }
-];
-
-const WINDOWS = [
-  { id: "lunch", label: "Lunch Window", hours: "11:00 AM to 2:00 PM" },
-  { id: "dinner", label: "Dinner Window", hours: "5:00 PM to 9:00 PM" }
-];
+const EMPTY_CATALOG = { campus: null, locations: [], merchants: [], windows: [] };
 
 const SCREENS = {
   LANDING: "LANDING",
@@ -85,23 +87,95 @@ const SCREENS = {
   DESTINATION: "DESTINATION",
   MERCHANTS: "MERCHANTS",
   MERCHANT_DETAIL: "MERCHANT_DETAIL",
+  CHECKOUT: "CHECKOUT",
+  CHECKOUT_RETURN: "CHECKOUT_RETURN",
+  ORDERS: "ORDERS",
   TRACKING: "TRACKING",
-  UNLOCK: "UNLOCK"
+  UNLOCK: "UNLOCK",
+  OPERATOR: "OPERATOR",
+  POSTERS: "POSTERS"
 };
 
-function formatPhone(raw) {
-  const digits = (raw || "").replace(/\D/g, "").slice(0, 10);
-  const a = digits.slice(0, 3);
-  const b = digits.slice(3, 6);
-  const c = digits.slice(6, 10);
-  if (digits.length <= 3) return a;
-  if (digits.length <= 6) return `(${a}) ${b}`;
-  return `(${a}) ${b}-${c}`;
+const ROUTES = [
+  { screen: SCREENS.LANDING, path: "/" },
+  { screen: SCREENS.AUTH, path: "/sign-in" },
+  { screen: SCREENS.DESTINATION, path: "/destination" },
+  { screen: SCREENS.MERCHANTS, path: "/merchants" },
+  { screen: SCREENS.MERCHANT_DETAIL, path: "/merchants/:merchantId" },
+  { screen: SCREENS.CHECKOUT, path: "/checkout/:sessionId" },
+  { screen: SCREENS.CHECKOUT_RETURN, path: "/checkout/:sessionId/return" },
+  { screen: SCREENS.ORDERS, path: "/orders" },
+  { screen: SCREENS.TRACKING, path: "/orders/:orderId/track" },
+  { screen: SCREENS.UNLOCK, path: "/orders/:orderId/unlock" },
+  { screen: SCREENS.OPERATOR, path: "/operator" },
+  { screen: SCREENS.POSTERS, path: "/operator/posters" }
+];
+
+// Served in place of the merchant's ChowNow checkout when running against the mock backend.
+const MOCK_CHOWNOW_ROUTES = [{ screen: "CHOWNOW", path: "/dev/chownow/:sessionId" }];
+const KIOSK_ROUTES = [{ screen: "KIOSK", path: "/kiosk/:arrivePointId" }];
+
+/**
+ * Route guards. Returns { screen, params, state } to redirect to, or null when
+ * the route can render. Redirects to sign in or destination carry the original
+ * route as state.returnTo so the user lands back where they were headed.
+ */
+function guardRoute(route, { session, locationId, arrivePointId, merchant, order, orders, pendingCheckout }) {
+  const { screen, params } = route;
+  if (!route.matched) return { screen: SCREENS.LANDING };
+  if (screen === SCREENS.LANDING) return null;
+
+  if (!session) {
+    if (screen === SCREENS.AUTH) return null;
+    return { screen: SCREENS.AUTH, state: { returnTo: route } };
+  }
+  if (screen === SCREENS.AUTH) {
+    return route.state?.returnTo || { screen: SCREENS.DESTINATION };
+  }
+
+  if (screen === SCREENS.OPERATOR || screen === SCREENS.POSTERS) {
+    return isOperator(session) ? null : { screen: SCREENS.DESTINATION };
+  }
+  if (screen === SCREENS.DESTINATION || screen === SCREENS.ORDERS) return null;
+  if (!locationId || !arrivePointId) {
+    return { screen: SCREENS.DESTINATION, state: { returnTo: route } };
+  }
+
+  if (screen === SCREENS.MERCHANT_DETAIL && !merchant) return { screen: SCREENS.MERCHANTS };
+
+  if (screen === SCREENS.CHECKOUT_RETURN) return { screen: SCREENS.CHECKOUT, params };
+  if (screen === SCREENS.CHECKOUT && pendingCheckout?.sessionId !== params.sessionId) {
+    // Confirmed in another tab (orderStore picks up its orders as it saves them):
+    // that order is the one to follow.
+    const confirmed = orders.find((o) => o.checkoutSessionId === params.sessionId);
+    if (confirmed) return { screen: SCREENS.TRACKING, params: { orderId: confirmed.id } };
+    return { screen: SCREENS.MERCHANTS };
+  }
+
+  if (screen === SCREENS.TRACKING || screen === SCREENS.UNLOCK) {
+    if (!order) return { screen: SCREENS.ORDERS };
+    if (screen === SCREENS.UNLOCK && !canUnlockOrder(order)) {
+      return { screen: SCREENS.TRACKING, params: { orderId: order.id } };
+    }
+  }
+  return null;
 }
 
-function nowPlusMinutes(mins) {
-  const d = new Date(Date.now() + mins * 60 * 1000);
-  return d.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+const HOUR = 60 * 60 * 1000;
+const SESSION_TTL = 24 * HOUR;
+const DESTINATION_TTL = 30 * 24 * HOUR;
+const CHECKOUT_TTL = HOUR;
+
+// { locationName, arrivePointId, arrivePointLabel } for a destination, or null if it is not in the catalog.
+function deliveryContextFor(locations, locationId, arrivePointId) {
+  const location = locations.find((l) => l.id === locationId);
+  const arrivePoint = location?.arrivePoints.find((ap) => ap.id === arrivePointId);
+  if (!arrivePoint) return null;
+  return {
+    locationName: location.name,
+    arrivePointId: arrivePoint.id,
+    arrivePointLabel: arrivePoint.label
+  };
 }
 
 function Pill({ children }) {
@@ -134,9 +208,12 @@ function Button({ children, onClick, variant = "primary", disabled, full, icon }
   );
 }
 
-function Input({ value, onChange, placeholder, inputMode, readOnly }) {
+// Pair with <label className="label" htmlFor={id}>; describedBy is the id of its hint.
+function Input({ id, value, onChange, placeholder, inputMode, readOnly, describedBy }) {
   return (
     <input
+      id={id}
+      aria-describedby={describedBy}
       className="input"
       value={value}
       onChange={onChange}
@@ -147,6 +224,64 @@ function Input({ value, onChange, placeholder, inputMode, readOnly }) {
   );
 }
 
+// Status of one delivery window occurrence ({ start, end } from src/windows.js).
+function WindowPill({ occurrence, now }) {
+  const { t, locale } = useI18n();
+  if (!occurrence) return <Pill>{t("windows.closed")}</Pill>;
+  if (occurrence.start <= now) return <Pill>{t("windows.closesIn", { duration: formatDuration(occurrence.end - now, locale) })}</Pill>;
+  return <Pill>{t("windows.opensIn", { duration: formatDuration(occurrence.start - now, locale) })}</Pill>;
+}
+
+// ARIA tabs. Arrow keys, Home and End move between them; the panel is `${id}-panel`.
+function Tabs({ id, label, tabs, value, onChange }) {
+  const refs = useRef({});
+
+  function onKeyDown(e) {
+    const i = tabs.findIndex((tab) => tab.key === value);
+    const to = { ArrowRight: i + 1, ArrowLeft: i - 1, Home: 0, End: tabs.length - 1 }[e.key];
+    if (to === undefined) return;
+    e.preventDefault();
+    const next = tabs[(to + tabs.length) % tabs.length].key;
+    onChange(next);
+    refs.current[next]?.focus();
+  }
+
+  return (
+    <div className="tabs" role="tablist" aria-label={label} onKeyDown={onKeyDown}>
+      {tabs.map((tab) => (
+        <button
+          key={tab.key}
+          ref={(el) => (refs.current[tab.key] = el)}
+          id={`${id}-tab-${tab.key}`}
+          role="tab"
+          aria-selected={tab.key === value}
+          aria-controls={`${id}-panel`}
+          tabIndex={tab.key === value ? 0 : -1}
+          className={"tab " + (tab.key === value ? "tabOn" : "")}
+          onClick={() => onChange(tab.key)}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Announced by screen readers whenever its text changes; not shown on screen.
+function LiveStatus({ children }) {
+  return (
+    <div className="srOnly" role="status" aria-live="polite">
+      {children}
+    </div>
+  );
+}
+
+// Copy for an error no screen has its own words for. Backend and mock messages
+// are English, so they are never shown as they are.
+function genericErrorMessage(e, t) {
+  return e?.status === 0 ? t("errors.network") : t("errors.generic");
+}
+
 function Row({ icon, title, desc }) {
   return (
     <div className="row">
@@ -160,24 +295,88 @@ function Row({ icon, title, desc }) {
 }
 
 export default function App() {
-  const [screen, setScreen] = useState(SCREENS.LANDING);
-  const [user, setUser] = useState(null); // { phone }
-  const [locationId, setLocationId] = useState("");
-  const [arrivePointId, setArrivePointId] = useState("");
-  const [selectedMerchantId, setSelectedMerchantId] = useState(null);
-  const [order, setOrder] = useState(null);
-  const [showHow, setShowHow] = useState(false);
+  const mockChowNow = USE_MOCK_BACKEND ? matchRoute(MOCK_CHOWNOW_ROUTES, currentPath()) : null;
+  if (mockChowNow) return <ChowNowCheckout sessionId={mockChowNow.params.sessionId} />;
+  const kiosk = matchRoute(KIOSK_ROUTES, currentPath());
+  if (kiosk) {
+    return (
+      <I18nProvider>
+        <Kiosk arrivePointId={kiosk.params.arrivePointId.toUpperCase()} />
+      </I18nProvider>
+    );
+  }
+  return (
+    <I18nProvider>
+      <ViewportProvider>
+        {/* Screens fade instead of sliding for people who ask for less motion. */}
+        <MotionConfig reducedMotion="user">
+          <AppShell />
+        </MotionConfig>
+      </ViewportProvider>
+    </I18nProvider>
+  );
+}
 
-  // Read QR deep link
+function AppShell() {
+  const { t, locale, setLocale } = useI18n();
+  const [route, navigate] = useHistoryRoute(ROUTES, SCREENS.LANDING);
+  const [user, setUser] = usePersistentState("session", null, { ttl: SESSION_TTL }); // { token, phone, expiresAt }
+  const [locationId, setLocationId] = usePersistentState("locationId", "", { ttl: DESTINATION_TTL });
+  const [arrivePointId, setArrivePointId] = usePersistentState("arrivePointId", "", { ttl: DESTINATION_TTL });
+  // Checkout started in ChowNow but not confirmed yet; there is no order until it is.
+  const [pendingCheckout, setPendingCheckout] = usePersistentState("pendingCheckout", null, { ttl: CHECKOUT_TTL });
+  const [notificationPrefs, setNotificationPrefs] = usePersistentState("notificationPrefs", DEFAULT_NOTIFICATION_PREFS);
+  const [showHow, setShowHow] = useState(false);
+  const [showAlerts, setShowAlerts] = useState(false);
+  // Merchant screens show live availability (queues, pauses) and Destination shows free
+  // compartments, so keep the catalog fresh there.
+  const browsing = [SCREENS.DESTINATION, SCREENS.MERCHANTS, SCREENS.MERCHANT_DETAIL].includes(route.screen);
+  const catalog = useCatalog(catalogClient, { revalidateMs: browsing ? 60000 : null });
+  const { campus, locations, merchants, windows } = catalog.data || EMPTY_CATALOG;
+
+  // Sessions carry their own expiry; an expired one means signing in again.
+  const session = isSessionValid(user) ? user : null;
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const loc = params.get("location");
-    if (loc) setLocationId(loc);
-  }, []);
+    if (user && !session) setUser(null);
+  }, [user, session, setUser]);
+
+  // Orders belong to the signed-in phone number.
+  const userId = session?.phone || null;
+  const orders = useOrders(userId);
+  const activeOrders = orders.filter(isActiveOrder);
+  const order = orders.find((o) => o.id === route.params.orderId) || null;
+
+  // QR deep link. Only the URL of the first load is one, and it waits for the catalog to
+  // confirm its ids; a scanned destination then wins over a restored one. Codes the
+  // catalog does not know are reported and explained instead of being stored.
+  const [deepLink, setDeepLink] = useState(() => readDeepLink(window.location.search));
+  const [staleLink, setStaleLink] = useState(null); // { locationId, arrivePointId, problem }
+  const deepLinkRefreshed = useRef(false);
+  useEffect(() => {
+    if (!deepLink || !catalog.data) return;
+    const resolved = resolveDeepLink(deepLink, catalog.data.locations);
+    // A cached catalog can predate the poster, so only a fresh one may call a code out of date.
+    if (resolved.problem && !deepLinkRefreshed.current) {
+      deepLinkRefreshed.current = true;
+      catalogClient.refresh();
+      return;
+    }
+    setDeepLink(null);
+    if (resolved.locationId && (resolved.locationId !== locationId || (resolved.arrivePointId && resolved.arrivePointId !== arrivePointId))) {
+      setLocationId(resolved.locationId);
+      setArrivePointId(resolved.arrivePointId || "");
+    }
+    if (resolved.problem) {
+      setStaleLink({ ...deepLink, problem: resolved.problem });
+      reportInvalidDeepLink(deepLink, resolved.problem);
+    }
+    // catalog.error is here because a failed refresh changes nothing else; the link is then judged on the cached catalog.
+    // Once applied, deepLink is null, so later destination changes do not run this again.
+  }, [deepLink, catalog.data, catalog.error, locationId, arrivePointId, setLocationId, setArrivePointId]);
 
   const location = useMemo(
-    () => LOCATIONS.find((l) => l.id === locationId) || null,
-    [locationId]
+    () => locations.find((l) => l.id === locationId) || null,
+    [locations, locationId]
   );
 
   const arrivePoint = useMemo(() => {
@@ -185,49 +384,154 @@ export default function App() {
     return location.arrivePoints.find((ap) => ap.id === arrivePointId) || null;
   }, [location, arrivePointId]);
 
-  const deliveryContext = useMemo(() => {
-    if (!location || !arrivePoint) return null;
-    return {
-      locationName: location.name,
-      arrivePointId: arrivePoint.id,
-      arrivePointLabel: arrivePoint.label
-    };
-  }, [location, arrivePoint]);
+  const deliveryContext = useMemo(
+    () => deliveryContextFor(locations, locationId, arrivePointId),
+    [locations, locationId, arrivePointId]
+  );
+  // An order goes to the destination it was placed for, which may not be the current one.
+  const orderDeliveryContext = useMemo(
+    () => (order ? deliveryContextFor(locations, order.locationId, order.arrivePointId) : null),
+    [locations, order]
+  );
 
+  const selectedMerchantId = route.params.merchantId;
   const selectedMerchant = useMemo(
-    () => MERCHANTS.find((m) => m.id === selectedMerchantId) || null,
-    [selectedMerchantId]
+    () => merchants.find((m) => m.id === selectedMerchantId) || null,
+    [merchants, selectedMerchantId]
   );
 
-  // Mock order status progression
-  useEffect(() => {
-    if (!order) return;
-    if (order.status === "DELIVERED") return;
-
-    const timers = [];
-    const advance = (next, ms) => {
-      timers.push(setTimeout(() => setOrder((o) => ({ ...o, status: next })), ms));
-    };
-
-    if (order.status === "PLACED") advance("ACCEPTED", 1500);
-    if (order.status === "ACCEPTED") advance("PREPARING", 1800);
-    if (order.status === "PREPARING") advance("READY", 2600);
-    if (order.status === "READY") advance("PICKED_UP", 1800);
-    if (order.status === "PICKED_UP") advance("IN_FLIGHT", 1800);
-    if (order.status === "IN_FLIGHT") advance("DELIVERED", 2800);
+  // Live status for every active order. Resumes from order.lastSeq, so a restored order picks up where it left off.
+  const connections = useOrderTracking(orders, (event) =>
+    orderStore.update(userId, event.orderId, (o) => reviseEta(applyOrderEvent(o, event), event))
+  );
 
-    return () => timers.forEach(clearTimeout);
-  }, [order?.status]);
+  // Save unlock grants as orders land, while there is still signal to fetch them.
+  // Keyed on the ids, so other order updates do not fetch again.
+  const deliveredIds = orders.filter(canUnlockOrder).map((o) => o.id).join(",");
+  const ordersRef = useRef(orders);
+  ordersRef.current = orders;
+  useEffect(() => {
+    if (!session || !deliveredIds) return;
+    const ids = deliveredIds.split(",");
+    ordersRef.current.filter((o) => ids.includes(o.id)).forEach((o) => prefetchUnlockGrant(o, session));
+  }, [deliveredIds, session]);
+
+  // Notifications land on Unlock once there is something to unlock, otherwise on Tracking.
+  useOrderNotifications(orders, {
+    prefs: notificationPrefs,
+    session,
+    holdMins: campus?.pickupHoldMins,
+    timeZone: campus?.timeZone,
+    locale,
+    urlFor: (o, event) =>
+      buildPath(ROUTES, event === "DELIVERED" || event === "UNLOCK_EXPIRING" ? SCREENS.UNLOCK : SCREENS.TRACKING, { orderId: o.id })
+  });
+
+  // Route guards. Nothing renders while a redirect is pending, so a guarded
+  // screen never flashes before the replace lands. Guards wait for the catalog,
+  // since merchant routes can only be checked against it.
+  const redirect = useMemo(
+    () =>
+      catalog.data
+        ? guardRoute(route, { session, locationId, arrivePointId, merchant: selectedMerchant, order, orders, pendingCheckout })
+        : null,
+    [catalog.data, route, session, locationId, arrivePointId, selectedMerchant, order, orders, pendingCheckout]
+  );
+  const screen = redirect || !catalog.data ? null : route.screen;
 
-  // Simple guardrails
   useEffect(() => {
-    if (screen === SCREENS.LANDING) return;
+    if (redirect) navigate(redirect.screen, redirect.params, { replace: true, state: redirect.state });
+  }, [redirect, navigate]);
 
-    if (!user && screen !== SCREENS.AUTH) setScreen(SCREENS.AUTH);
-    if (user && (!locationId || !arrivePointId) && screen !== SCREENS.DESTINATION && screen !== SCREENS.AUTH) {
-      setScreen(SCREENS.DESTINATION);
+  // ChowNow's return URL loads in the checkout tab. Wake the original tab and
+  // close this one; browsers only let a script close a tab a script opened, so
+  // anywhere else this carries on here.
+  useEffect(() => {
+    if (route.screen !== SCREENS.CHECKOUT_RETURN) return;
+    announceCheckout(route.params.sessionId);
+    window.close();
+  }, [route]);
+
+  // The tab is opened inside the click handler so popup blockers allow it, then
+  // pointed at ChowNow once the session exists. It is cut off from this window
+  // first, so the third-party page cannot reach back through window.opener.
+  async function startCheckout({ slot, note }) {
+    const tab = window.open("", "_blank");
+    if (tab) tab.opener = null;
+    try {
+      const cs = await checkoutProvider.createSession({
+        session,
+        merchantId: selectedMerchant.id,
+        merchantName: selectedMerchant.name,
+        arrivePointId,
+        note,
+        scheduledFor: slot?.start || null
+      });
+      setPendingCheckout({
+        sessionId: cs.id,
+        checkoutUrl: cs.checkoutUrl,
+        merchantId: selectedMerchant.id,
+        merchantName: selectedMerchant.name,
+        slot,
+        note,
+        startedAt: Date.now()
+      });
+      if (tab) tab.location.href = cs.checkoutUrl;
+      navigate(SCREENS.CHECKOUT, { sessionId: cs.id });
+    } catch (e) {
+      tab?.close();
+      throw e;
     }
-  }, [screen, user, locationId, arrivePointId]);
+  }
+
+  // ChowNow confirmed payment: only now does the order exist, under ChowNow's id
+  // and delivered to the Arrive Point named in the order note the user submitted.
+  const confirmCheckout = useCallback(
+    (cs) => {
+      if (pendingCheckout?.sessionId !== cs.id) return;
+      const merchant = merchants.find((m) => m.id === pendingCheckout.merchantId);
+      const notedId = arrivePointFromNote(cs.orderNote);
+      const noted = notedId && locations.find((l) => l.arrivePoints.some((ap) => ap.id === notedId));
+      const orderLocation = noted || location;
+      const orderArrivePointId = noted ? notedId : arrivePointId;
+      const orderArrivePoint = orderLocation?.arrivePoints.find((ap) => ap.id === orderArrivePointId) || null;
+      const { slot } = pendingCheckout;
+
+      const placedAt = Date.now();
+      const status = slot ? "SCHEDULED" : "PLACED";
+      const newOrder = {
+        id: cs.chownowOrderId,
+        checkoutSessionId: cs.id,
+        merchantId: pendingCheckout.merchantId,
+        status,
+        placedAt,
+        statusAt: placedAt,
+        lastSeq: 0,
+        timeline: { [status]: placedAt },
+        scheduledFor: slot?.start || null,
+        windowId: slot?.windowId || null,
+        note: cs.orderNote || pendingCheckout.note,
+        merchantName: pendingCheckout.merchantName,
+        locationId: orderLocation?.id || locationId,
+        arrivePointId: orderArrivePointId,
+        eta: merchant ? initialEta(merchant, { campus, arrivePoint: orderArrivePoint }, slot?.start || placedAt) : null
+      };
+      if (noted) {
+        setLocationId(noted.id);
+        setArrivePointId(notedId);
+      }
+      orderStore.add(userId, newOrder);
+      setPendingCheckout(null);
+      navigate(SCREENS.TRACKING, { orderId: newOrder.id }, { replace: true });
+    },
+    [pendingCheckout, merchants, locations, location, locationId, arrivePointId, campus, userId, setLocationId, setArrivePointId, setPendingCheckout, navigate]
+  );
+
+  // Continue to wherever a guard sent the user away from, or to the default next screen.
+  const resume = (fallback) => {
+    const to = route.state?.returnTo || fallback;
+    navigate(to.screen, to.params, { state: to.state });
+  };
 
   return (
     <div className="page">
@@ -238,47 +542,81 @@ export default function App() {
               <QrCode size={18} />
             </div>
             <div>
-              <div className="brandTitle">Drone Delivery</div>
-              <div className="brandSub">Order from nearby merchants, delivered to your Arrive Point</div>
+              <div className="brandTitle">{t("topbar.title")}</div>
+              <div className="brandSub">{t("topbar.subtitle")}</div>
             </div>
           </div>
 
           <div className="topRight">
             <div className="pills">
-              <Pill>Visionary Park</Pill>
+              {campus ? <Pill>{campus.name}</Pill> : null}
               {deliveryContext ? (
                 <Pill>
                   <MapPin size={14} style={{ marginRight: 6 }} />
                   {deliveryContext.arrivePointId}
                 </Pill>
               ) : null}
-              {user?.phone ? (
+              {orders.length ? (
+                <button className="pill pillButton" onClick={() => navigate(SCREENS.ORDERS)}>
+                  <Truck size={14} style={{ marginRight: 6 }} />
+                  {activeOrders.length ? t("topbar.active", { count: activeOrders.length }) : t("topbar.orders")}
+                </button>
+              ) : null}
+              {isOperator(session) ? (
+                <button className="pill pillButton" onClick={() => navigate(SCREENS.OPERATOR)}>
+                  <Wrench size={14} style={{ marginRight: 6 }} />
+                  {t("topbar.operator")}
+                </button>
+              ) : null}
+              {session?.phone ? (
                 <Pill>
                   <Phone size={14} style={{ marginRight: 6 }} />
-                  {formatPhone(user.phone)}
+                  {formatPhone(session.phone)}
                 </Pill>
               ) : null}
             </div>
 
+            <select className="input localeSelect" value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t("topbar.language")}>
+              {Object.entries(LOCALES).map(([code, l]) => (
+                <option key={code} value={code}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+            {session ? (
+              <Button variant="outline" onClick={() => setShowAlerts(true)} icon={<Bell size={16} />}>
+                {t("topbar.alerts")}
+              </Button>
+            ) : null}
             <Button variant="outline" onClick={() => setShowHow(true)}>
-              How it works
+              {t("topbar.how")}
             </Button>
           </div>
         </div>
 
+        {!catalog.data ? <CatalogStatus catalog={catalog} /> : null}
+
+        {staleLink ? (
+          <StaleLinkBanner
+            link={staleLink}
+            onPick={screen === SCREENS.DESTINATION ? null : () => navigate(SCREENS.DESTINATION)}
+            onDismiss={() => setStaleLink(null)}
+          />
+        ) : null}
+
         <AnimatePresence mode="wait">
           {screen === SCREENS.LANDING && (
             <motion.div key="landing" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
-              <Landing onContinue={() => setScreen(SCREENS.AUTH)} />
+              <Landing windows={windows} timeZone={campus?.timeZone} onContinue={() => navigate(SCREENS.AUTH)} />
             </motion.div>
           )}
 
           {screen === SCREENS.AUTH && (
             <motion.div key="auth" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
               <Auth
-                onAuthed={(u) => {
-                  setUser(u);
-                  setScreen(SCREENS.DESTINATION);
+                onAuthed={(s) => {
+                  setUser(s);
+                  resume({ screen: SCREENS.DESTINATION });
                 }}
               />
             </motion.div>
@@ -287,14 +625,18 @@ export default function App() {
           {screen === SCREENS.DESTINATION && (
             <motion.div key="dest" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
               <Destination
+                locations={locations}
                 locationId={locationId}
                 arrivePointId={arrivePointId}
                 onPickLocation={(id) => {
                   setLocationId(id);
                   setArrivePointId("");
                 }}
-                onPickArrivePoint={(id) => setArrivePointId(id)}
-                onContinue={() => setScreen(SCREENS.MERCHANTS)}
+                onPickArrivePoint={(id) => {
+                  setArrivePointId(id);
+                  setStaleLink(null);
+                }}
+                onContinue={() => resume({ screen: SCREENS.MERCHANTS })}
               />
             </motion.div>
           )}
@@ -302,11 +644,13 @@ export default function App() {
           {screen === SCREENS.MERCHANTS && (
             <motion.div key="merchants" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
               <Merchants
+                merchants={merchants}
+                windows={windows}
+                timeZone={campus?.timeZone}
+                flightHold={campus?.flightHold}
+                etaContext={{ campus, arrivePoint }}
                 deliveryContext={deliveryContext}
-                onSelect={(id) => {
-                  setSelectedMerchantId(id);
-                  setScreen(SCREENS.MERCHANT_DETAIL);
-                }}
+                onSelect={(id) => navigate(SCREENS.MERCHANT_DETAIL, { merchantId: id })}
               />
             </motion.div>
           )}
@@ -315,19 +659,43 @@ export default function App() {
             <motion.div key="detail" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
               <MerchantDetail
                 merchant={selectedMerchant}
+                windows={windows}
+                timeZone={campus?.timeZone}
+                flightHold={campus?.flightHold}
+                etaContext={{ campus, arrivePoint }}
                 deliveryContext={deliveryContext}
-                onBack={() => setScreen(SCREENS.MERCHANTS)}
-                onCheckout={() => {
-                  window.open(selectedMerchant.chownowUrl, "_blank", "noopener,noreferrer");
-                  const newOrder = {
-                    id: `VP-${Math.floor(Math.random() * 90000) + 10000}`,
-                    status: "PLACED",
-                    merchantName: selectedMerchant.name,
-                    eta: selectedMerchant.etaMins
-                  };
-                  setOrder(newOrder);
-                  setScreen(SCREENS.TRACKING);
+                onBack={() => navigate(SCREENS.MERCHANTS)}
+                onCheckout={startCheckout}
+              />
+            </motion.div>
+          )}
+
+          {screen === SCREENS.CHECKOUT && pendingCheckout && (
+            <motion.div key="checkout" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
+              <Checkout
+                pending={pendingCheckout}
+                timeZone={campus?.timeZone}
+                onConfirmed={confirmCheckout}
+                onBack={() => {
+                  setPendingCheckout(null);
+                  navigate(SCREENS.MERCHANTS, {}, { replace: true });
                 }}
+                onRetry={() => {
+                  setPendingCheckout(null);
+                  navigate(SCREENS.MERCHANT_DETAIL, { merchantId: pendingCheckout.merchantId }, { replace: true });
+                }}
+              />
+            </motion.div>
+          )}
+
+          {screen === SCREENS.ORDERS && (
+            <motion.div key="orders" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
+              <Orders
+                orders={orders}
+                timeZone={campus?.timeZone}
+                onTrack={(id) => navigate(SCREENS.TRACKING, { orderId: id })}
+                onUnlock={(id) => navigate(SCREENS.UNLOCK, { orderId: id })}
+                onNewOrder={() => navigate(SCREENS.MERCHANTS)}
               />
             </motion.div>
           )}
@@ -335,54 +703,207 @@ export default function App() {
           {screen === SCREENS.TRACKING && order && (
             <motion.div key="tracking" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
               <Tracking
+                key={order.id}
                 order={order}
-                deliveryContext={deliveryContext}
-                onBack={() => setScreen(SCREENS.MERCHANTS)}
-                onUnlock={() => setScreen(SCREENS.UNLOCK)}
+                connection={connections[order.id] || "idle"}
+                deliveryContext={orderDeliveryContext}
+                campusMap={campus?.map}
+                locations={locations}
+                support={campus?.support}
+                timeZone={campus?.timeZone}
+                holdMins={campus?.pickupHoldMins}
+                onBack={() => navigate(SCREENS.ORDERS)}
+                onRetry={() =>
+                  merchants.some((m) => m.id === order.merchantId)
+                    ? navigate(SCREENS.MERCHANT_DETAIL, { merchantId: order.merchantId })
+                    : navigate(SCREENS.MERCHANTS)
+                }
+                onUnlock={() => navigate(SCREENS.UNLOCK, { orderId: order.id })}
               />
             </motion.div>
           )}
 
           {screen === SCREENS.UNLOCK && order && (
             <motion.div key="unlock" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
-              <Unlock order={order} deliveryContext={deliveryContext} onDone={() => setScreen(SCREENS.MERCHANTS)} />
+              <Unlock
+                key={order.id}
+                order={order}
+                session={session}
+                deliveryContext={orderDeliveryContext}
+                onCollected={() => orderStore.update(userId, order.id, (o) => (o.collectedAt ? o : { ...o, collectedAt: Date.now() }))}
+                onDone={() => navigate(SCREENS.ORDERS)}
+              />
+            </motion.div>
+          )}
+
+          {screen === SCREENS.OPERATOR && (
+            <motion.div key="operator" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
+              <OperatorConsole
+                session={session}
+                onPosters={() => navigate(SCREENS.POSTERS)}
+                onBack={() => navigate(SCREENS.DESTINATION)}
+              />
+            </motion.div>
+          )}
+
+          {screen === SCREENS.POSTERS && (
+            <motion.div key="posters" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -8 }}>
+              <Posters locations={locations} session={session} onBack={() => navigate(SCREENS.OPERATOR)} />
             </motion.div>
           )}
         </AnimatePresence>
 
         {showHow ? (
-          <div className="modalBackdrop" onClick={() => setShowHow(false)}>
-            <div className="modal" onClick={(e) => e.stopPropagation()}>
-              <div className="modalTitle">How it works</div>
-              <div className="modalSub">QR → web app → ChowNow → delivery → pickup</div>
-              <div className="modalBody">
-                <Row icon={<QrCode size={18} />} title="Scan a QR code" desc="Open the ordering hub in your browser. No app install." />
-                <Row icon={<MapPin size={18} />} title="Confirm your Arrive Point" desc="We route delivery and secure pickup based on your destination." />
-                <Row icon={<Store size={18} />} title="Order in ChowNow" desc="Restaurants keep their normal checkout and payment flow." />
-                <Row icon={<Lock size={18} />} title="Track and pick up" desc="Get updates, then open the Arrive Point when delivered." />
-              </div>
-              <div className="modalFooter">
-                <Button onClick={() => setShowHow(false)} full>
-                  Got it
-                </Button>
-              </div>
-            </div>
-          </div>
+          <Dialog
+            title={t("how.title")}
+            sub={t("how.sub")}
+            onClose={() => setShowHow(false)}
+            footer={
+              <Button onClick={() => setShowHow(false)} full>
+                {t("common.gotIt")}
+              </Button>
+            }
+          >
+            <Row icon={<QrCode size={18} />} title={t("how.scan")} desc={t("how.scanDesc")} />
+            <Row icon={<MapPin size={18} />} title={t("how.confirm")} desc={t("how.confirmDesc")} />
+            <Row icon={<Store size={18} />} title={t("how.order")} desc={t("how.orderDesc")} />
+            <Row icon={<Lock size={18} />} title={t("how.pickup")} desc={t("how.pickupDesc")} />
+          </Dialog>
+        ) : null}
+
+        {showAlerts && session ? (
+          <NotificationSettings
+            prefs={notificationPrefs}
+            phone={session.phone}
+            onChange={setNotificationPrefs}
+            onClose={() => setShowAlerts(false)}
+          />
         ) : null}
       </div>
     </div>
   );
 }
 
-function Landing({ onContinue }) {
+function NotificationSettings({ prefs, phone, onChange, onClose }) {
+  const { t } = useI18n();
+  const whenId = useId();
+  const [permission, setPermission] = useState(browserNotificationPermission);
+
+  async function toggleBrowser() {
+    if (prefs.browser) {
+      onChange({ ...prefs, browser: false });
+      return;
+    }
+    const result = permission === "granted" ? permission : await requestBrowserNotifications();
+    setPermission(result);
+    if (result === "granted") onChange({ ...prefs, browser: true });
+  }
+
+  return (
+    <Dialog
+      title={t("alerts.title")}
+      sub={t("alerts.sub")}
+      onClose={onClose}
+      footer={
+        <Button onClick={onClose} full>
+          {t("common.done")}
+        </Button>
+      }
+    >
+      <label className="toggleRow">
+        <input
+          type="checkbox"
+          checked={prefs.browser && permission === "granted"}
+          disabled={permission === "unsupported" || permission === "denied"}
+          onChange={toggleBrowser}
+        />
+        <div>
+          <div className="rowTitle">{t("alerts.browser")}</div>
+          <div className="rowDesc">{t(`alerts.permission.${permission}`)}</div>
+        </div>
+      </label>
+      <label className="toggleRow">
+        <input type="checkbox" checked={prefs.sms} onChange={() => onChange({ ...prefs, sms: !prefs.sms })} />
+        <div>
+          <div className="rowTitle">{t("alerts.sms")}</div>
+          <div className="rowDesc">{t("alerts.smsDesc", { phone: formatPhone(phone) })}</div>
+        </div>
+      </label>
+
+      <div className="sep" />
+      <div className="label" id={whenId}>{t("alerts.when")}</div>
+      <div role="group" aria-labelledby={whenId}>
+        {Object.keys(NOTIFY_EVENTS).map((key) => (
+          <label className="toggleRow" key={key}>
+            <input
+              type="checkbox"
+              checked={Boolean(prefs.events[key])}
+              onChange={() => onChange({ ...prefs, events: { ...prefs.events, [key]: !prefs.events[key] } })}
+            />
+            <div className="rowTitle">{t(`notify.${key}.label`)}</div>
+          </label>
+        ))}
+      </div>
+    </Dialog>
+  );
+}
+
+// The QR code the app was opened from names a location or Arrive Point the catalog no longer has.
+function StaleLinkBanner({ link, onPick, onDismiss }) {
+  const { t } = useI18n();
+  const desc =
+    link.problem === DEEP_LINK_PROBLEMS.UNKNOWN_ARRIVE_POINT
+      ? t("deepLink.unknownArrivePoint", { code: link.arrivePointId })
+      : t("deepLink.unknownLocation", { code: link.locationId || link.arrivePointId });
+  return (
+    <div className="notice noticeAlert" role="alert" style={{ marginBottom: 12 }}>
+      <TriangleAlert size={18} />
+      <div style={{ flex: 1 }}>
+        <div className="noticeTitle">{t("deepLink.staleTitle")}</div>
+        <div className="noticeDesc">{desc}</div>
+        <div className="btnRow" style={{ marginTop: 10 }}>
+          {onPick ? <Button onClick={onPick}>{t("deepLink.pick")}</Button> : null}
+          <Button variant="outline" onClick={onDismiss}>{t("deepLink.dismiss")}</Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function CatalogStatus({ catalog }) {
+  const { t } = useI18n();
+  if (catalog.status === "error") {
+    return (
+      <Card title={t("catalog.errorTitle")}>
+        <div className="muted">{catalog.error?.status === 0 ? t("errors.network") : t("catalog.errorDesc")}</div>
+        <div style={{ marginTop: 12 }}>
+          <Button full onClick={catalog.retry}>{t("common.tryAgain")}</Button>
+        </div>
+      </Card>
+    );
+  }
+  return (
+    <Card>
+      <div className="loadingRow" role="status">
+        <Loader2 size={16} className="spin" />
+        <span className="muted">{t("catalog.loading")}</span>
+      </div>
+    </Card>
+  );
+}
+
+function Landing({ windows, timeZone, onContinue }) {
+  const { t, locale } = useI18n();
+  const windowStatus = useWindowStatus(windows, timeZone);
+
   return (
     <div className="grid">
-      <Card title="Order from nearby merchants">
+      <Card title={t("landing.title")}>
         <div className="notice">
           <ShieldCheck size={18} />
           <div>
-            <div className="noticeTitle">Secure pickup</div>
-            <div className="noticeDesc">Delivery is routed to your Arrive Point and access is controlled here.</div>
+            <div className="noticeTitle">{t("landing.secure")}</div>
+            <div className="noticeDesc">{t("landing.secureDesc")}</div>
           </div>
         </div>
 
@@ -390,217 +911,347 @@ function Landing({ onContinue }) {
           <div className="mini">
             <div className="miniTop">
               <div className="miniIcon"><Store size={16} /></div>
-              <div className="miniTitle">Restaurant friendly</div>
+              <div className="miniTitle">{t("landing.restaurant")}</div>
             </div>
-            <div className="miniDesc">Ordering stays in ChowNow. No new POS training.</div>
+            <div className="miniDesc">{t("landing.restaurantDesc")}</div>
           </div>
 
           <div className="mini">
             <div className="miniTop">
               <div className="miniIcon"><Truck size={16} /></div>
-              <div className="miniTitle">Runner or drone</div>
+              <div className="miniTitle">{t("landing.runner")}</div>
             </div>
-            <div className="miniDesc">We handle pickup, staging, and delivery to your Arrive Point.</div>
+            <div className="miniDesc">{t("landing.runnerDesc")}</div>
           </div>
 
           <div className="mini">
             <div className="miniTop">
               <div className="miniIcon"><Timer size={16} /></div>
-              <div className="miniTitle">Live updates</div>
+              <div className="miniTitle">{t("landing.live")}</div>
             </div>
-            <div className="miniDesc">Track from order placed to delivered.</div>
+            <div className="miniDesc">{t("landing.liveDesc")}</div>
           </div>
 
           <div className="mini">
             <div className="miniTop">
               <div className="miniIcon"><Lock size={16} /></div>
-              <div className="miniTitle">One tap unlock</div>
+              <div className="miniTitle">{t("landing.unlock")}</div>
             </div>
-            <div className="miniDesc">Open the Arrive Point when your order arrives.</div>
+            <div className="miniDesc">{t("landing.unlockDesc")}</div>
           </div>
         </div>
 
         <Button full onClick={onContinue}>
-          Continue
+          {t("common.continue")}
         </Button>
       </Card>
 
-      <Card title="Delivery windows">
-        {WINDOWS.map((w) => (
+      <Card title={t("windows.title")}>
+        {windows.map((w) => (
           <div className="listItem" key={w.id}>
             <div>
               <div className="listTitle">{w.label}</div>
-              <div className="listSub">{w.hours}</div>
+              <div className="listSub">{formatHours(w.hours, locale)}</div>
             </div>
-            <Pill>Active</Pill>
+            <WindowPill occurrence={windowStatus.byId[w.id]} now={windowStatus.now} />
           </div>
         ))}
         <div className="muted" style={{ marginTop: 10 }}>
-          Times are estimates and may vary with pickup and flight conditions.
+          {t("windows.estimates")}
         </div>
       </Card>
     </div>
   );
 }
 
+function authErrorMessage(e, now, t) {
+  switch (e.code) {
+    case AUTH_ERRORS.INVALID_PHONE:
+      return t("auth.invalidPhone");
+    case AUTH_ERRORS.INVALID_CODE:
+      return t("errors.invalidCode", { count: e.attemptsLeft });
+    case AUTH_ERRORS.LOCKED:
+      return t("errors.locked", { time: formatCountdown(e.lockedUntil - now) });
+    case AUTH_ERRORS.RESEND_TOO_SOON:
+      return t("auth.resendTooSoon", { time: formatCountdown(e.resendAt - now) });
+    case AUTH_ERRORS.CODE_EXPIRED:
+      return t("auth.codeExpired");
+    case AUTH_ERRORS.UNKNOWN_REQUEST:
+      return t("auth.unknownRequest");
+    default:
+      return genericErrorMessage(e, t);
+  }
+}
+
 function Auth({ onAuthed }) {
+  const { t, locale } = useI18n();
   const [step, setStep] = useState("PHONE");
+  const [countryCode, setCountryCode] = useState(() => countryForLocale(navigator.language));
   const [phone, setPhone] = useState("");
   const [otp, setOtp] = useState("");
   const [loading, setLoading] = useState(false);
-
-  const canSend = phone.replace(/\D/g, "").length === 10;
-  const canVerify = otp.replace(/\D/g, "").length === 6;
+  const [request, setRequest] = useState(null); // { requestId, expiresAt, resendAt, codeLength, devCode? }
+  const [error, setError] = useState(null);
+  const { keyboardOpen } = useViewport();
+  const now = useNow(1000);
+  const phoneId = useId();
+  const codeId = useId();
+
+  const country = findCountry(countryCode);
+  const digits = nationalDigits(country, phone);
+  const e164 = toE164(country, digits);
+  const codeLength = request?.codeLength || 6;
+  const expired = Boolean(request) && now >= request.expiresAt;
+  const locked = error?.code === AUTH_ERRORS.LOCKED && now < error.lockedUntil;
+  const resendIn = request ? request.resendAt - now : 0;
+
+  const canSend = isValidNational(country, digits) && !locked;
+  // Country names in the user's language, e.g. "Spain" or "España".
+  const regionNames = useMemo(() => new Intl.DisplayNames([locale], { type: "region" }), [locale]);
+  const canVerify = otp.length === codeLength && !expired && !locked;
 
   async function send() {
     setLoading(true);
-    await new Promise((r) => setTimeout(r, 700));
-    setLoading(false);
-    setStep("OTP");
+    setError(null);
+    try {
+      const r = await authProvider.sendCode(e164);
+      setRequest(r);
+      setOtp("");
+      setStep("OTP");
+    } catch (e) {
+      setError(e);
+    } finally {
+      setLoading(false);
+    }
   }
 
   async function verify() {
     setLoading(true);
-    await new Promise((r) => setTimeout(r, 700));
-    setLoading(false);
-    onAuthed({ phone: phone.replace(/\D/g, "") });
+    setError(null);
+    try {
+      const session = await authProvider.verifyCode(request.requestId, otp);
+      // The phone keys this user's orders and receives their texts, so store it one way only.
+      onAuthed({ ...session, phone: normalizePhone(session.phone) });
+    } catch (e) {
+      setError(e);
+      setOtp("");
+      // These leave the current request unusable; only a new code helps.
+      if (e.code === AUTH_ERRORS.CODE_EXPIRED || e.code === AUTH_ERRORS.UNKNOWN_REQUEST) {
+        setRequest((r) => r && { ...r, expiresAt: 0 });
+      }
+    } finally {
+      setLoading(false);
+    }
   }
 
   return (
     <div className="grid">
-      <Card title="Sign in">
+      <Card title={t("auth.title")}>
         {step === "PHONE" ? (
           <>
             <div className="field">
-              <div className="label">Mobile number</div>
-              <Input
-                value={formatPhone(phone)}
-                onChange={(e) => setPhone(e.target.value)}
-                placeholder="(317) 555-0123"
-                inputMode="tel"
-              />
-              <div className="hint">We will send a one-time code to verify your number.</div>
+              <label className="label" htmlFor={phoneId}>{t("auth.phone")}</label>
+              <div className="phoneRow">
+                <select
+                  className="input countrySelect"
+                  value={countryCode}
+                  onChange={(e) => setCountryCode(e.target.value)}
+                  aria-label={t("auth.country")}
+                >
+                  {COUNTRIES.map((c) => (
+                    <option key={c.code} value={c.code}>
+                      {regionNames.of(c.code)} +{c.dial}
+                    </option>
+                  ))}
+                </select>
+                <Input
+                  id={phoneId}
+                  value={formatNational(country, digits)}
+                  onChange={(e) => setPhone(e.target.value)}
+                  placeholder={country.pattern.replace(/#/g, "0")}
+                  inputMode="tel"
+                  describedBy={`${phoneId}-hint`}
+                />
+              </div>
+              {error ? (
+                <div className="hint hintError" role="alert" id={`${phoneId}-hint`}>{authErrorMessage(error, now, t)}</div>
+              ) : (
+                <div className="hint" id={`${phoneId}-hint`}>{t("auth.phoneHint")}</div>
+              )}
+            </div>
+            <div className="actionBar">
+              <Button full disabled={!canSend || loading} onClick={send} icon={loading ? <Loader2 size={16} className="spin" /> : null}>
+                {t("auth.send")}
+              </Button>
             </div>
-            <Button full disabled={!canSend || loading} onClick={send} icon={loading ? <Loader2 size={16} className="spin" /> : null}>
-              Send code
-            </Button>
           </>
         ) : (
           <>
             <div className="field">
-              <div className="label">Enter code</div>
+              <label className="label" htmlFor={codeId}>{t("auth.code")}</label>
               <Input
+                id={codeId}
+                describedBy={`${codeId}-hint`}
                 value={otp}
-                onChange={(e) => setOtp(e.target.value.replace(/\D/g, "").slice(0, 6))}
-                placeholder="6-digit code"
+                onChange={(e) => setOtp(e.target.value.replace(/\D/g, "").slice(0, codeLength))}
+                placeholder={t("auth.codePlaceholder", { length: codeLength })}
                 inputMode="numeric"
+                readOnly={locked}
               />
-              <div className="hint">Demo: any 6 digits will verify.</div>
+              {error ? <div className="hint hintError" role="alert">{authErrorMessage(error, now, t)}</div> : null}
+              {expired ? (
+                <div className="hint" id={`${codeId}-hint`}>{t("auth.expired")}</div>
+              ) : (
+                <div className="hint" id={`${codeId}-hint`}>
+                  {t("auth.sentTo", { phone: formatPhone(e164), time: formatCountdown(request.expiresAt - now) })}
+                </div>
+              )}
+              {request.devCode ? <div className="hint">{t("auth.demoCode", { code: request.devCode })}</div> : null}
+              <button className="linkBtn" disabled={resendIn > 0 || locked || loading} onClick={send}>
+                {resendIn > 0 ? t("auth.resendIn", { time: formatCountdown(resendIn) }) : t("auth.resend")}
+              </button>
             </div>
-            <div className="btnRow">
-              <Button variant="outline" onClick={() => setStep("PHONE")}>Back</Button>
+            <div className="btnRow actionBar">
+              <Button
+                variant="outline"
+                onClick={() => {
+                  setError(null);
+                  setStep("PHONE");
+                }}
+              >
+                {t("common.back")}
+              </Button>
               <Button disabled={!canVerify || loading} onClick={verify} icon={loading ? <Loader2 size={16} className="spin" /> : null}>
-                Verify
+                {t("auth.verify")}
               </Button>
             </div>
           </>
         )}
       </Card>
 
-      <Card title="Why we verify">
-        <div className="mini">
-          <div className="miniTop">
-            <div className="miniIcon"><ShieldCheck size={16} /></div>
-            <div className="miniTitle">Secure access</div>
+      {/* Keep the code entry and Verify on screen while the keyboard is up. */}
+      {!keyboardOpen ? (
+        <Card title={t("auth.why")}>
+          <div className="mini">
+            <div className="miniTop">
+              <div className="miniIcon"><ShieldCheck size={16} /></div>
+              <div className="miniTitle">{t("auth.secure")}</div>
+            </div>
+            <div className="miniDesc">{t("auth.secureDesc")}</div>
           </div>
-          <div className="miniDesc">Protects Arrive Point access and delivery notifications.</div>
-        </div>
-        <div className="mini" style={{ marginTop: 10 }}>
-          <div className="miniTop">
-            <div className="miniIcon"><Timer size={16} /></div>
-            <div className="miniTitle">Less friction</div>
+          <div className="mini" style={{ marginTop: 10 }}>
+            <div className="miniTop">
+              <div className="miniIcon"><Timer size={16} /></div>
+              <div className="miniTitle">{t("auth.friction")}</div>
+            </div>
+            <div className="miniDesc">{t("auth.frictionDesc")}</div>
           </div>
-          <div className="miniDesc">OTP sign in is quick and works on any phone.</div>
-        </div>
-      </Card>
+        </Card>
+      ) : null}
     </div>
   );
 }
 
-function Destination({ locationId, arrivePointId, onPickLocation, onPickArrivePoint, onContinue }) {
-  const location = LOCATIONS.find((l) => l.id === locationId) || null;
+function Destination({ locations, locationId, arrivePointId, onPickLocation, onPickArrivePoint, onContinue }) {
+  const { t } = useI18n();
+  const location = locations.find((l) => l.id === locationId) || null;
   const canContinue = Boolean(locationId && arrivePointId);
+  const picked = location?.arrivePoints.find((ap) => ap.id === arrivePointId) || null;
+  const pickedFull = compartmentStatus(picked)?.full;
+
+  function arrivePointSub(ap) {
+    const compartments = compartmentStatus(ap);
+    if (compartments?.full) return t("destination.full");
+    if (compartments && ap.type === "shared") return t("destination.compartmentsFree", compartments);
+    return ap.type === "shared" ? t("destination.shared") : t("destination.private");
+  }
 
   return (
     <div className="grid">
-      <Card title="Confirm your delivery destination">
-        <div className="label">Location</div>
+      <Card title={t("destination.title")}>
+        <div className="label">{t("destination.location")}</div>
         <div className="stack">
-          {LOCATIONS.map((l) => (
+          {locations.map((l) => (
             <button
               key={l.id}
               className={"select " + (l.id === locationId ? "selectOn" : "")}
+              aria-pressed={l.id === locationId}
               onClick={() => onPickLocation(l.id)}
             >
               <div>
                 <div className="selectTitle">{l.name}</div>
                 <div className="selectSub">{l.subtitle}</div>
               </div>
-              <Pill>{l.id === locationId ? "Selected" : "Select"}</Pill>
+              <Pill>{l.id === locationId ? t("common.selected") : t("common.select")}</Pill>
             </button>
           ))}
         </div>
 
         <div className="sep" />
 
-        <div className="label">Arrive Point</div>
+        <div className="label">{t("destination.arrivePoint")}</div>
         {!location ? (
-          <div className="muted">Select a location to see available Arrive Points.</div>
+          <div className="muted">{t("destination.pickLocation")}</div>
         ) : (
           <div className="stack">
             {location.arrivePoints.map((ap) => (
               <button
                 key={ap.id}
                 className={"select " + (ap.id === arrivePointId ? "selectOn" : "")}
+                aria-pressed={ap.id === arrivePointId}
                 onClick={() => onPickArrivePoint(ap.id)}
               >
                 <div>
                   <div className="selectTitle">{ap.label}</div>
-                  <div className="selectSub">{ap.type === "shared" ? "Shared access rules may apply" : "Private delivery destination"}</div>
+                  <div className="selectSub">{arrivePointSub(ap)}</div>
                 </div>
-                <Pill>{ap.id === arrivePointId ? "Selected" : "Select"}</Pill>
+                <Pill>{ap.id === arrivePointId ? t("common.selected") : t("common.select")}</Pill>
               </button>
             ))}
           </div>
         )}
 
+        {pickedFull ? (
+          <div className="notice noticeAlert" style={{ marginTop: 12 }} role="status">
+            <TriangleAlert size={18} />
+            <div>
+              <div className="noticeTitle">{t("destination.fullTitle", { arrivePoint: picked.id })}</div>
+              <div className="noticeDesc">{t("destination.fullDesc")}</div>
+            </div>
+          </div>
+        ) : null}
+
         <div style={{ marginTop: 12 }}>
           <Button full disabled={!canContinue} onClick={onContinue}>
-            Continue to merchants
+            {t("destination.continue")}
           </Button>
         </div>
       </Card>
 
-      <Card title="What happens next">
-        <Row icon={<Store size={18} />} title="Order through ChowNow" desc="Restaurants keep checkout and payment flow." />
-        <Row icon={<Truck size={18} />} title="Pickup and staging" desc="Runner or robot moves order to drone launch." />
-        <Row icon={<ShieldCheck size={18} />} title="Delivery to Arrive Point" desc="You get notified when pickup is ready." />
+      <Card title={t("destination.next")}>
+        <Row icon={<Store size={18} />} title={t("destination.order")} desc={t("destination.orderDesc")} />
+        <Row icon={<Truck size={18} />} title={t("destination.staging")} desc={t("destination.stagingDesc")} />
+        <Row icon={<ShieldCheck size={18} />} title={t("destination.delivery")} desc={t("destination.deliveryDesc")} />
       </Card>
     </div>
   );
 }
 
-function Merchants({ deliveryContext, onSelect }) {
+function Merchants({ merchants, windows, timeZone, flightHold, etaContext, deliveryContext, onSelect }) {
+  const { t, locale } = useI18n();
   const [q, setQ] = useState("");
+  const searchId = useId();
+  const windowStatus = useWindowStatus(windows, timeZone);
+  const { next, now } = windowStatus;
   const filtered = useMemo(() => {
     const s = q.trim().toLowerCase();
-    if (!s) return MERCHANTS;
-    return MERCHANTS.filter((m) => m.name.toLowerCase().includes(s) || m.category.toLowerCase().includes(s));
-  }, [q]);
+    if (!s) return merchants;
+    return merchants.filter((m) => m.name.toLowerCase().includes(s) || m.category.toLowerCase().includes(s));
+  }, [merchants, q]);
 
   return (
     <div className="grid">
-      <Card title="Choose a merchant">
+      <Card title={t("merchants.title")}>
         {deliveryContext ? (
           <div className="pills" style={{ marginBottom: 10 }}>
             <Pill><MapPin size={14} style={{ marginRight: 6 }} />{deliveryContext.locationName}</Pill>
@@ -608,222 +1259,1494 @@ function Merchants({ deliveryContext, onSelect }) {
           </div>
         ) : null}
 
+        {flightHold ? (
+          <div className="notice" style={{ marginBottom: 10 }}>
+            <Truck size={18} />
+            <div>
+              <div className="noticeTitle">{t("merchants.flightHold", { reason: flightHold.reason })}</div>
+              <div className="noticeDesc">{t("merchants.flightHoldDesc")}</div>
+            </div>
+          </div>
+        ) : null}
+
+        {!windowStatus.open ? (
+          <div className="notice" style={{ marginBottom: 10 }}>
+            <Timer size={18} />
+            <div>
+              <div className="noticeTitle">{t("merchants.closed")}</div>
+              <div className="noticeDesc">
+                {next
+                  ? t("merchants.nextWindow", {
+                      window: next.window.label,
+                      time: formatZonedClock(next.start, timeZone, locale),
+                      duration: formatDuration(next.start - now, locale)
+                    })
+                  : t("merchants.noWindows")}
+              </div>
+            </div>
+          </div>
+        ) : null}
+
         <div className="field">
-          <div className="label">Search</div>
-          <Input value={q} onChange={(e) => setQ(e.target.value)} placeholder="Search merchants" />
+          <label className="label" htmlFor={searchId}>{t("merchants.search")}</label>
+          <Input id={searchId} value={q} onChange={(e) => setQ(e.target.value)} placeholder={t("merchants.searchPlaceholder")} />
         </div>
 
         <div className="stack">
-          {filtered.map((m) => (
-            <button
-              key={m.id}
-              className={"merchant " + (!m.open ? "merchantOff" : "")}
-              disabled={!m.open}
-              onClick={() => onSelect(m.id)}
-            >
-              <div>
-                <div className="merchantTop">
-                  <div className="merchantName">{m.name}</div>
-                  <Pill>{m.open ? "Open" : "Closed"}</Pill>
-                </div>
-                <div className="merchantSub">{m.category}</div>
-                <div className="tagRow">
-                  {m.tags.map((t) => (
-                    <span className="tag" key={t}>{t}</span>
-                  ))}
+          {filtered.map((m) => {
+            const availability = merchantAvailability(m, { now, timeZone, flightHold, locale });
+            const eta = estimateMinutes(m, etaContext);
+            let pill = availability.label;
+            if (availability.available && !windowStatus.open) {
+              pill = next
+                ? t("availability.opens", { time: formatZonedClock(next.start, timeZone, locale) })
+                : t("availability.closed");
+            }
+            // Closed merchants can still be opened to schedule ahead.
+            const blocked = !availability.available && !availability.canSchedule;
+            return (
+              <button
+                key={m.id}
+                className={"merchant " + (blocked ? "merchantOff" : "")}
+                disabled={blocked}
+                onClick={() => onSelect(m.id)}
+              >
+                <div>
+                  <div className="merchantTop">
+                    <div className="merchantName">{m.name}</div>
+                    <Pill>{pill}</Pill>
+                  </div>
+                  <div className="merchantSub">{m.category}</div>
+                  <div className="tagRow">
+                    {m.tags.map((tag) => (
+                      <span className="tag" key={tag}>{tag}</span>
+                    ))}
+                  </div>
                 </div>
-              </div>
 
-              <div className="eta">
-                <div className="etaLabel">Est. delivery</div>
-                <div className="etaValue">{m.etaMins} min</div>
-                <div className="etaSmall">Arrives ~{nowPlusMinutes(m.etaMins)}</div>
-              </div>
-            </button>
-          ))}
+                <div className="eta">
+                  <div className="etaLabel">{t("merchants.eta")}</div>
+                  <div className="etaValue">{t("common.minutesRange", { low: eta.low, high: eta.high })}</div>
+                  <div className="etaSmall">
+                    {t("merchants.arrives", { time: formatZonedClockRange(now + eta.low * 60000, now + eta.high * 60000, timeZone, locale) })}
+                  </div>
+                </div>
+              </button>
+            );
+          })}
         </div>
       </Card>
 
-      <Card title="Today’s windows">
-        {WINDOWS.map((w) => (
+      <Card title={t("windows.today")}>
+        {windows.map((w) => (
           <div className="listItem" key={w.id}>
             <div>
               <div className="listTitle">{w.label}</div>
-              <div className="listSub">{w.hours}</div>
+              <div className="listSub">{formatHours(w.hours, locale)}</div>
             </div>
+            <WindowPill occurrence={windowStatus.byId[w.id]} now={now} />
           </div>
         ))}
         <div className="muted" style={{ marginTop: 10 }}>
-          Merchants may pause drone delivery due to weather or capacity.
+          {t("merchants.mayPause")}
         </div>
       </Card>
     </div>
   );
 }
 
-function MerchantDetail({ merchant, deliveryContext, onBack, onCheckout }) {
-  const note = deliveryContext ? `Visionary Park drone delivery to ${deliveryContext.arrivePointId}` : "";
+function MerchantDetail({ merchant, windows, timeZone, flightHold, etaContext, deliveryContext, onBack, onCheckout }) {
+  const { t, locale } = useI18n();
+  const { open, next, now } = useWindowStatus(windows, timeZone);
+  const availability = merchantAvailability(merchant, { now, timeZone, flightHold, locale });
+  const eta = estimateMinutes(merchant, etaContext);
+  const [slot, setSlot] = useState(null); // { start, windowId } when scheduling ahead
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+  const noteId = useId();
+
+  // Ordering now needs a delivery window and the merchant open now; otherwise
+  // the order is scheduled into a slot the merchant is open for.
+  const orderNow = open && availability.available;
+  const scheduling = !orderNow && availability.canSchedule;
+  // Slots only change on the minute; no need to rebuild them every tick.
+  const minute = Math.floor(now / 60000);
+  const slotGroups = useMemo(
+    () =>
+      scheduling
+        ? deliverySlots(windows, minute * 60000, timeZone, {
+            leadMinutes: eta.high,
+            accept: (start) => isMerchantOpenAt(merchant, start, timeZone)
+          })
+        : [],
+    [scheduling, windows, minute, timeZone, eta.high, merchant]
+  );
+  const chosen = slot && slotGroups.some((g) => g.slots.includes(slot.start)) ? slot : null;
+
+  // The note is read by merchant staff and the delivery team, so it stays in English.
+  let note = deliveryContext ? `Visionary Park drone delivery to ${deliveryContext.arrivePointId}` : "";
+  if (note && chosen) note += ` · Scheduled ${dayLabel(chosen.start, now, timeZone, "en")} ${formatZonedClock(chosen.start, timeZone, "en")}`;
+
+  let checkoutLabel = t("merchant.order");
+  if (scheduling) checkoutLabel = chosen ? t("merchant.schedule") : slotGroups.length ? t("merchant.pickTime") : t("merchant.closed");
+  else if (!orderNow) checkoutLabel = availability.label;
+
+  async function checkout() {
+    setStarting(true);
+    setError(null);
+    try {
+      await onCheckout({ slot: chosen, note });
+    } catch (e) {
+      setError(e);
+      setStarting(false);
+    }
+  }
 
   return (
     <div className="grid">
       <Card title={merchant.name}>
         <div className="pills" style={{ marginBottom: 10 }}>
           <Pill>{merchant.category}</Pill>
-          <Pill><Timer size={14} style={{ marginRight: 6 }} />{merchant.etaMins} min</Pill>
+          <Pill><Timer size={14} style={{ marginRight: 6 }} />{t("common.minutesRange", { low: eta.low, high: eta.high })}</Pill>
         </div>
 
-        <div className="muted">
-          Checkout and payment happens in ChowNow. After checkout, come back here for tracking and pickup.
-        </div>
+        <div className="muted">{t("merchant.checkoutInfo")}</div>
 
         {deliveryContext ? (
           <div className="notice" style={{ marginTop: 12 }}>
             <MapPin size={18} />
             <div>
-              <div className="noticeTitle">Delivery destination</div>
+              <div className="noticeTitle">{t("merchant.destination")}</div>
               <div className="noticeDesc">{deliveryContext.arrivePointLabel} ({deliveryContext.arrivePointId})</div>
             </div>
           </div>
         ) : null}
 
-        <div className="sep" />
+        {scheduling ? (
+          <>
+            <div className="sep" />
+            <div className="label">{t("merchant.nextWindow")}</div>
+            {!availability.available ? (
+              <div className="muted">{availability.label}</div>
+            ) : next ? (
+              <div className="muted">{t("merchant.closedUntil", { time: formatZonedClock(next.start, timeZone, locale) })}</div>
+            ) : null}
+            {slotGroups.length === 0 ? <div className="muted">{t("merchant.noWindows")}</div> : null}
+            {slotGroups.map((g) => (
+              <div key={g.start} style={{ marginTop: 10 }}>
+                <div className="selectSub">
+                  {dayLabel(g.start, now, timeZone, locale)} · {g.window.label}
+                </div>
+                <div className="slotGrid">
+                  {g.slots.map((start) => (
+                    <button
+                      key={start}
+                      className={"slot " + (chosen?.start === start ? "slotOn" : "")}
+                      aria-pressed={chosen?.start === start}
+                      onClick={() => setSlot({ start, windowId: g.window.id })}
+                    >
+                      {formatZonedClock(start, timeZone, locale)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </>
+        ) : null}
 
-        <div className="label">Suggested order note (placeholder)</div>
-        <Input value={note} readOnly />
+        <div className="sep" />
 
-        <div className="btnRow" style={{ marginTop: 12 }}>
-          <Button variant="outline" onClick={onBack}>Back</Button>
-          <Button onClick={onCheckout} icon={<Store size={16} />}>Order with ChowNow</Button>
+        <label className="label" htmlFor={noteId}>{t("merchant.note")}</label>
+        <Input id={noteId} value={note} readOnly describedBy={`${noteId}-hint`} />
+
+        <div className="btnRow actionBar">
+          <Button variant="outline" onClick={onBack}>{t("common.back")}</Button>
+          <Button
+            onClick={checkout}
+            disabled={starting || (!orderNow && !chosen)}
+            icon={starting ? <Loader2 size={16} className="spin" /> : <Store size={16} />}
+          >
+            {checkoutLabel}
+          </Button>
         </div>
 
-        <div className="hint" style={{ marginTop: 10 }}>
-          Demo: opens the ChowNow link in a new tab and creates a mock order.
+        {error ? (
+          <div className="hint hintError" role="alert">{error.status === 0 ? t("errors.network") : t("merchant.checkoutError")}</div>
+        ) : null}
+        <div className="hint" id={`${noteId}-hint`} style={{ marginTop: 10 }}>
+          {t("merchant.keepNote")}
         </div>
       </Card>
     </div>
   );
 }
 
-function Tracking({ order, deliveryContext, onBack, onUnlock }) {
-  const steps = [
-    { key: "PLACED", label: "Order placed" },
-    { key: "ACCEPTED", label: "Accepted" },
-    { key: "PREPARING", label: "Preparing" },
-    { key: "READY", label: "Ready for pickup" },
-    { key: "PICKED_UP", label: "Picked up" },
-    { key: "IN_FLIGHT", label: "In flight" },
-    { key: "DELIVERED", label: "Delivered" }
-  ];
-  const idx = steps.findIndex((s) => s.key === order.status);
-  const canUnlock = order.status === "DELIVERED";
+// Checkout sessions that ended without an order; copy is under checkout.<STATUS>.*.
+const CHECKOUT_ENDED = [CHECKOUT_STATUS.CANCELLED, CHECKOUT_STATUS.ABANDONED];
+
+// Waits for ChowNow to confirm, cancel or time out the checkout session.
+function Checkout({ pending, timeZone, onConfirmed, onBack, onRetry }) {
+  const { t, locale } = useI18n();
+  const { session: cs, error, recheck } = useCheckoutSession(pending.sessionId);
+  const [cancelling, setCancelling] = useState(false);
+  const status = cs?.status || CHECKOUT_STATUS.PENDING;
+  // The session is polled, so a confirmed one keeps arriving; act on it once.
+  const confirmedId = useRef(null);
+
+  useEffect(() => {
+    if (cs?.status !== CHECKOUT_STATUS.CONFIRMED || confirmedId.current === cs.id) return;
+    confirmedId.current = cs.id;
+    onConfirmed(cs);
+  }, [cs, onConfirmed]);
+
+  async function cancel() {
+    setCancelling(true);
+    try {
+      await checkoutProvider.cancelSession(pending.sessionId);
+    } catch {
+      // The next check shows whatever state the session is really in.
+    }
+    setCancelling(false);
+    recheck();
+  }
+
+  const ended = CHECKOUT_ENDED.includes(status);
+  let announcement = status === CHECKOUT_STATUS.CONFIRMED ? t("checkout.confirmed") : t("checkout.finish");
+  if (ended) announcement = t(`checkout.${status}.title`);
 
   return (
     <div className="grid">
-      <Card title="Tracking">
+      <Card title={t("checkout.title")}>
+        <LiveStatus>{announcement}</LiveStatus>
         <div className="pills" style={{ marginBottom: 10 }}>
-          <Pill>Order {order.id}</Pill>
-          <Pill>{order.merchantName}</Pill>
-          {deliveryContext?.arrivePointId ? (
-            <Pill><MapPin size={14} style={{ marginRight: 6 }} />{deliveryContext.arrivePointId}</Pill>
-          ) : null}
-          <Pill>ETA ~{nowPlusMinutes(order.eta)}</Pill>
-        </div>
-
-        <div className="statusBox">
-          <div className="statusBig">{steps[idx]?.label || order.status}</div>
-          <div className="statusSteps">
-            {steps.map((s, i) => (
-              <div key={s.key} className={"step " + (i <= idx ? "stepOn" : "")}>
-                <div className="dot" />
-                <div className="stepLabel">{s.label}</div>
-              </div>
-            ))}
-          </div>
+          <Pill>{pending.merchantName}</Pill>
+          {pending.slot ? <Pill>{t("common.scheduledAt", { time: formatZonedClock(pending.slot.start, timeZone, locale) })}</Pill> : null}
         </div>
 
-        {canUnlock ? (
-          <div className="notice" style={{ marginTop: 12 }}>
-            <Lock size={18} />
+        {ended ? (
+          <div className="notice">
+            <Store size={18} />
             <div>
-              <div className="noticeTitle">Your order has arrived</div>
-              <div className="noticeDesc">Open the Arrive Point to retrieve your order.</div>
+              <div className="noticeTitle">{t(`checkout.${status}.title`)}</div>
+              <div className="noticeDesc">{t(`checkout.${status}.desc`)}</div>
             </div>
           </div>
         ) : (
-          <div className="hint" style={{ marginTop: 12 }}>Demo: status updates advance automatically.</div>
+          <div className="notice">
+            <Loader2 size={18} className="spin" />
+            <div>
+              <div className="noticeTitle">{t("checkout.finish")}</div>
+              <div className="noticeDesc">
+                {status === CHECKOUT_STATUS.CONFIRMED ? t("checkout.confirmed") : t("checkout.waiting")}
+              </div>
+            </div>
+          </div>
         )}
 
-        <div className="btnRow" style={{ marginTop: 12 }}>
-          <Button variant="outline" onClick={onBack}>Back to merchants</Button>
-          <Button disabled={!canUnlock} onClick={onUnlock} icon={<Lock size={16} />}>Open Arrive Point</Button>
-        </div>
+        {error ? <div className="hint hintError">{t("checkout.unreachable")}</div> : null}
+
+        {ended ? (
+          <div className="btnRow actionBar">
+            <Button variant="outline" onClick={onBack}>{t("checkout.backToMerchants")}</Button>
+            <Button onClick={onRetry} icon={<Store size={16} />}>{t("common.tryAgain")}</Button>
+          </div>
+        ) : (
+          <div className="btnRow actionBar">
+            <Button variant="outline" disabled={cancelling} onClick={cancel}>{t("checkout.cancel")}</Button>
+            <Button onClick={() => window.open(pending.checkoutUrl, "_blank", "noopener,noreferrer")} icon={<Store size={16} />}>{t("checkout.reopen")}</Button>
+          </div>
+        )}
       </Card>
     </div>
   );
 }
 
-function Unlock({ order, deliveryContext, onDone }) {
-  const [mode, setMode] = useState("QR");
-  const [unlocking, setUnlocking] = useState(false);
-  const [unlocked, setUnlocked] = useState(false);
-  const [otp, setOtp] = useState("");
-
-  async function doUnlock() {
-    setUnlocking(true);
-    await new Promise((r) => setTimeout(r, 900));
-    setUnlocking(false);
-    setUnlocked(true);
-  }
+function Orders({ orders, timeZone, onTrack, onUnlock, onNewOrder }) {
+  const { t, locale } = useI18n();
+  const active = orders.filter(isActiveOrder);
+  const past = orders.filter((o) => !isActiveOrder(o));
+
+  const item = (o) => {
+    const info = orderStatusInfo(o, t);
+    let sub = formatZonedClock(o.placedAt, timeZone, locale);
+    if (isActiveOrder(o) && o.eta) sub = t("common.eta", { time: formatZonedClockRange(o.eta.earliest, o.eta.latest, timeZone, locale) });
+    if (o.status === "SCHEDULED") sub = t("common.scheduledAt", { time: formatZonedClock(o.scheduledFor, timeZone, locale) });
+    if (canUnlockOrder(o) && o.compartment) sub = t("common.compartment", { n: o.compartment });
+    return (
+      <div key={o.id}>
+        <button className="select" onClick={() => onTrack(o.id)}>
+          <div>
+            <div className="selectTitle">{o.merchantName}</div>
+            <div className="selectSub">
+              {o.id} · {o.arrivePointId} · {sub}
+            </div>
+          </div>
+          <Pill>{info.label}</Pill>
+        </button>
+        {canUnlockOrder(o) ? (
+          <div className="btnRow" style={{ marginTop: 6 }}>
+            <Button onClick={() => onUnlock(o.id)} icon={<Lock size={16} />}>{t("common.openArrivePoint")}</Button>
+          </div>
+        ) : null}
+      </div>
+    );
+  };
 
   return (
     <div className="grid">
-      <Card title="Open Arrive Point">
-        <div className="tabs">
-          <button className={"tab " + (mode === "QR" ? "tabOn" : "")} onClick={() => setMode("QR")}>QR</button>
-          <button className={"tab " + (mode === "OTP" ? "tabOn" : "")} onClick={() => setMode("OTP")}>OTP</button>
+      <Card title={t("orders.active")}>
+        {active.length ? <div className="stack">{active.map(item)}</div> : <div className="muted">{t("orders.noActive")}</div>}
+        <div className="btnRow actionBar">
+          <Button onClick={onNewOrder} icon={<Store size={16} />}>{t("orders.new")}</Button>
         </div>
+      </Card>
 
-        {mode === "QR" ? (
-          <div className="qrBox">
-            <div className="rowTitle">Scan to open</div>
-            <div className="rowDesc">Show this QR to the Arrive Point scanner.</div>
-            <div className="qrPlaceholder">
-              <div className="muted">QR placeholder</div>
-              <div className="hint">Token: {order.id}</div>
-            </div>
+      <Card title={t("orders.past")}>
+        {past.length ? <div className="stack">{past.map(item)}</div> : <div className="muted">{t("orders.noPast")}</div>}
+      </Card>
+    </div>
+  );
+}
+
+// Tracking connection states with copy under connection.*.
+const CONNECTION_STATES = ["connecting", "live", "reconnecting", "polling"];
+
+function Tracking({ order, connection, deliveryContext, campusMap, locations, support, timeZone, holdMins, onBack, onRetry, onUnlock }) {
+  const { t, locale } = useI18n();
+  const scheduled = order.status === "SCHEDULED";
+  const final = isFinalStatus(order.status);
+  const now = useNow(final ? null : 1000);
+  const late = isRunningLate(order, now);
+  const [showRefund, setShowRefund] = useState(false);
+  const steps = orderSteps(order, t);
+  const info = orderStatusInfo(order, t);
+  const exception = isExceptionStatus(order.status);
+  const actions = info.actions || [];
+  const canUnlock = canUnlockOrder(order);
+  const heldUntil = pickupDeadline(order, holdMins);
+
+  function contactSupport() {
+    if (support?.email) window.location.href = `mailto:${support.email}?subject=${encodeURIComponent(t("tracking.order", { id: order.id }))}`;
+    else if (support?.phone) window.location.href = `tel:${support.phone}`;
+  }
+
+  return (
+    <div className="grid">
+      <Card title={t("tracking.title")}>
+        <LiveStatus>
+          {info.title}. {info.desc}
+          {late ? ` ${t("tracking.late")}.` : ""}
+        </LiveStatus>
+        <div className="pills" style={{ marginBottom: 10 }}>
+          <Pill>{t("tracking.order", { id: order.id })}</Pill>
+          <Pill>{order.merchantName}</Pill>
+          {deliveryContext?.arrivePointId ? (
+            <Pill><MapPin size={14} style={{ marginRight: 6 }} />{deliveryContext.arrivePointId}</Pill>
+          ) : null}
+          {order.compartment ? <Pill>{t("common.compartment", { n: order.compartment })}</Pill> : null}
+          {order.eta && !final ? (
+            <Pill>{t("common.eta", { time: formatZonedClockRange(order.eta.earliest, order.eta.latest, timeZone, locale) })}</Pill>
+          ) : null}
+          {late ? <Pill>{t("tracking.late")}</Pill> : null}
+        </div>
+
+        <div className="statusBox">
+          <div className="statusBig">{info.title}</div>
+          <ol className="statusSteps">
+            {steps.map((s) => (
+              <li
+                key={s.key}
+                className={"step " + (s.state === "alert" ? "stepAlert" : s.state !== "pending" ? "stepOn" : "")}
+                aria-current={s.state === "current" ? "step" : undefined}
+              >
+                <div className="dot" />
+                <div className="stepLabel">{s.label}</div>
+                {s.at ? <div className="stepTime">{formatZonedClock(s.at, timeZone, locale)}</div> : null}
+              </li>
+            ))}
+          </ol>
+        </div>
+
+        {exception ? (
+          <div className="notice noticeAlert" style={{ marginTop: 12 }}>
+            <TriangleAlert size={18} />
+            <div>
+              <div className="noticeTitle">{info.title}</div>
+              <div className="noticeDesc">{info.desc}</div>
+            </div>
           </div>
-        ) : (
-          <div className="field">
-            <div className="label">6-digit code</div>
-            <Input
-              value={otp}
-              onChange={(e) => setOtp(e.target.value.replace(/\D/g, "").slice(0, 6))}
-              placeholder="123456"
-              inputMode="numeric"
-            />
-            <div className="hint">Demo only.</div>
+        ) : null}
+
+        {showRefund && info.refund ? (
+          <div className="notice" style={{ marginTop: 12 }}>
+            <Receipt size={18} />
+            <div>
+              <div className="noticeTitle">{t("tracking.refunds")}</div>
+              <div className="noticeDesc">{info.refund}</div>
+            </div>
           </div>
-        )}
+        ) : null}
 
-        {!unlocked ? (
-          <Button full onClick={doUnlock} disabled={unlocking} icon={unlocking ? <Loader2 size={16} className="spin" /> : null}>
-            Unlock
-          </Button>
-        ) : (
+        {actions.length ? (
+          <div className="btnRow" style={{ marginTop: 12 }}>
+            {actions.includes("retry") ? (
+              <Button variant="outline" onClick={onRetry} icon={<RotateCcw size={16} />}>{t("tracking.orderAgain")}</Button>
+            ) : null}
+            {actions.includes("refund") ? (
+              <Button variant="outline" onClick={() => setShowRefund((v) => !v)} icon={<Receipt size={16} />}>{t("tracking.refundInfo")}</Button>
+            ) : null}
+            {actions.includes("support") && (support?.email || support?.phone) ? (
+              <Button variant="outline" onClick={contactSupport} icon={<LifeBuoy size={16} />}>{t("tracking.support")}</Button>
+            ) : null}
+          </div>
+        ) : null}
+
+        {scheduled ? (
+          <div className="notice" style={{ marginTop: 12 }}>
+            <Timer size={18} />
+            <div>
+              <div className="noticeTitle">{t("tracking.startsIn", { duration: formatDuration(order.scheduledFor - now, locale) })}</div>
+              <div className="noticeDesc">{t("tracking.scheduledDesc", { time: formatZonedClock(order.scheduledFor, timeZone, locale) })}</div>
+            </div>
+          </div>
+        ) : null}
+
+        {late ? (
           <div className="notice" style={{ marginTop: 12 }}>
-            <ShieldCheck size={18} />
+            <Timer size={18} />
             <div>
-              <div className="noticeTitle">Unlocked</div>
-              <div className="noticeDesc">Retrieve your order and close the compartment door.</div>
+              <div className="noticeTitle">{t("tracking.late")}</div>
+              <div className="noticeDesc">
+                {order.eta.promisedLatest !== order.eta.latest
+                  ? t("tracking.lateWasDesc", {
+                      time: formatZonedClockRange(order.eta.earliest, order.eta.latest, timeZone, locale),
+                      promised: formatZonedClock(order.eta.promisedLatest, timeZone, locale)
+                    })
+                  : t("tracking.lateDesc", { time: formatZonedClockRange(order.eta.earliest, order.eta.latest, timeZone, locale) })}
+              </div>
             </div>
           </div>
+        ) : null}
+
+        {canUnlock ? (
+          <div className="notice" style={{ marginTop: 12 }}>
+            <Lock size={18} />
+            <div>
+              <div className="noticeTitle">{t("tracking.arrived")}</div>
+              <div className="noticeDesc">
+                {heldUntil ? t("tracking.arrivedHeld", { time: formatZonedClock(heldUntil, timeZone, locale) }) : t("tracking.arrivedDesc")}
+                {order.compartment ? ` ${t("tracking.inCompartment", { n: order.compartment })}` : ""}
+              </div>
+            </div>
+          </div>
+        ) : final ? null : (
+          <div className="hint" style={{ marginTop: 12 }}>{CONNECTION_STATES.includes(connection) ? t(`connection.${connection}`) : ""}</div>
         )}
 
+        <div className="btnRow actionBar">
+          <Button variant="outline" onClick={onBack}>{t("tracking.allOrders")}</Button>
+          <Button disabled={!canUnlock} onClick={onUnlock} icon={<Lock size={16} />}>{t("common.openArrivePoint")}</Button>
+        </div>
+      </Card>
+
+      <FlightMap order={order} map={campusMap} locations={locations} now={now} />
+    </div>
+  );
+}
+
+// What the map shows, in words: its caption and its label for screen readers.
+function flightMapCaption(order, mode, vehicle, arrivePoint, t) {
+  if (order.status === "DELIVERED") return t("map.arrived", { arrivePoint });
+  if (!vehicle) return isFinalStatus(order.status) ? t("map.route", { arrivePoint }) : t("map.waiting");
+  if (order.status === "WEATHER_HOLD") return t("map.grounded");
+  if (vehicle.progress === 0) return t("map.atPad");
+  if (vehicle.live) return t(mode === "runner" ? "map.walkingLive" : "map.flyingLive", { arrivePoint });
+  const percent = Math.round(vehicle.progress * 100);
+  return t(mode === "runner" ? "map.walking" : "map.flying", { percent, arrivePoint });
+}
+
+// Campus map for an order, drawn from the catalog alone; nothing when the campus or Arrive Point has no map data.
+function FlightMap({ order, map, locations, now }) {
+  const { t } = useI18n();
+  const projection = useMemo(() => mapProjection(map), [map]);
+  const destination = locations.flatMap((l) => l.arrivePoints).find((ap) => ap.id === order.arrivePointId);
+  if (!projection || !destination?.position) return null;
+
+  const { width, height, project } = projection;
+  const mode = deliveryMode(order);
+  const route = routePoints(mode, map.launchPad, destination.position);
+  const vehicle = vehiclePosition(order, route, now);
+  const pad = project(map.launchPad);
+  const ap = project(destination.position);
+  const at = vehicle ? project(vehicle.point) : null;
+  const caption = flightMapCaption(order, mode, vehicle, destination.id, t);
+  const Vehicle = mode === "runner" ? Footprints : Drone;
+
+  return (
+    <Card title={t("map.title")}>
+      <figure className="flightMap">
+        <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label={caption}>
+          <rect width={width} height={height} className="mapGround" />
+          {locations
+            .filter((l) => l.footprint)
+            .map((l) => {
+              const nw = project({ lat: l.footprint.north, lng: l.footprint.west });
+              const se = project({ lat: l.footprint.south, lng: l.footprint.east });
+              return (
+                <g key={l.id}>
+                  <rect
+                    x={nw.x}
+                    y={nw.y}
+                    width={se.x - nw.x}
+                    height={se.y - nw.y}
+                    rx="10"
+                    className={"mapBuilding " + (l.id === order.locationId ? "mapBuildingOn" : "")}
+                  />
+                  <text x={nw.x + 12} y={nw.y + 30} className="mapLabel">{l.name}</text>
+                </g>
+              );
+            })}
+          <polyline
+            points={route.map(project).map((p) => `${p.x},${p.y}`).join(" ")}
+            className={"mapRoute " + (mode === "runner" ? "mapRouteGround" : "")}
+          />
+          <circle cx={pad.x} cy={pad.y} r="24" className="mapPad" />
+          <text x={pad.x} y={pad.y + 56} textAnchor="middle" className="mapLabel">{t("map.launchPad")}</text>
+          <circle cx={ap.x} cy={ap.y} r="14" className="mapArrivePoint" />
+          <text x={ap.x} y={ap.y - 26} textAnchor="middle" className="mapLabel mapLabelStrong">{destination.id}</text>
+          {at ? (
+            <g className="mapVehicle" style={{ transform: `translate(${at.x}px, ${at.y}px)` }}>
+              <circle r="26" />
+              <Vehicle x={-16} y={-16} size={32} />
+            </g>
+          ) : null}
+        </svg>
+        <figcaption className="hint">{caption}</figcaption>
+      </figure>
+    </Card>
+  );
+}
+
+function UnlockQr({ unlockCredential }) {
+  const { t } = useI18n();
+  const { status, credential, error, refresh } = unlockCredential;
+  const src = useQrDataUrl(status === "ready" ? credential.token : null);
+  const now = useNow(1000);
+
+  if (status === "error" || status === "expired") {
+    return (
+      <div className="qrPlaceholder qrExpired">
+        <div>
+          <div className="rowTitle">{status === "expired" ? t("qr.expired") : t("qr.error")}</div>
+          <div className="hint">{status === "expired" ? t("qr.expiredDesc") : credentialErrorMessage(error, t)}</div>
+          <div style={{ marginTop: 10 }}>
+            <Button variant="outline" onClick={refresh} icon={<RefreshCw size={16} />}>{t("qr.refresh")}</Button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (status !== "ready" || !src) {
+    return (
+      <div className="qrPlaceholder">
+        <Loader2 size={20} className="spin" />
+      </div>
+    );
+  }
+
+  const secondsLeft = Math.max(0, Math.ceil((credential.expiresAt - now) / 1000));
+  return (
+    <div className="qrFrame">
+      <img className="qrImage" src={src} alt={t("qr.alt")} />
+      <div className="hint">{t("qr.refreshesIn", { seconds: secondsLeft })}</div>
+    </div>
+  );
+}
+
+function credentialErrorMessage(e, t) {
+  switch (e.code) {
+    case CREDENTIAL_ERRORS.OFFLINE:
+      return t("qr.offline");
+    case CREDENTIAL_ERRORS.NOT_READY:
+      return t("qr.notReady");
+    case CREDENTIAL_ERRORS.ORDER_NOT_FOUND:
+      return t("qr.orderNotFound");
+    default:
+      return genericErrorMessage(e, t);
+  }
+}
+
+// Copy for each door state the lock controller reports is under door.<STATE>.*.
+function lockErrorMessage(e, now, t) {
+  switch (e.code) {
+    case LOCK_ERRORS.INVALID_CODE:
+      return t("errors.invalidCode", { count: e.attemptsLeft });
+    case LOCK_ERRORS.LOCKED:
+      return t("errors.locked", { time: formatCountdown(e.lockedUntil - now) });
+    case LOCK_ERRORS.WRONG_ARRIVE_POINT:
+      return t("unlock.wrongArrivePoint");
+    case LOCK_ERRORS.WRONG_COMPARTMENT:
+      return t("unlock.wrongCompartment");
+    case LOCK_ERRORS.INVALID_CREDENTIAL:
+      return t("unlock.invalidCredential");
+    default:
+      return genericErrorMessage(e, t);
+  }
+}
+
+function Unlock({ order, session, deliveryContext, onCollected, onDone }) {
+  const { t } = useI18n();
+  const [mode, setMode] = useState("QR");
+  const [door, setDoor] = useState(null); // null until the controller reports, then a DOOR_STATES value
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [otp, setOtp] = useState("");
+  const unlockCredential = useUnlockCredential(order, session);
+  const now = useNow(1000);
+  const tabsId = useId();
+  const codeId = useId();
+  // Offline, the lock cannot be asked to open; the user presents the saved code to the Arrive Point instead.
+  const offline = !useOnline();
+
+  const locked = error?.code === LOCK_ERRORS.LOCKED && now < error.lockedUntil;
+  const opened = door === "OPEN" || door === "DOOR_CLOSED" || door === "ALREADY_COLLECTED";
+  const canUnlock =
+    !offline && !busy && !opened && !locked && (mode === "QR" ? unlockCredential.status === "ready" : otp.length === 6);
+  const demoCode = lockController.demoDisplayCode?.(order);
+
+  async function doUnlock() {
+    setBusy(true);
+    setError(null);
+    setDoor(null);
+    try {
+      const final = await lockController.unlock(
+        { order, session, method: mode, code: otp, token: unlockCredential.credential?.token },
+        setDoor
+      );
+      setDoor(final);
+      if (final === "DOOR_CLOSED" || final === "ALREADY_COLLECTED") onCollected();
+    } catch (e) {
+      setError(e);
+      if (mode === "OTP") setOtp("");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="grid">
+      <Card title={t("common.openArrivePoint")}>
+        <div className="pills" style={{ marginBottom: 10 }}>
+          <Pill>{t("tracking.order", { id: order.id })}</Pill>
+          {deliveryContext?.arrivePointId ? (
+            <Pill><MapPin size={14} style={{ marginRight: 6 }} />{deliveryContext.arrivePointId}</Pill>
+          ) : null}
+          {order.compartment ? <Pill>{t("common.compartment", { n: order.compartment })}</Pill> : null}
+        </div>
+
+        {offline ? (
+          <div className="notice noticeAlert" style={{ marginBottom: 12 }}>
+            <WifiOff size={18} />
+            <div>
+              <div className="noticeTitle">{t("unlock.offline")}</div>
+              <div className="noticeDesc">{t("unlock.offlineDesc")}</div>
+            </div>
+          </div>
+        ) : null}
+
+        <Tabs
+          id={tabsId}
+          label={t("unlock.method")}
+          tabs={[
+            { key: "QR", label: "QR" },
+            { key: "OTP", label: offline ? t("unlock.keypad") : t("unlock.otp") }
+          ]}
+          value={mode}
+          onChange={setMode}
+        />
+
+        <div role="tabpanel" id={`${tabsId}-panel`} aria-labelledby={`${tabsId}-tab-${mode}`}>
+          {mode === "QR" ? (
+            <div className="qrBox">
+              <div className="rowTitle">{t("unlock.scan")}</div>
+              <div className="rowDesc">{t("unlock.scanDesc")}</div>
+              <UnlockQr unlockCredential={unlockCredential} />
+            </div>
+          ) : offline ? (
+            <div className="qrBox">
+              <div className="rowTitle">{t("unlock.keypadCode")}</div>
+              <div className="rowDesc">{t("unlock.keypadDesc")}</div>
+              {unlockCredential.status === "ready" ? (
+                <div className="keypadCode">{unlockCredential.credential.code}</div>
+              ) : (
+                <UnlockQr unlockCredential={unlockCredential} />
+              )}
+              {unlockCredential.status === "ready" ? (
+                <div className="hint">{t("unlock.keypadChanges", { seconds: unlockCredential.grant.stepSeconds })}</div>
+              ) : null}
+            </div>
+          ) : (
+            <div className="field">
+              <label className="label" htmlFor={codeId}>{t("unlock.code")}</label>
+              <Input
+                id={codeId}
+                describedBy={`${codeId}-hint`}
+                value={otp}
+                onChange={(e) => setOtp(e.target.value.replace(/\D/g, "").slice(0, 6))}
+                placeholder="123456"
+                inputMode="numeric"
+                readOnly={locked}
+              />
+              <div className="hint" id={`${codeId}-hint`}>{t("unlock.codeHint")}</div>
+              {demoCode ? <div className="hint">{t("unlock.demoCode", { code: demoCode })}</div> : null}
+            </div>
+          )}
+        </div>
+
+        {error ? <div className="hint hintError" role="alert">{lockErrorMessage(error, now, t)}</div> : null}
+
+        <LiveStatus>{door ? t(`door.${door}.title`) : ""}</LiveStatus>
+        {door ? (
+          <div className="notice" style={{ marginTop: 12 }}>
+            {door === "UNLOCKING" ? <Loader2 size={18} className="spin" /> : opened ? <ShieldCheck size={18} /> : <Lock size={18} />}
+            <div>
+              <div className="noticeTitle">{t(`door.${door}.title`)}</div>
+              <div className="noticeDesc">{t(`door.${door}.desc`)}</div>
+            </div>
+          </div>
+        ) : null}
+
+        <div className="actionBar">
+          {!opened && !offline ? (
+            <Button full onClick={doUnlock} disabled={!canUnlock} icon={busy ? <Loader2 size={16} className="spin" /> : null}>
+              {door === "JAMMED" || door === "TIMEOUT" ? t("common.tryAgain") : t("unlock.unlock")}
+            </Button>
+          ) : null}
+          <div className="btnRow" style={{ marginTop: opened || offline ? 0 : 10 }}>
+            <Button variant="outline" onClick={() => alert(t("unlock.helpPlaceholder"))}>{t("unlock.help")}</Button>
+            <Button onClick={onDone}>{t("common.done")}</Button>
+          </div>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+function operatorErrorMessage(e, t) {
+  switch (e.code) {
+    case OPERATOR_ERRORS.FORBIDDEN:
+      return t("operator.forbidden");
+    case OPERATOR_ERRORS.NOT_FOUND:
+      return t("operator.notFound");
+    case OPERATOR_ERRORS.INVALID:
+      return t("operator.invalid");
+    default:
+      return genericErrorMessage(e, t);
+  }
+}
+
+const NEW_ARRIVE_POINT = { id: "", label: "", type: "shared", flightMins: "", compartments: "", isNew: true };
+
+const NEW_ENTRIES = {
+  locations: { id: "", name: "", subtitle: "", arrivePoints: [NEW_ARRIVE_POINT] },
+  merchants: { id: "", name: "", category: "", etaMins: "", prepMins: "", capacity: "", chownowUrl: "", tags: "", hours: [{ hours: "" }] },
+  windows: { id: "", label: "", hours: "" }
+};
+
+const asText = (n) => (n == null ? "" : String(n));
+
+// Form state for a saved entry: numbers and tags become editable text (normalizeEntry turns them back).
+function draftFor(kind, entry) {
+  if (kind === "locations") {
+    return {
+      ...entry,
+      arrivePoints: entry.arrivePoints.map((ap) => ({ ...ap, flightMins: asText(ap.flightMins), compartments: asText(ap.compartments) }))
+    };
+  }
+  if (kind === "merchants") {
+    return {
+      ...entry,
+      etaMins: asText(entry.etaMins),
+      prepMins: asText(entry.prepMins),
+      capacity: asText(entry.capacity),
+      tags: (entry.tags || []).join(", ")
+    };
+  }
+  return { ...entry };
+}
+
+function entrySummary(kind, entry, t, locale) {
+  if (kind === "locations") return `${entry.id} · ${t("operator.arrivePointCount", { count: entry.arrivePoints.length })}`;
+  if (kind === "merchants") return `${entry.id} · ${entry.category}`;
+  return `${entry.id} · ${formatHours(entry.hours, locale)}`;
+}
+
+// Labelled text input for the operator forms; error is a reason from validateEntry.
+function FormField({ label, value, onChange, error, hint, placeholder, inputMode, readOnly }) {
+  const { t } = useI18n();
+  const id = useId();
+  const note = error ? t(`operator.error.${error}`) : hint;
+  return (
+    <div className="field">
+      <label className="label" htmlFor={id}>{label}</label>
+      <Input
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        inputMode={inputMode}
+        readOnly={readOnly}
+        describedBy={note ? `${id}-hint` : undefined}
+      />
+      {note ? <div className={"hint " + (error ? "hintError" : "")} id={`${id}-hint`}>{note}</div> : null}
+    </div>
+  );
+}
+
+// Weekday toggles, 0 = Sunday. None picked means every day.
+function DaysPicker({ label, days = [], onChange }) {
+  const { t, locale } = useI18n();
+  const labelId = useId();
+  const names = useMemo(() => {
+    const f = new Intl.DateTimeFormat(locale, { weekday: "short", timeZone: "UTC" });
+    // 4 January 2026 was a Sunday.
+    return [0, 1, 2, 3, 4, 5, 6].map((d) => f.format(Date.UTC(2026, 0, 4 + d)));
+  }, [locale]);
+
+  return (
+    <div className="field">
+      <div className="label" id={labelId}>{label}</div>
+      <div className="dayPicker" role="group" aria-labelledby={labelId}>
+        {names.map((name, d) => {
+          const on = days.includes(d);
+          return (
+            <button
+              key={d}
+              className={"pill pillButton " + (on ? "pillOn" : "")}
+              aria-pressed={on}
+              onClick={() => onChange(on ? days.filter((x) => x !== d) : [...days, d])}
+            >
+              {name}
+            </button>
+          );
+        })}
+      </div>
+      <div className="hint">{t("operator.field.daysHint")}</div>
+    </div>
+  );
+}
+
+function DisabledToggle({ checked, onChange }) {
+  const { t } = useI18n();
+  return (
+    <label className="toggleRow">
+      <input type="checkbox" checked={Boolean(checked)} onChange={() => onChange(!checked)} />
+      <div>
+        <div className="rowTitle">{t("operator.field.disabled")}</div>
+        <div className="rowDesc">{t("operator.field.disabledDesc")}</div>
+      </div>
+    </label>
+  );
+}
+
+function OperatorConsole({ session, onPosters, onBack }) {
+  const { t, locale } = useI18n();
+  const catalog = useOperatorCatalog(session);
+  const [kind, setKind] = useState("locations");
+  const [editing, setEditing] = useState(null); // { kind, draft, isNew }
+  const [announcement, setAnnouncement] = useState("");
+  const tabsId = useId();
+
+  if (!catalog.data) {
+    return (
+      <div className="grid">
+        <Card title={t("operator.title")}>
+          {catalog.status === "error" ? (
+            <>
+              <div className="hint hintError" role="alert">{operatorErrorMessage(catalog.error, t)}</div>
+              <div className="btnRow" style={{ marginTop: 12 }}>
+                <Button variant="outline" onClick={onBack}>{t("common.back")}</Button>
+                <Button onClick={catalog.reload}>{t("common.tryAgain")}</Button>
+              </div>
+            </>
+          ) : (
+            <div className="loadingRow" role="status">
+              <Loader2 size={16} className="spin" />
+              <span className="muted">{t("operator.loading")}</span>
+            </div>
+          )}
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid">
+      <Card title={t("operator.title")}>
+        <div className="muted">{t("operator.sub")}</div>
+        <Tabs
+          id={tabsId}
+          label={t("operator.sections")}
+          tabs={CATALOG_KINDS.map((k) => ({ key: k, label: t(`operator.tab.${k}`) }))}
+          value={kind}
+          onChange={setKind}
+        />
+        <div role="tabpanel" id={`${tabsId}-panel`} aria-labelledby={`${tabsId}-tab-${kind}`}>
+          {catalog.data[kind].map((entry) => (
+            <div className="listItem" key={entry.id}>
+              <div>
+                <div className="listTitle">{entry.name || entry.label}</div>
+                <div className="listSub">{entrySummary(kind, entry, t, locale)}</div>
+              </div>
+              <div className="pills">
+                {entry.disabled ? <Pill>{t("operator.disabled")}</Pill> : null}
+                <Button variant="outline" onClick={() => setEditing({ kind, draft: draftFor(kind, entry), isNew: false })}>
+                  {t("operator.edit")}
+                </Button>
+              </div>
+            </div>
+          ))}
+          <div style={{ marginTop: 12 }}>
+            <Button full onClick={() => setEditing({ kind, draft: NEW_ENTRIES[kind], isNew: true })}>
+              {t(`operator.add.${kind}`)}
+            </Button>
+          </div>
+        </div>
+        <div className="btnRow" style={{ marginTop: 10 }}>
+          <Button variant="outline" onClick={onBack}>{t("common.back")}</Button>
+          <Button variant="outline" onClick={onPosters} icon={<QrCode size={16} />}>{t("operator.posters")}</Button>
+        </div>
+      </Card>
+
+      <LiveStatus>{announcement}</LiveStatus>
+
+      {editing ? (
+        <OperatorEditor
+          {...editing}
+          save={catalog.save}
+          onClose={() => setEditing(null)}
+          onSaved={(saved) => {
+            setEditing(null);
+            setAnnouncement(t("operator.saved", { name: saved.name || saved.label }));
+          }}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+function OperatorEditor({ kind, draft: initial, isNew, save, onClose, onSaved }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(initial);
+  const [errors, setErrors] = useState({});
+  const [failure, setFailure] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const typeId = useId();
+  const errorCount = Object.keys(errors).length;
+
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const setAt = (list, i, patch) => setDraft((d) => ({ ...d, [list]: d[list].map((x, j) => (j === i ? { ...x, ...patch } : x)) }));
+  const append = (list, item) => setDraft((d) => ({ ...d, [list]: [...d[list], item] }));
+  const removeAt = (list, i) => setDraft((d) => ({ ...d, [list]: d[list].filter((_, j) => j !== i) }));
+
+  async function submit() {
+    setSaving(true);
+    setFailure(null);
+    try {
+      const result = await save(kind, draft, { isNew });
+      if (result.fields) setErrors(result.fields);
+      else onSaved(result.saved);
+    } catch (e) {
+      if (e.code === OPERATOR_ERRORS.INVALID && e.fields) setErrors(e.fields);
+      else setFailure(e);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const idField = (
+    <FormField
+      label={t("operator.field.id")}
+      value={draft.id}
+      onChange={(id) => set({ id })}
+      error={errors.id}
+      hint={isNew ? t("operator.field.idHint") : t("operator.field.idLocked")}
+      readOnly={!isNew}
+    />
+  );
+
+  return (
+    <Dialog
+      title={t(isNew ? `operator.new.${kind}` : `operator.editTitle.${kind}`)}
+      onClose={onClose}
+      footer={
+        <>
+          {errorCount ? (
+            <div className="hint hintError" role="alert" style={{ marginBottom: 10 }}>{t("operator.fixFields", { count: errorCount })}</div>
+          ) : failure ? (
+            <div className="hint hintError" role="alert" style={{ marginBottom: 10 }}>{operatorErrorMessage(failure, t)}</div>
+          ) : null}
+          <div className="btnRow">
+            <Button variant="outline" onClick={onClose}>{t("operator.cancel")}</Button>
+            <Button onClick={submit} disabled={saving} icon={saving ? <Loader2 size={16} className="spin" /> : null}>
+              {t("operator.save")}
+            </Button>
+          </div>
+        </>
+      }
+    >
+      {kind === "locations" ? (
+        <>
+          {idField}
+          <FormField label={t("operator.field.name")} value={draft.name} onChange={(name) => set({ name })} error={errors.name} />
+          <FormField label={t("operator.field.subtitle")} value={draft.subtitle} onChange={(subtitle) => set({ subtitle })} />
+          <DisabledToggle checked={draft.disabled} onChange={(disabled) => set({ disabled })} />
+
+          <div className="sep" />
+          <div className="label">{t("operator.arrivePoints")}</div>
+          {errors.arrivePoints ? <div className="hint hintError">{t(`operator.error.${errors.arrivePoints}`)}</div> : null}
+          {draft.arrivePoints.map((ap, i) => (
+            <fieldset className="subForm" key={i}>
+              <legend className="label">{ap.id || t("operator.newArrivePoint")}</legend>
+              <FormField
+                label={t("operator.field.id")}
+                value={ap.id}
+                onChange={(id) => setAt("arrivePoints", i, { id })}
+                error={errors[`arrivePoints.${i}.id`]}
+                hint={ap.isNew ? t("operator.field.arrivePointIdHint") : t("operator.field.idLocked")}
+                readOnly={!ap.isNew}
+              />
+              <FormField
+                label={t("operator.field.label")}
+                value={ap.label}
+                onChange={(label) => setAt("arrivePoints", i, { label })}
+                error={errors[`arrivePoints.${i}.label`]}
+                placeholder="AP-101 • Lobby"
+              />
+              <div className="field">
+                <label className="label" htmlFor={`${typeId}-${i}`}>{t("operator.field.type")}</label>
+                <select
+                  id={`${typeId}-${i}`}
+                  className="input"
+                  value={ap.type}
+                  onChange={(e) => setAt("arrivePoints", i, { type: e.target.value })}
+                >
+                  <option value="shared">{t("operator.type.shared")}</option>
+                  <option value="private">{t("operator.type.private")}</option>
+                </select>
+              </div>
+              <div className="twoCol">
+                <FormField
+                  label={t("operator.field.flightMins")}
+                  value={ap.flightMins}
+                  onChange={(flightMins) => setAt("arrivePoints", i, { flightMins })}
+                  error={errors[`arrivePoints.${i}.flightMins`]}
+                  inputMode="numeric"
+                />
+                <FormField
+                  label={t("operator.field.compartments")}
+                  value={ap.compartments}
+                  onChange={(compartments) => setAt("arrivePoints", i, { compartments })}
+                  error={errors[`arrivePoints.${i}.compartments`]}
+                  inputMode="numeric"
+                />
+              </div>
+              <DisabledToggle checked={ap.disabled} onChange={(disabled) => setAt("arrivePoints", i, { disabled })} />
+              {/* Saved Arrive Points may have orders on the way; those are disabled, not removed. */}
+              {ap.isNew ? (
+                <button className="linkBtn" onClick={() => removeAt("arrivePoints", i)}>{t("operator.remove")}</button>
+              ) : null}
+            </fieldset>
+          ))}
+          <Button variant="outline" full onClick={() => append("arrivePoints", NEW_ARRIVE_POINT)}>
+            {t("operator.addArrivePoint")}
+          </Button>
+        </>
+      ) : null}
+
+      {kind === "merchants" ? (
+        <>
+          {idField}
+          <FormField label={t("operator.field.name")} value={draft.name} onChange={(name) => set({ name })} error={errors.name} />
+          <FormField label={t("operator.field.category")} value={draft.category} onChange={(category) => set({ category })} error={errors.category} />
+          <FormField
+            label={t("operator.field.tags")}
+            value={draft.tags}
+            onChange={(tags) => set({ tags })}
+            hint={t("operator.field.tagsHint")}
+          />
+          <FormField
+            label={t("operator.field.chownowUrl")}
+            value={draft.chownowUrl}
+            onChange={(chownowUrl) => set({ chownowUrl })}
+            error={errors.chownowUrl}
+            placeholder="https://order.chownow.com/…"
+            inputMode="url"
+          />
+          <div className="twoCol">
+            <FormField
+              label={t("operator.field.etaMins")}
+              value={draft.etaMins}
+              onChange={(etaMins) => set({ etaMins })}
+              error={errors.etaMins}
+              inputMode="numeric"
+            />
+            <FormField
+              label={t("operator.field.prepMins")}
+              value={draft.prepMins}
+              onChange={(prepMins) => set({ prepMins })}
+              error={errors.prepMins}
+              inputMode="numeric"
+            />
+          </div>
+          <FormField
+            label={t("operator.field.capacity")}
+            value={draft.capacity}
+            onChange={(capacity) => set({ capacity })}
+            error={errors.capacity}
+            hint={t("operator.field.capacityHint")}
+            inputMode="numeric"
+          />
+          <DisabledToggle checked={draft.disabled} onChange={(disabled) => set({ disabled })} />
+
+          <div className="sep" />
+          <div className="label">{t("operator.field.openingHours")}</div>
+          {errors.hours ? <div className="hint hintError">{t(`operator.error.${errors.hours}`)}</div> : null}
+          {draft.hours.map((h, i) => (
+            <fieldset className="subForm" key={i}>
+              <legend className="srOnly">{t("operator.field.openingHours")}</legend>
+              <FormField
+                label={t("operator.field.hours")}
+                value={h.hours}
+                onChange={(hours) => setAt("hours", i, { hours })}
+                error={errors[`hours.${i}.hours`]}
+                placeholder="11:00 AM to 2:00 PM"
+              />
+              <DaysPicker label={t("operator.field.days")} days={h.days} onChange={(days) => setAt("hours", i, { days })} />
+              {draft.hours.length > 1 ? (
+                <button className="linkBtn" onClick={() => removeAt("hours", i)}>{t("operator.remove")}</button>
+              ) : null}
+            </fieldset>
+          ))}
+          <Button variant="outline" full onClick={() => append("hours", { hours: "" })}>
+            {t("operator.addHours")}
+          </Button>
+        </>
+      ) : null}
+
+      {kind === "windows" ? (
+        <>
+          {idField}
+          <FormField label={t("operator.field.label")} value={draft.label} onChange={(label) => set({ label })} error={errors.label} />
+          <FormField
+            label={t("operator.field.hours")}
+            value={draft.hours}
+            onChange={(hours) => set({ hours })}
+            error={errors.hours}
+            placeholder="11:00 AM to 2:00 PM"
+          />
+          <DaysPicker label={t("operator.field.days")} days={draft.days} onChange={(days) => set({ days })} />
+          <DisabledToggle checked={draft.disabled} onChange={(disabled) => set({ disabled })} />
+        </>
+      ) : null}
+    </Dialog>
+  );
+}
+
+// Browsers drop downloads that are started too close together.
+const DOWNLOAD_GAP_MS = 300;
+
+function posterName(target) {
+  return target.arrivePoint ? target.arrivePoint.label : target.location.name;
+}
+
+function PosterFailed() {
+  const { t } = useI18n();
+  return (
+    <div className="notice noticeAlert" role="alert" style={{ marginTop: 12 }}>
+      <TriangleAlert size={18} />
+      <div>
+        <div className="noticeTitle">{t("posters.failed")}</div>
+        <div className="noticeDesc">{t("posters.failedDesc")}</div>
+      </div>
+    </div>
+  );
+}
+
+function Posters({ locations, session, onBack }) {
+  const { t, locale } = useI18n();
+  const targets = useMemo(() => posterTargets(locations), [locations]);
+  const reports = useDeepLinkReports(session);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewFailed, setPreviewFailed] = useState(false);
+  const [printing, setPrinting] = useState(null); // poster SVGs waiting for the print dialog
+  const [busy, setBusy] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const [announcement, setAnnouncement] = useState("");
+  const sheetRef = useRef(null);
+  const selected = targets.find((x) => x.key === selectedKey) || targets[0] || null;
+
+  useEffect(() => {
+    if (!selected) return;
+    let cancelled = false;
+    setPreviewFailed(false);
+    renderPoster(selected, { t })
+      .then((svg) => {
+        if (!cancelled) setPreview(svg);
+      })
+      .catch(() => {
+        if (!cancelled) setPreviewFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selected, t]);
+
+  // Print once the sheet is on the page and its posters have decoded; "Save as PDF" makes the PDF.
+  useEffect(() => {
+    if (!printing) return;
+    const done = () => setPrinting(null);
+    window.addEventListener("afterprint", done);
+    const images = Array.from(sheetRef.current.querySelectorAll("img"));
+    Promise.all(images.map((img) => img.decode().catch(() => {}))).then(() => window.print());
+    return () => window.removeEventListener("afterprint", done);
+  }, [printing]);
+
+  async function print(list) {
+    setBusy(true);
+    setFailed(false);
+    try {
+      setPrinting(await Promise.all(list.map((target) => renderPoster(target, { t }))));
+    } catch {
+      setFailed(true);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function download(list) {
+    setBusy(true);
+    setFailed(false);
+    try {
+      for (const [i, target] of list.entries()) {
+        if (i) await new Promise((r) => setTimeout(r, DOWNLOAD_GAP_MS));
+        downloadSvg(posterFilename(target), await renderPoster(target, { t }));
+      }
+      setAnnouncement(t("posters.downloaded", { count: list.length }));
+    } catch {
+      setFailed(true);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="grid">
+      <Card title={t("posters.title")}>
+        <div className="muted">{t("posters.sub")}</div>
+
+        <div className="label" style={{ marginTop: 12 }}>{t("posters.pick")}</div>
+        <div className="stack">
+          {targets.map((target) => (
+            <button
+              key={target.key}
+              className={"select " + (target === selected ? "selectOn" : "")}
+              aria-pressed={target === selected}
+              onClick={() => setSelectedKey(target.key)}
+            >
+              <div>
+                <div className="selectTitle">{posterName(target)}</div>
+                <div className="selectSub">{target.arrivePoint ? target.location.name : t("posters.wholeLocation")}</div>
+              </div>
+              <Pill>{target === selected ? t("common.selected") : t("common.select")}</Pill>
+            </button>
+          ))}
+        </div>
+
         <div className="btnRow" style={{ marginTop: 12 }}>
-          <Button variant="outline" onClick={() => alert("Support flow placeholder")}>Pickup help</Button>
-          <Button onClick={onDone}>Done</Button>
+          <Button variant="outline" disabled={!selected || busy} onClick={() => download([selected])} icon={<Download size={16} />}>
+            {t("posters.svg")}
+          </Button>
+          <Button disabled={!selected || busy} onClick={() => print([selected])} icon={<Printer size={16} />}>
+            {t("posters.print")}
+          </Button>
         </div>
+
+        <div className="sep" />
+        <div className="label">{t("posters.all", { count: targets.length })}</div>
+        <div className="btnRow">
+          <Button variant="outline" disabled={!targets.length || busy} onClick={() => download(targets)} icon={<Download size={16} />}>
+            {t("posters.svgAll")}
+          </Button>
+          <Button variant="outline" disabled={!targets.length || busy} onClick={() => print(targets)} icon={<Printer size={16} />}>
+            {t("posters.printAll")}
+          </Button>
+        </div>
+
+        {failed ? <PosterFailed /> : null}
+
+        <div style={{ marginTop: 10 }}>
+          <Button variant="outline" full onClick={onBack}>{t("common.back")}</Button>
+        </div>
+        <LiveStatus>{announcement}</LiveStatus>
+      </Card>
+
+      <Card title={t("posters.preview")}>
+        {previewFailed ? (
+          <PosterFailed />
+        ) : preview && selected ? (
+          <img className="posterPreview" src={svgDataUrl(preview)} alt={t("posters.previewAlt", { name: posterName(selected) })} />
+        ) : (
+          <div className="loadingRow" role="status">
+            <Loader2 size={16} className="spin" />
+            <span className="muted">{t("posters.rendering")}</span>
+          </div>
+        )}
+      </Card>
+
+      <Card title={t("posters.staleTitle")}>
+        <div className="muted">{t("posters.staleSub")}</div>
+        {reports.status === "error" ? (
+          <>
+            <div className="hint hintError" role="alert">{operatorErrorMessage(reports.error, t)}</div>
+            <button className="linkBtn" onClick={reports.reload}>{t("common.tryAgain")}</button>
+          </>
+        ) : !reports.data ? (
+          <div className="loadingRow" role="status" style={{ marginTop: 10 }}>
+            <Loader2 size={16} className="spin" />
+          </div>
+        ) : !reports.data.length ? (
+          <div className="muted" style={{ marginTop: 10 }}>{t("posters.staleNone")}</div>
+        ) : (
+          reports.data.map((r) => (
+            <div className="listItem" key={`${r.locationId}|${r.arrivePointId}`}>
+              <div>
+                <div className="listTitle">{[r.locationId, r.arrivePointId].filter(Boolean).join(" · ")}</div>
+                <div className="listSub">
+                  {t(`deepLink.problem.${r.problem}`)} · {t("posters.lastScanned", { time: formatDateTime(r.lastAt, locale) })}
+                </div>
+              </div>
+              <Pill>{t("posters.scans", { count: r.count })}</Pill>
+            </div>
+          ))
+        )}
       </Card>
+
+      {printing
+        ? createPortal(
+            <div className="printSheet" ref={sheetRef}>
+              {printing.map((svg, i) => (
+                <div className="posterPage" key={i}>
+                  <img src={svgDataUrl(svg)} alt="" />
+                </div>
+              ))}
+            </div>,
+            document.body
+          )
+        : null}
     </div>
   );
-}
\ No newline at end of file
+}
+
+const KIOSK_MAX_ROWS = 8;
+
+// Wall display for a shared Arrive Point, in Tracking's status words. Refreshes itself and keeps the screen awake.
+function Kiosk({ arrivePointId }) {
+  const { t, locale } = useI18n();
+  const catalog = useCatalog(catalogClient, { revalidateMs: 5 * 60 * 1000 });
+  const board = useKioskBoard(arrivePointId);
+  const now = useNow(10000);
+  useWakeLock();
+
+  const location = catalog.data?.locations.find((l) => l.arrivePoints.some((ap) => ap.id === arrivePointId));
+  const arrivePoint = location?.arrivePoints.find((ap) => ap.id === arrivePointId);
+  // Times are the campus's, like everywhere else in the app, whatever the display is set to.
+  const timeZone = catalog.data?.campus?.timeZone;
+  const clock = (ts) => formatZonedClock(ts, timeZone, locale);
+  const shift = burnInShift(now);
+  const rows = boardRows(board.data?.orders || []);
+  const hidden = rows.length - KIOSK_MAX_ROWS;
+
+  let body;
+  if (board.error?.status === 404 || (arrivePoint && arrivePoint.type !== "shared")) {
+    body = (
+      <div className="kioskMessage">
+        <div className="kioskMessageTitle">{t("kiosk.unknownTitle")}</div>
+        <div>{t("kiosk.unknownDesc", { id: arrivePointId })}</div>
+      </div>
+    );
+  } else if (board.status !== "ready") {
+    body = (
+      <div className="kioskMessage" role="status">
+        {board.status === "loading" ? t("kiosk.loading") : t("kiosk.offline")}
+      </div>
+    );
+  } else if (!rows.length) {
+    body = <div className="kioskMessage">{t("kiosk.empty")}</div>;
+  } else {
+    body = (
+      <table className="kioskTable">
+        <thead>
+          <tr>
+            <th scope="col">{t("kiosk.order")}</th>
+            <th scope="col">{t("kiosk.merchant")}</th>
+            <th scope="col">{t("kiosk.status")}</th>
+            <th scope="col">{t("kiosk.eta")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.slice(0, KIOSK_MAX_ROWS).map((o) => {
+            const ready = isReadyForPickup(o);
+            return (
+              <tr key={`${o.id}:${o.compartment || o.statusAt}`} className={ready ? "kioskReady" : isExceptionStatus(o.status) ? "kioskAlert" : ""}>
+                <td className="kioskId">{o.id}</td>
+                <td>{o.merchantName}</td>
+                <td className="kioskStatus">{ready ? t("kiosk.ready", { n: o.compartment }) : statusInfo(o.status, t).label}</td>
+                <td className="kioskEta">
+                  {ready
+                    ? t("kiosk.arrivedAt", { time: clock(o.statusAt) })
+                    : o.eta && !isFinalStatus(o.status)
+                      ? formatZonedClockRange(o.eta.earliest, o.eta.latest, timeZone, locale)
+                      : ""}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    );
+  }
+
+  return (
+    <div className="kiosk">
+      <div className="kioskBoard" style={{ transform: `translate(${shift.x}px, ${shift.y}px)` }}>
+        <header className="kioskHeader">
+          <div>
+            <div className="kioskTitle">
+              <MapPin className="kioskIcon" aria-hidden="true" />
+              {arrivePoint?.label || arrivePointId}
+            </div>
+            <div className="kioskSub">{location?.name || t("topbar.title")}</div>
+          </div>
+          <div className="kioskClock">{clock(now)}</div>
+        </header>
+
+        <main className="kioskMain">
+          {body}
+          {hidden > 0 ? <div className="kioskMore">{t("kiosk.more", { count: hidden })}</div> : null}
+        </main>
+
+        <footer className="kioskFooter">
+          <span>{t("kiosk.howTo")}</span>
+          {board.updatedAt ? (
+            <span className={board.error ? "kioskStale" : ""}>
+              {t(board.error ? "kiosk.stale" : "kiosk.updated", { time: clock(board.updatedAt) })}
+            </span>
+          ) : null}
+        </footer>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import { API_BASE_URL, USE_MOCK_BACKEND } from "./config";
+import { fromHttpError } from "./errors";
+import { fetchJson } from "./http";
+import { createMockAuthProvider } from "./mock/auth";
+
+/**
+ * OTP sign-in: sendCode(phone) → { requestId, expiresAt, resendAt, codeLength, devCode? },
+ * verifyCode(requestId, code) → { token, phone, expiresAt, role? }. Failures carry AUTH_ERRORS codes.
+ */
+
+export function createHttpAuthProvider(baseUrl) {
+  return {
+    sendCode(phone) {
+      return fetchJson(`${baseUrl}/auth/otp`, { method: "POST", body: { phone } }).catch((e) => {
+        throw fromHttpError(e);
+      });
+    },
+    verifyCode(requestId, code) {
+      return fetchJson(`${baseUrl}/auth/otp/verify`, { method: "POST", body: { requestId, code } }).catch((e) => {
+        throw fromHttpError(e);
+      });
+    }
+  };
+}
+
+export const authProvider = USE_MOCK_BACKEND ? createMockAuthProvider() : createHttpAuthProvider(API_BASE_URL);
+
+export function isSessionValid(session, now = Date.now()) {
+  return Boolean(session?.token) && (!session.expiresAt || session.expiresAt > now);
+}
+
+export function isOperator(session) {
+  return session?.role === "operator";
+}
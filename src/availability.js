@@ -0,0 +1,50 @@
+import { translate } from "./i18n";
+import { dayLabel, dayOffset, getWindowStatus } from "./windows";
+import { formatZonedClock } from "./time";
+
+/**
+ * Merchant availability from flight holds, pauses, opening hours and queue capacity: { available, reason, label,
+ * canSchedule }. Only a merchant that is merely closed can still be scheduled into a slot it is open for.
+ */
+export function merchantAvailability(merchant, { now, timeZone, flightHold, locale }) {
+  const t = (key, vars) => translate(locale, key, vars);
+  if (flightHold) {
+    return { available: false, reason: "flight-hold", label: t("availability.paused", { reason: flightHold.reason }), canSchedule: false };
+  }
+  if (merchant.pausedReason) {
+    return { available: false, reason: "paused", label: t("availability.paused", { reason: merchant.pausedReason }), canSchedule: false };
+  }
+  // Catalogs from before opening hours only had a fixed flag.
+  if (merchant.open === false) {
+    return { available: false, reason: "closed", label: t("availability.closed"), canSchedule: false };
+  }
+  if (merchant.capacity && merchant.activeOrders >= merchant.capacity) {
+    return { available: false, reason: "capacity", label: t("availability.capacity"), canSchedule: false };
+  }
+
+  if (merchant.hours?.length) {
+    const { open, next } = getWindowStatus(openingHours(merchant), now, timeZone);
+    if (!open) {
+      if (!next) return { available: false, reason: "closed", label: t("availability.closed"), canSchedule: false };
+      const time = formatZonedClock(next.start, timeZone, locale);
+      const label =
+        dayOffset(next.start, now, timeZone) === 0
+          ? t("availability.opens", { time })
+          : t("availability.opensDay", { day: dayLabel(next.start, now, timeZone, locale), time });
+      return { available: false, reason: "closed", label, canSchedule: true };
+    }
+  }
+  return { available: true, reason: null, label: t("availability.open"), canSchedule: true };
+}
+
+// Opening hours as windows, for getWindowStatus.
+function openingHours(merchant) {
+  return merchant.hours.map((h, i) => ({ id: `${merchant.id}-${i}`, ...h }));
+}
+
+// Whether the merchant's opening hours cover `ts`, e.g. a delivery slot's start.
+export function isMerchantOpenAt(merchant, ts, timeZone) {
+  if (merchant.open === false) return false;
+  if (!merchant.hours?.length) return true;
+  return getWindowStatus(openingHours(merchant), ts, timeZone).open;
+}
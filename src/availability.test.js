@@ -0,0 +1,51 @@
+import { isMerchantOpenAt, merchantAvailability } from "./availability";
+
+const timeZone = "UTC";
+// A Monday.
+const at = (hour, minute = 0, day = 5) => Date.UTC(2026, 0, day, hour, minute);
+const merchant = { id: "m1", hours: [{ hours: "10:30 AM to 9:30 PM" }], capacity: 5, activeOrders: 0 };
+const check = (m, now, extra) => merchantAvailability(m, { now, timeZone, locale: "en", ...extra });
+
+test("open within its hours", () => {
+  expect(check(merchant, at(12))).toEqual({ available: true, reason: null, label: "Open", canSchedule: true });
+});
+
+test("closed before opening can still be scheduled", () => {
+  const result = check(merchant, at(8));
+  expect(result).toMatchObject({ available: false, reason: "closed", canSchedule: true });
+  expect(result.label).toMatch(/^Opens /);
+});
+
+test("closed for good when the hours never come round", () => {
+  const weekdays = { ...merchant, hours: [{ hours: "5:00 PM to 9:00 PM", days: [] }] };
+  expect(check(weekdays, at(12))).toMatchObject({ available: false, reason: "closed", canSchedule: false });
+});
+
+test("a flight hold wins over everything else", () => {
+  const result = check({ ...merchant, pausedReason: "Inventory" }, at(8), { flightHold: { reason: "Wind" } });
+  expect(result).toEqual({ available: false, reason: "flight-hold", label: "Paused: Wind", canSchedule: false });
+});
+
+test("a pause blocks ordering and scheduling", () => {
+  expect(check({ ...merchant, pausedReason: "Inventory" }, at(12))).toMatchObject({ reason: "paused", canSchedule: false });
+});
+
+test("a full queue blocks ordering even while closed", () => {
+  expect(check({ ...merchant, activeOrders: 5 }, at(8))).toMatchObject({ reason: "capacity", canSchedule: false });
+});
+
+test("the legacy open flag still closes a merchant", () => {
+  expect(check({ id: "m2", open: false }, at(12))).toMatchObject({ available: false, reason: "closed", canSchedule: false });
+  expect(check({ id: "m2" }, at(3))).toMatchObject({ available: true });
+});
+
+test("isMerchantOpenAt checks the hours at the given time", () => {
+  const split = { id: "m3", hours: [{ hours: "11:00 AM to 3:00 PM" }, { hours: "4:30 PM to 9:30 PM" }] };
+  expect(isMerchantOpenAt(split, at(12), timeZone)).toBe(true);
+  expect(isMerchantOpenAt(split, at(15, 30), timeZone)).toBe(false);
+  expect(isMerchantOpenAt(split, at(17), timeZone)).toBe(true);
+  const weekdays = { id: "m4", hours: [{ hours: "5:00 PM to 9:00 PM", days: [1, 2, 3, 4, 5] }] };
+  expect(isMerchantOpenAt(weekdays, at(18), timeZone)).toBe(true);
+  expect(isMerchantOpenAt(weekdays, at(18, 0, 4), timeZone)).toBe(false);
+  expect(isMerchantOpenAt({ id: "m5", open: false }, at(12), timeZone)).toBe(false);
+});
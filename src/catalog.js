@@ -0,0 +1,110 @@
+import { useEffect, useSyncExternalStore } from "react";
+import { API_BASE_URL, CAMPUS_ID, USE_MOCK_BACKEND } from "./config";
+import { fetchJson } from "./http";
+import { createMockCatalogBackend } from "./mock/catalog";
+import { loadItem, saveItem } from "./storage";
+
+/**
+ * Catalog client. A backend's fetchCatalog(campusId) resolves to { campus, locations, merchants, windows };
+ * the last good one is kept in storage and revalidated once older than `ttl`.
+ */
+
+const CATALOG_TTL = 5 * 60 * 1000;
+const RETRY_DELAYS = [500, 1500];
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function createHttpCatalogBackend(baseUrl) {
+  return {
+    fetchCatalog(campusId) {
+      return fetchJson(`${baseUrl}/campuses/${encodeURIComponent(campusId)}/catalog`);
+    }
+  };
+}
+
+export function createCatalogClient({ backend, campusId, ttl = CATALOG_TTL }) {
+  const cacheKey = `catalog:${campusId}`;
+  const cached = loadItem(cacheKey);
+  const listeners = new Set();
+  let inflight = null;
+
+  // status: "idle" | "loading" | "ready" | "error". data survives a failed refresh.
+  let state = {
+    status: cached ? "ready" : "idle",
+    data: cached?.catalog || null,
+    error: null,
+    fetchedAt: cached?.fetchedAt || 0
+  };
+
+  function setState(patch) {
+    state = { ...state, ...patch };
+    listeners.forEach((l) => l());
+  }
+
+  async function fetchWithRetry() {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await backend.fetchCatalog(campusId);
+      } catch (e) {
+        // 4xx will not get better by asking again.
+        const retryable = !e.status || e.status >= 500;
+        if (!retryable || attempt >= RETRY_DELAYS.length) throw e;
+        await wait(RETRY_DELAYS[attempt]);
+      }
+    }
+  }
+
+  function load({ force = false } = {}) {
+    if (inflight) return inflight;
+    if (!force && state.data && Date.now() - state.fetchedAt < ttl) return Promise.resolve(state.data);
+
+    setState({ status: state.data ? "ready" : "loading", error: null });
+    inflight = fetchWithRetry()
+      .then((catalog) => {
+        const fetchedAt = Date.now();
+        saveItem(cacheKey, { catalog, fetchedAt });
+        setState({ status: "ready", data: catalog, error: null, fetchedAt });
+        return catalog;
+      })
+      .catch((error) => {
+        setState({ status: state.data ? "ready" : "error", error });
+        return state.data;
+      })
+      .finally(() => {
+        inflight = null;
+      });
+    return inflight;
+  }
+
+  return {
+    getState: () => state,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    load,
+    refresh: () => load({ force: true })
+  };
+}
+
+export const catalogClient = createCatalogClient({
+  campusId: CAMPUS_ID,
+  backend: USE_MOCK_BACKEND ? createMockCatalogBackend() : createHttpCatalogBackend(API_BASE_URL)
+});
+
+// Loads the catalog on mount, and every `revalidateMs` if given: { status, data, error, fetchedAt, retry }.
+export function useCatalog(client = catalogClient, { revalidateMs = null } = {}) {
+  const state = useSyncExternalStore(client.subscribe, client.getState);
+
+  useEffect(() => {
+    client.load();
+  }, [client]);
+
+  useEffect(() => {
+    if (!revalidateMs) return;
+    const t = setInterval(() => client.refresh(), revalidateMs);
+    return () => clearInterval(t);
+  }, [client, revalidateMs]);
+
+  return { ...state, retry: client.refresh };
+}
@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import { API_BASE_URL, USE_MOCK_BACKEND } from "./config";
+import { fromHttpError } from "./errors";
+import { fetchJson } from "./http";
+import { createMockCheckoutProvider } from "./mock/checkout";
+import { BASENAME } from "./router";
+
+/**
+ * ChowNow checkout: createSession(request), getSession(id), cancelSession(id). An order exists only once ChowNow
+ * confirms it; the return page, postMessage, focus and polling all just trigger a getSession.
+ */
+
+export const CHECKOUT_STATUS = {
+  PENDING: "PENDING",
+  CONFIRMED: "CONFIRMED",
+  CANCELLED: "CANCELLED",
+  ABANDONED: "ABANDONED" // expired without an outcome
+};
+
+const CHANNEL = "vp-checkout";
+const MESSAGE_TYPE = "vp:checkout";
+const POLL_MS = 4000;
+
+export function checkoutReturnUrl(sessionId) {
+  return `${window.location.origin}${BASENAME}/checkout/${encodeURIComponent(sessionId)}/return`;
+}
+
+export function createHttpCheckoutProvider(baseUrl) {
+  const call = (path, init) =>
+    fetchJson(`${baseUrl}${path}`, init).catch((e) => {
+      throw fromHttpError(e);
+    });
+  return {
+    createSession({ session, merchantId, arrivePointId, note, scheduledFor }) {
+      // The backend fills in {sessionId} once it has created the session.
+      const returnUrl = `${window.location.origin}${BASENAME}/checkout/{sessionId}/return`;
+      return call("/checkout/sessions", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${session.token}` },
+        body: { merchantId, arrivePointId, note, scheduledFor, returnUrl }
+      });
+    },
+    getSession(id) {
+      return call(`/checkout/sessions/${encodeURIComponent(id)}`);
+    },
+    cancelSession(id) {
+      return call(`/checkout/sessions/${encodeURIComponent(id)}/cancel`, { method: "POST" });
+    }
+  };
+}
+
+export const checkoutProvider = USE_MOCK_BACKEND ? createMockCheckoutProvider() : createHttpCheckoutProvider(API_BASE_URL);
+
+// The Arrive Point id in a ChowNow order note, e.g. "… drone delivery to AP-101".
+export function arrivePointFromNote(note) {
+  const m = /\bAP-\d+\b/i.exec(note || "");
+  return m ? m[0].toUpperCase() : null;
+}
+
+// Called from the return URL to wake up the tab that is waiting on this session.
+export function announceCheckout(sessionId) {
+  const message = { type: MESSAGE_TYPE, sessionId };
+  if ("BroadcastChannel" in window) {
+    const channel = new BroadcastChannel(CHANNEL);
+    channel.postMessage(message);
+    channel.close();
+  }
+  window.opener?.postMessage(message, window.location.origin);
+}
+
+// Follows a checkout session until it leaves PENDING: { session, error, recheck }.
+export function useCheckoutSession(sessionId, provider = checkoutProvider) {
+  const [state, setState] = useState({ session: null, error: null });
+  const [nonce, setNonce] = useState(0);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    let stopped = false;
+    let timer = null;
+
+    const check = async () => {
+      clearTimeout(timer);
+      try {
+        const session = await provider.getSession(sessionId);
+        if (stopped) return;
+        setState({ session, error: null });
+        if (session.status !== CHECKOUT_STATUS.PENDING) return;
+      } catch (error) {
+        if (stopped) return;
+        setState((s) => ({ ...s, error }));
+      }
+      timer = setTimeout(check, POLL_MS);
+    };
+
+    const isOurs = (data) => data?.type === MESSAGE_TYPE && data.sessionId === sessionId;
+    const channel = "BroadcastChannel" in window ? new BroadcastChannel(CHANNEL) : null;
+    if (channel) channel.onmessage = (e) => isOurs(e.data) && check();
+    const onMessage = (e) => e.origin === window.location.origin && isOurs(e.data) && check();
+    const onVisible = () => document.visibilityState === "visible" && check();
+
+    window.addEventListener("message", onMessage);
+    document.addEventListener("visibilitychange", onVisible);
+    check();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      channel?.close();
+      window.removeEventListener("message", onMessage);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [sessionId, provider, nonce]);
+
+  return { ...state, recheck: () => setNonce((n) => n + 1) };
+}
@@ -0,0 +1,13 @@
+// Arrive Point compartments: `compartments` and `occupied` from the catalog; an order's own arrives on its events.
+
+// { capacity, occupied, free, full } for an Arrive Point, or null if the catalog does not say.
+export function compartmentStatus(arrivePoint) {
+  const capacity = arrivePoint?.compartments;
+  if (!capacity) return null;
+  const occupied = Math.min(capacity, Math.max(0, arrivePoint.occupied || 0));
+  return { capacity, occupied, free: capacity - occupied, full: occupied >= capacity };
+}
+
+export function isArrivePointFull(arrivePoint) {
+  return Boolean(compartmentStatus(arrivePoint)?.full);
+}
@@ -0,0 +1,15 @@
+// Build-time configuration. Without REACT_APP_API_BASE_URL every client runs against the mocks in src/mock.
+
+export const API_BASE_URL = (process.env.REACT_APP_API_BASE_URL || "").replace(/\/$/, "");
+export const USE_MOCK_BACKEND = !API_BASE_URL;
+
+export const CAMPUS_ID = process.env.REACT_APP_CAMPUS_ID || "visionary-park";
+
+// Mock backend tuning, handy for exercising loading and error states.
+export const MOCK_LATENCY_MS = Number(process.env.REACT_APP_MOCK_LATENCY_MS || 400);
+export const MOCK_FAIL_RATE = Number(process.env.REACT_APP_MOCK_FAIL_RATE || 0);
+
+// Order status events. Defaults to API_BASE_URL; point it at `npm run events`
+// (http://localhost:4001) to drive Tracking from the local event server.
+export const ORDER_EVENTS_URL = (process.env.REACT_APP_ORDER_EVENTS_URL || "").replace(/\/$/, "");
+export const ORDER_EVENTS_TRANSPORT = process.env.REACT_APP_ORDER_EVENTS_TRANSPORT === "ws" ? "ws" : "sse";
@@ -0,0 +1,81 @@
+import { b64urlToBytes, b64urlToText, hmacB64url, textToB64url } from "./crypto";
+
+/**
+ * Unlock credentials, shared with the Arrive Point scanner: "VP1.<payload>.<HMAC-SHA256(secret, payload)>",
+ * derived per time step from the order's grant, plus a six digit keypad code cut from the signature.
+ */
+
+const PREFIX = "VP1";
+
+export function credentialStep(now, stepSeconds) {
+  return Math.floor(now / 1000 / stepSeconds);
+}
+
+function keypadCode(sig) {
+  const b = b64urlToBytes(sig);
+  const n = ((b[0] & 0x7f) << 24) | (b[1] << 16) | (b[2] << 8) | b[3];
+  return String(n % 1000000).padStart(6, "0");
+}
+
+export async function buildCredential(grant, now = Date.now()) {
+  const step = credentialStep(now, grant.stepSeconds);
+  const payload = textToB64url(
+    JSON.stringify({
+      v: 1,
+      kid: grant.keyId,
+      o: grant.orderId,
+      ap: grant.arrivePointId,
+      c: grant.compartment || undefined,
+      sub: grant.subject,
+      s: step
+    })
+  );
+  const sig = await hmacB64url(grant.secret, payload);
+  return {
+    token: `${PREFIX}.${payload}.${sig}`,
+    code: keypadCode(sig),
+    step,
+    expiresAt: Math.min((step + 1) * grant.stepSeconds * 1000, grant.expiresAt)
+  };
+}
+
+export function parseCredential(token) {
+  const [prefix, payload, sig] = String(token || "").split(".");
+  if (prefix !== PREFIX || !payload || !sig) return null;
+  try {
+    return { payload, sig, claims: JSON.parse(b64urlToText(payload)) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks a scanned credential against its grant. Resolves { ok: true, claims } or { ok: false, reason }:
+ * "malformed" | "bad-signature" | "wrong-arrive-point" | "wrong-compartment" | "stale" | "grant-expired".
+ */
+export async function verifyCredential(token, grant, { arrivePointId, compartment, now = Date.now(), skewSteps = 1 } = {}) {
+  const parsed = parseCredential(token);
+  if (!parsed || !grant || parsed.claims.kid !== grant.keyId) return { ok: false, reason: "malformed" };
+
+  const expected = await hmacB64url(grant.secret, parsed.payload);
+  if (expected !== parsed.sig) return { ok: false, reason: "bad-signature" };
+
+  const { claims } = parsed;
+  if (claims.o !== grant.orderId || claims.sub !== grant.subject) return { ok: false, reason: "bad-signature" };
+  if (arrivePointId && claims.ap !== arrivePointId) return { ok: false, reason: "wrong-arrive-point" };
+  if (compartment && claims.c !== compartment) return { ok: false, reason: "wrong-compartment" };
+  if (now >= grant.expiresAt) return { ok: false, reason: "grant-expired" };
+  if (Math.abs(credentialStep(now, grant.stepSeconds) - claims.s) > skewSteps) return { ok: false, reason: "stale" };
+  return { ok: true, claims };
+}
+
+// Keypad counterpart of verifyCredential. Resolves true when `code` matches a step within the skew.
+export async function verifyKeypadCode(code, grant, { now = Date.now(), skewSteps = 1 } = {}) {
+  if (!grant || now >= grant.expiresAt) return false;
+  const step = credentialStep(now, grant.stepSeconds);
+  for (let s = step - skewSteps; s <= step + skewSteps; s++) {
+    const credential = await buildCredential(grant, s * grant.stepSeconds * 1000);
+    if (credential.code === String(code)) return true;
+  }
+  return false;
+}
@@ -0,0 +1,56 @@
+import { buildCredential, verifyCredential } from "./credential";
+
+const STEP = 30;
+const issuedAt = Date.UTC(2026, 0, 1, 12);
+const grant = {
+  keyId: "k1",
+  secret: "c2VjcmV0LWtleS1mb3ItdGVzdHM",
+  subject: "+15550100",
+  orderId: "CN-1",
+  arrivePointId: "AP-101",
+  compartment: 3,
+  stepSeconds: STEP,
+  issuedAt,
+  expiresAt: issuedAt + 10 * 60 * 1000
+};
+const at = issuedAt + 60 * 1000;
+
+async function tokenAt(now, g = grant) {
+  return (await buildCredential(g, now)).token;
+}
+
+test("accepts a fresh credential at its Arrive Point and compartment", async () => {
+  const result = await verifyCredential(await tokenAt(at), grant, { arrivePointId: "AP-101", compartment: 3, now: at });
+  expect(result).toMatchObject({ ok: true, claims: { o: "CN-1", ap: "AP-101", c: 3 } });
+});
+
+test("rejects garbage and credentials for another key", async () => {
+  expect(await verifyCredential("not-a-credential", grant, { now: at })).toEqual({ ok: false, reason: "malformed" });
+  expect(await verifyCredential(await tokenAt(at), { ...grant, keyId: "k2" }, { now: at })).toEqual({ ok: false, reason: "malformed" });
+});
+
+test("rejects a tampered payload or a different secret", async () => {
+  const [prefix, payload, sig] = (await tokenAt(at)).split(".");
+  const forged = `${prefix}.${payload.slice(0, -2)}AA.${sig}`;
+  expect(await verifyCredential(forged, grant, { now: at })).toMatchObject({ ok: false });
+  const other = { ...grant, secret: "b3RoZXItc2VjcmV0" };
+  expect(await verifyCredential(await tokenAt(at, other), grant, { now: at })).toEqual({ ok: false, reason: "bad-signature" });
+});
+
+test("rejects the wrong Arrive Point or compartment", async () => {
+  const token = await tokenAt(at);
+  expect(await verifyCredential(token, grant, { arrivePointId: "AP-102", now: at })).toEqual({ ok: false, reason: "wrong-arrive-point" });
+  expect(await verifyCredential(token, grant, { compartment: 4, now: at })).toEqual({ ok: false, reason: "wrong-compartment" });
+});
+
+test("allows one step of clock drift either side, no more", async () => {
+  const token = await tokenAt(at);
+  expect((await verifyCredential(token, grant, { now: at + STEP * 1000 })).ok).toBe(true);
+  expect((await verifyCredential(token, grant, { now: at - STEP * 1000 })).ok).toBe(true);
+  expect(await verifyCredential(token, grant, { now: at + 2 * STEP * 1000 })).toEqual({ ok: false, reason: "stale" });
+});
+
+test("rejects everything once the grant expires", async () => {
+  const now = grant.expiresAt;
+  expect(await verifyCredential(await tokenAt(now), grant, { now })).toEqual({ ok: false, reason: "grant-expired" });
+});
@@ -0,0 +1,42 @@
+// Small Web Crypto helpers. crypto.subtle needs a secure context (https or localhost).
+
+export function bytesToB64url(bytes) {
+  let bin = "";
+  bytes.forEach((b) => (bin += String.fromCharCode(b)));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function b64urlToBytes(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+export function textToB64url(text) {
+  return bytesToB64url(new TextEncoder().encode(text));
+}
+
+export function b64urlToText(s) {
+  return new TextDecoder().decode(b64urlToBytes(s));
+}
+
+export function randomB64url(byteLength) {
+  return bytesToB64url(window.crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// HMAC-SHA256 of `message` with a base64url key, as base64url.
+export async function hmacB64url(keyB64url, message) {
+  const key = await window.crypto.subtle.importKey(
+    "raw",
+    b64urlToBytes(keyB64url),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const sig = await window.crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message));
+  return bytesToB64url(new Uint8Array(sig));
+}
+
+export async function sha256Hex(text) {
+  const digest = await window.crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
@@ -0,0 +1,60 @@
+import { API_BASE_URL, CAMPUS_ID, USE_MOCK_BACKEND } from "./config";
+import { fetchJson } from "./http";
+import { createMockDeepLinkReporter } from "./mock/deepLinks";
+
+/**
+ * Destination deep links printed as QR codes: /?location=<id>, optionally &ap=<Arrive Point id>, or /?ap=<id> alone.
+ * Only applied once the catalog confirms the ids; unknown codes are reported so stale posters can be replaced.
+ */
+
+export const DEEP_LINK_PROBLEMS = {
+  UNKNOWN_LOCATION: "UNKNOWN_LOCATION",
+  UNKNOWN_ARRIVE_POINT: "UNKNOWN_ARRIVE_POINT"
+};
+
+// Scanned text goes into reports and on screen, so keep it to a sane length.
+const MAX_ID_LENGTH = 64;
+
+// Links point at the app's root, which is a subpath when it is deployed under one (PUBLIC_URL).
+export function buildDeepLink({ locationId, arrivePointId }, origin = window.location.origin) {
+  const url = new URL(`${process.env.PUBLIC_URL}/`, origin);
+  url.searchParams.set("location", locationId);
+  if (arrivePointId) url.searchParams.set("ap", arrivePointId);
+  return url.toString();
+}
+
+// { locationId, arrivePointId } from a query string (either may be ""), or null when it has neither.
+export function readDeepLink(search) {
+  const params = new URLSearchParams(search);
+  const locationId = (params.get("location") || "").trim().slice(0, MAX_ID_LENGTH);
+  const arrivePointId = (params.get("ap") || "").trim().toUpperCase().slice(0, MAX_ID_LENGTH);
+  if (!locationId && !arrivePointId) return null;
+  return { locationId, arrivePointId };
+}
+
+// The ids of a deep link the catalog knows ({ locationId, arrivePointId }, either null) and a DEEP_LINK_PROBLEMS `problem` or null.
+export function resolveDeepLink(link, locations) {
+  const location = link.locationId
+    ? locations.find((l) => l.id === link.locationId)
+    : locations.find((l) => l.arrivePoints.some((ap) => ap.id === link.arrivePointId));
+  if (!location) return { locationId: null, arrivePointId: null, problem: DEEP_LINK_PROBLEMS.UNKNOWN_LOCATION };
+  if (link.arrivePointId && !location.arrivePoints.some((ap) => ap.id === link.arrivePointId)) {
+    return { locationId: location.id, arrivePointId: null, problem: DEEP_LINK_PROBLEMS.UNKNOWN_ARRIVE_POINT };
+  }
+  return { locationId: location.id, arrivePointId: link.arrivePointId || null, problem: null };
+}
+
+export function createHttpDeepLinkReporter(baseUrl) {
+  return {
+    report(campusId, scan) {
+      return fetchJson(`${baseUrl}/campuses/${encodeURIComponent(campusId)}/deep-link-reports`, { method: "POST", body: scan });
+    }
+  };
+}
+
+export const deepLinkReporter = USE_MOCK_BACKEND ? createMockDeepLinkReporter() : createHttpDeepLinkReporter(API_BASE_URL);
+
+// Best effort: a lost report must never get in the way of ordering.
+export function reportInvalidDeepLink(link, problem, { reporter = deepLinkReporter, campusId = CAMPUS_ID } = {}) {
+  reporter.report(campusId, { locationId: link.locationId || null, arrivePointId: link.arrivePointId || null, problem }).catch(() => {});
+}
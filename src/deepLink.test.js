@@ -0,0 +1,36 @@
+import { DEEP_LINK_PROBLEMS, readDeepLink, resolveDeepLink } from "./deepLink";
+
+const locations = [
+  { id: "fishers", arrivePoints: [{ id: "AP-101" }, { id: "AP-102" }] },
+  { id: "carmel", arrivePoints: [{ id: "AP-201" }] }
+];
+
+test("resolves a location and one of its Arrive Points", () => {
+  expect(resolveDeepLink({ locationId: "fishers", arrivePointId: "AP-102" }, locations)).toEqual({
+    locationId: "fishers",
+    arrivePointId: "AP-102",
+    problem: null
+  });
+  expect(resolveDeepLink({ locationId: "carmel", arrivePointId: "" }, locations)).toEqual({ locationId: "carmel", arrivePointId: null, problem: null });
+});
+
+test("finds the location from the Arrive Point alone", () => {
+  expect(resolveDeepLink({ locationId: "", arrivePointId: "AP-201" }, locations)).toEqual({ locationId: "carmel", arrivePointId: "AP-201", problem: null });
+});
+
+test("reports an unknown location", () => {
+  const unknown = { locationId: null, arrivePointId: null, problem: DEEP_LINK_PROBLEMS.UNKNOWN_LOCATION };
+  expect(resolveDeepLink({ locationId: "noblesville", arrivePointId: "AP-101" }, locations)).toEqual(unknown);
+  expect(resolveDeepLink({ locationId: "", arrivePointId: "AP-999" }, locations)).toEqual(unknown);
+});
+
+test("keeps a known location when its Arrive Point is unknown or elsewhere", () => {
+  const expected = { locationId: "fishers", arrivePointId: null, problem: DEEP_LINK_PROBLEMS.UNKNOWN_ARRIVE_POINT };
+  expect(resolveDeepLink({ locationId: "fishers", arrivePointId: "AP-999" }, locations)).toEqual(expected);
+  expect(resolveDeepLink({ locationId: "fishers", arrivePointId: "AP-201" }, locations)).toEqual(expected);
+});
+
+test("readDeepLink normalizes what it scans", () => {
+  expect(readDeepLink("?location=%20fishers%20&ap=ap-101")).toEqual({ locationId: "fishers", arrivePointId: "AP-101" });
+  expect(readDeepLink("?utm_source=poster")).toBeNull();
+});
@@ -0,0 +1,71 @@
+import React, { useEffect, useId, useRef } from "react";
+
+// Modal dialog labelled by its title: traps focus, closes on Escape or a backdrop click, and restores focus.
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function focusables(root) {
+  return Array.from(root.querySelectorAll(FOCUSABLE)).filter((el) => el.offsetParent !== null || el === document.activeElement);
+}
+
+export function Dialog({ title, sub, footer, onClose, children }) {
+  const ref = useRef(null);
+  const titleId = useId();
+  const subId = useId();
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const opener = document.activeElement;
+    const panel = ref.current;
+    (focusables(panel)[0] || panel).focus();
+
+    const onKey = (e) => {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const items = focusables(panel);
+      if (!items.length) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !panel.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener("keydown", onKey);
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      if (opener && typeof opener.focus === "function") opener.focus();
+    };
+  }, []);
+
+  return (
+    <div className="modalBackdrop" onClick={onClose}>
+      <div
+        ref={ref}
+        className="modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        aria-describedby={sub ? subId : undefined}
+        tabIndex={-1}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="modalTitle" id={titleId}>{title}</div>
+        {sub ? <div className="modalSub" id={subId}>{sub}</div> : null}
+        <div className="modalBody">{children}</div>
+        {footer ? <div className="modalFooter">{footer}</div> : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// Error codes shared by the API clients and mocks, on `err.code`, with the extra fields noted beside each.
+
+export function codedError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { code }, extra);
+}
+
+// Maps an HTTP error whose body is { code, message, ... } onto a coded error.
+export function fromHttpError(e) {
+  if (e.body?.code) return codedError(e.body.code, e.message, e.body);
+  return e;
+}
+
+export const AUTH_ERRORS = {
+  INVALID_PHONE: "INVALID_PHONE",
+  INVALID_CODE: "INVALID_CODE", // attemptsLeft
+  CODE_EXPIRED: "CODE_EXPIRED",
+  LOCKED: "LOCKED", // lockedUntil
+  RESEND_TOO_SOON: "RESEND_TOO_SOON", // resendAt
+  UNKNOWN_REQUEST: "UNKNOWN_REQUEST"
+};
+
+export const CREDENTIAL_ERRORS = {
+  NOT_READY: "NOT_READY", // order has not been delivered yet
+  ORDER_NOT_FOUND: "ORDER_NOT_FOUND",
+  OFFLINE: "OFFLINE" // no saved grant and no network to fetch one
+};
+
+export const LOCK_ERRORS = {
+  INVALID_CODE: "INVALID_CODE", // attemptsLeft
+  INVALID_CREDENTIAL: "INVALID_CREDENTIAL", // reason, attemptsLeft; see verifyCredential in src/credential.js
+  LOCKED: "LOCKED", // lockedUntil
+  WRONG_ARRIVE_POINT: "WRONG_ARRIVE_POINT", // attemptsLeft
+  WRONG_COMPARTMENT: "WRONG_COMPARTMENT" // attemptsLeft; credential is for another compartment at this point
+};
+
+export const OPERATOR_ERRORS = {
+  FORBIDDEN: "FORBIDDEN", // the session is not an operator's
+  INVALID: "INVALID", // fields: { path: reason }, see validateEntry in src/operator.js
+  NOT_FOUND: "NOT_FOUND" // editing an entry that no longer exists
+};
@@ -0,0 +1,82 @@
+import { isFinalStatus } from "./orderStream";
+
+/**
+ * ETAs: the sum of queue, prep, pickup, staging and flight legs, shown as a window that narrows as legs finish.
+ * An order's eta { earliest, latest, promisedLatest, legs } is only revised by status events (reviseEta).
+ */
+
+const MIN = 60 * 1000;
+const LATE_SLACK = 5 * MIN;
+
+// Legs still ahead once an order reaches each status.
+const REMAINING_LEGS = {
+  SCHEDULED: ["queue", "prep", "pickup", "staging", "flight"],
+  PLACED: ["queue", "prep", "pickup", "staging", "flight"],
+  ACCEPTED: ["queue", "prep", "pickup", "staging", "flight"],
+  PREPARING: ["prep", "pickup", "staging", "flight"],
+  READY: ["pickup", "staging", "flight"],
+  PICKED_UP: ["staging", "flight"],
+  IN_FLIGHT: ["flight"],
+  DELIVERED: []
+};
+
+export function etaLegs(merchant, { campus, arrivePoint } = {}) {
+  return {
+    queue: Math.round((merchant.activeOrders || 0) * (merchant.minsPerQueuedOrder ?? 1.5)),
+    prep: merchant.prepMins ?? Math.round(merchant.etaMins * 0.5),
+    pickup: campus?.pickupMins ?? 4,
+    staging: campus?.stagingMins ?? 3,
+    flight: arrivePoint?.flightMins ?? 6
+  };
+}
+
+function sumLegs(legs, names) {
+  return names.reduce((n, k) => n + (legs[k] || 0), 0);
+}
+
+function spreadFor(mins) {
+  return Math.max(2, Math.round(mins * 0.12));
+}
+
+// { earliest, latest } epoch ms for the legs remaining after `status`, starting at `from`.
+function windowFrom(from, legs, status) {
+  const remaining = sumLegs(legs, REMAINING_LEGS[status] || REMAINING_LEGS.PLACED);
+  if (!remaining) return { earliest: from, latest: from };
+  const spread = spreadFor(remaining);
+  return { earliest: from + (remaining - spread) * MIN, latest: from + (remaining + spread) * MIN };
+}
+
+// Minutes range for "if you order now", e.g. for the merchant list: { low, high }.
+export function estimateMinutes(merchant, context) {
+  const total = sumLegs(etaLegs(merchant, context), REMAINING_LEGS.PLACED);
+  const spread = spreadFor(total);
+  return { low: total - spread, high: total + spread };
+}
+
+// The ETA an order is promised when placed (or, when scheduled, from its slot).
+export function initialEta(merchant, context, startAt) {
+  const legs = etaLegs(merchant, context);
+  const w = windowFrom(startAt, legs, "PLACED");
+  return { ...w, promisedLatest: w.latest, legs };
+}
+
+// Re-derives the ETA from the order's status and when it got there; an eta sent with the event wins.
+export function reviseEta(order, event) {
+  if (!order?.eta?.legs) return order;
+  if (event?.eta && event.seq === order.lastSeq) {
+    return { ...order, eta: { ...order.eta, earliest: event.eta.earliest, latest: event.eta.latest } };
+  }
+  if (order.eta.revisedAt === order.statusAt) return order;
+  // Exception statuses (delays, holds, reroutes) have no legs to count; the
+  // window stands until the order moves on, and isRunningLate flags it if it passes.
+  if (!REMAINING_LEGS[order.status]) return order;
+  // SCHEDULED sits until its slot, so that is where its remaining time starts.
+  const from = order.status === "SCHEDULED" && order.scheduledFor ? order.scheduledFor : order.statusAt;
+  return { ...order, eta: { ...order.eta, ...windowFrom(from, order.eta.legs, order.status), revisedAt: order.statusAt } };
+}
+
+// Late once the window passed without delivery, or a revision pushed it well past the promise.
+export function isRunningLate(order, now) {
+  if (!order?.eta || isFinalStatus(order.status)) return false;
+  return now > order.eta.latest || order.eta.latest > order.eta.promisedLatest + LATE_SLACK;
+}
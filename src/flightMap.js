@@ -0,0 +1,98 @@
+/**
+ * Campus flight map geometry: campus.map { bounds, launchPad }, location footprints and Arrive Point positions, projected
+ * onto an SVG 1000 units wide. The vehicle follows telemetry when there is some and the ETA otherwise.
+ */
+
+export const MAP_WIDTH = 1000;
+
+// Telemetry older than this is not trusted over the estimate.
+const LIVE_FOR = 30 * 1000;
+// Estimates stop short of the Arrive Point; only DELIVERED puts the vehicle there.
+const ESTIMATE_CAP = 0.97;
+// A runner walks the route in about twice the planned flight time.
+const RUNNER_PACE = 2;
+const MIN = 60 * 1000;
+
+const isPoint = (p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lng);
+const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
+
+// { width, height, project({ lat, lng }) → { x, y } } for a campus map, or null without one.
+export function mapProjection(map) {
+  const b = map?.bounds;
+  if (!b || !isPoint(map.launchPad)) return null;
+  // Degrees of longitude shrink with latitude; scale them so the map is not stretched.
+  const lngScale = Math.cos((((b.north + b.south) / 2) * Math.PI) / 180);
+  const height = Math.round((MAP_WIDTH * (b.north - b.south)) / ((b.east - b.west) * lngScale));
+  return {
+    width: MAP_WIDTH,
+    height,
+    project: (p) => ({
+      x: ((p.lng - b.west) / (b.east - b.west)) * MAP_WIDTH,
+      y: ((b.north - p.lat) / (b.north - b.south)) * height
+    })
+  };
+}
+
+// How the order travels: "runner" once it was handed to one, otherwise "drone".
+export function deliveryMode(order) {
+  return order.timeline?.REROUTED_TO_RUNNER ? "runner" : "drone";
+}
+
+// The route as points: drones fly straight, runners go east-west then north-south.
+export function routePoints(mode, launchPad, destination) {
+  if (mode === "runner") return [launchPad, { lat: launchPad.lat, lng: destination.lng }, destination];
+  return [launchPad, destination];
+}
+
+// The point a fraction `t` of the way along a route, by distance.
+export function pointAlong(points, t) {
+  const lengths = points.slice(1).map((p, i) => Math.hypot(p.lat - points[i].lat, p.lng - points[i].lng));
+  const total = lengths.reduce((a, b) => a + b, 0);
+  let left = clamp(t, 0, 1) * total;
+  for (let i = 0; i < lengths.length; i++) {
+    if (left <= lengths[i] || i === lengths.length - 1) {
+      const f = lengths[i] ? clamp(left / lengths[i], 0, 1) : 1;
+      const a = points[i];
+      const b = points[i + 1];
+      return { lat: a.lat + (b.lat - a.lat) * f, lng: a.lng + (b.lng - a.lng) * f };
+    }
+    left -= lengths[i];
+  }
+  return points[points.length - 1];
+}
+
+// Share of the way from leaving the pad to arriving, judged from the ETA.
+function estimatedProgress(order, mode, now) {
+  const left = mode === "runner" ? order.timeline.REROUTED_TO_RUNNER : order.timeline?.IN_FLIGHT || order.statusAt;
+  const flightMs = (order.eta?.legs?.flight ?? 6) * MIN;
+  // A drone's ETA is revised when it takes off; a runner gets no revision, so use its pace.
+  const arrive =
+    mode === "drone" && order.eta?.revisedAt === order.statusAt
+      ? (order.eta.earliest + order.eta.latest) / 2
+      : left + flightMs * (mode === "runner" ? RUNNER_PACE : 1);
+  if (arrive <= left) return ESTIMATE_CAP;
+  return clamp((now - left) / (arrive - left), 0, ESTIMATE_CAP);
+}
+
+// Where the order's vehicle is, { point, progress, live }, or null when nothing is moving; `live` means from telemetry.
+export function vehiclePosition(order, route, now = Date.now()) {
+  const mode = deliveryMode(order);
+  switch (order.status) {
+    case "PICKED_UP":
+    case "WEATHER_HOLD":
+      // Loaded (or grounded) at the pad.
+      return { point: route[0], progress: 0, live: false };
+    case "IN_FLIGHT":
+    case "REROUTED_TO_RUNNER": {
+      if (isPoint(order.position) && now - order.position.at < LIVE_FOR) {
+        return { point: { lat: order.position.lat, lng: order.position.lng }, progress: null, live: true };
+      }
+      const progress = estimatedProgress(order, mode, now);
+      return { point: pointAlong(route, progress), progress, live: false };
+    }
+    case "DELIVERED":
+      return { point: route[route.length - 1], progress: 1, live: false };
+    default:
+      return null;
+  }
+}
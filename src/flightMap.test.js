@@ -0,0 +1,30 @@
+import { pointAlong, routePoints } from "./flightMap";
+
+const pad = { lat: 0, lng: 0 };
+const destination = { lat: 3, lng: 4 };
+
+test("interpolates along a straight route", () => {
+  const route = routePoints("drone", pad, destination);
+  expect(pointAlong(route, 0)).toEqual(pad);
+  expect(pointAlong(route, 0.5)).toEqual({ lat: 1.5, lng: 2 });
+  expect(pointAlong(route, 1)).toEqual(destination);
+});
+
+test("measures a runner's legs by distance", () => {
+  // 4 east, then 3 north.
+  const route = routePoints("runner", pad, destination);
+  expect(pointAlong(route, 2 / 7)).toEqual({ lat: 0, lng: 2 });
+  expect(pointAlong(route, 4 / 7)).toEqual({ lat: 0, lng: 4 });
+  expect(pointAlong(route, 5 / 7).lat).toBeCloseTo(1);
+});
+
+test("clamps to the ends of the route", () => {
+  const route = routePoints("runner", pad, destination);
+  expect(pointAlong(route, -1)).toEqual(pad);
+  expect(pointAlong(route, 2)).toEqual(destination);
+});
+
+test("copes with routes that go nowhere", () => {
+  expect(pointAlong([pad, pad], 0.5)).toEqual(pad);
+  expect(pointAlong([pad], 0.5)).toEqual(pad);
+});
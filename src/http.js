@@ -0,0 +1,36 @@
+/**
+ * fetch wrapper for the real backend: JSON in, JSON out, non-2xx throws.
+ * Thrown errors carry `status` (0 for network failures) and the parsed body.
+ */
+export async function fetchJson(url, { method = "GET", body, headers, signal } = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      signal,
+      headers: { Accept: "application/json", ...(body ? { "Content-Type": "application/json" } : {}), ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (e) {
+    if (e.name === "AbortError") throw e;
+    const err = new Error("Network error. Check your connection and try again.");
+    err.status = 0;
+    throw err;
+  }
+
+  const text = await res.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = null;
+  }
+
+  if (!res.ok) {
+    const err = new Error(data?.message || `Request failed (${res.status})`);
+    err.status = res.status;
+    err.body = data;
+    throw err;
+  }
+  return data;
+}
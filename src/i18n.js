@@ -0,0 +1,48 @@
+import React, { createContext, useContext, useEffect, useMemo } from "react";
+import en from "./locales/en";
+import es from "./locales/es";
+import { usePersistentState } from "./storage";
+
+// Message catalogs (src/locales): strings with {name} placeholders, or functions for plurals. Missing keys fall back to English.
+
+export const LOCALES = {
+  en: { label: "English", messages: en },
+  es: { label: "Español", messages: es }
+};
+
+export const DEFAULT_LOCALE = "en";
+
+function detectLocale() {
+  const preferred = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : [];
+  const match = preferred.map((l) => String(l).split("-")[0]).find((l) => LOCALES[l]);
+  return match || DEFAULT_LOCALE;
+}
+
+export function translate(locale, key, vars = {}) {
+  const message = LOCALES[locale]?.messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key;
+  if (typeof message === "function") return message(vars);
+  return message.replace(/\{(\w+)\}/g, (m, name) => (vars[name] ?? m));
+}
+
+const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: (key, vars) => translate(DEFAULT_LOCALE, key, vars)
+});
+
+export function I18nProvider({ children }) {
+  const [stored, setLocale] = usePersistentState("locale", null);
+  const locale = LOCALES[stored] ? stored : detectLocale();
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const value = useMemo(() => ({ locale, setLocale, t: (key, vars) => translate(locale, key, vars) }), [locale, setLocale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+// { locale, setLocale, t(key, vars) }
+export function useI18n() {
+  return useContext(I18nContext);
+}
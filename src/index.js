@@ -2,6 +2,7 @@ import React, { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 
 import App from './App';
+import { registerServiceWorker } from './serviceWorker';
 
 const rootElement = document.getElementById('root');
 const root = createRoot(rootElement);
@@ -11,3 +12,5 @@ root.render(
     <App />
   </StrictMode>
 );
+
+registerServiceWorker();
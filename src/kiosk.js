@@ -0,0 +1,109 @@
+import { useEffect, useState } from "react";
+import { API_BASE_URL, CAMPUS_ID, USE_MOCK_BACKEND } from "./config";
+import { fetchJson } from "./http";
+import { createMockKioskBackend } from "./mock/kiosk";
+
+/**
+ * Kiosk boards at /kiosk/<arrivePointId>, shared Arrive Points only: fetchBoard(campusId, arrivePointId) →
+ * { orders: [{ id, merchantName, status, statusAt, eta, compartment }] }, with ids already masked.
+ */
+
+export const KIOSK_REFRESH_MS = 15 * 1000;
+
+// Board failures retry sooner than the regular refresh, but not in a tight loop.
+const RETRY_MS = 5 * 1000;
+
+// Burn-in protection: the board drifts a few pixels a minute round a small
+// circle, so no pixel shows the same thing all day.
+const SHIFT_PX = 6;
+const SHIFT_EVERY = 60 * 1000;
+const SHIFT_STEPS = 8;
+
+// Waiting in a compartment for its customer.
+export function isReadyForPickup(entry) {
+  return entry.status === "DELIVERED" && Boolean(entry.compartment);
+}
+
+// Ready orders first, by compartment, then the rest by when they are due.
+export function boardRows(orders) {
+  const due = (o) => o.eta?.earliest ?? Infinity;
+  return [...orders].sort((a, b) => {
+    const ready = Number(isReadyForPickup(b)) - Number(isReadyForPickup(a));
+    if (ready) return ready;
+    return isReadyForPickup(a) ? a.compartment - b.compartment : due(a) - due(b);
+  });
+}
+
+// { x, y } in pixels to offset the board by at `now`.
+export function burnInShift(now) {
+  const angle = ((Math.floor(now / SHIFT_EVERY) % SHIFT_STEPS) / SHIFT_STEPS) * 2 * Math.PI;
+  return { x: Math.round(Math.cos(angle) * SHIFT_PX), y: Math.round(Math.sin(angle) * SHIFT_PX) };
+}
+
+export function createHttpKioskBackend(baseUrl) {
+  return {
+    fetchBoard(campusId, arrivePointId) {
+      return fetchJson(`${baseUrl}/campuses/${encodeURIComponent(campusId)}/arrive-points/${encodeURIComponent(arrivePointId)}/board`);
+    }
+  };
+}
+
+export const kioskBackend = USE_MOCK_BACKEND ? createMockKioskBackend() : createHttpKioskBackend(API_BASE_URL);
+
+// The board, refetched every `refreshMs`: { status, data, error, updatedAt }. The last good one stays up through errors.
+export function useKioskBoard(arrivePointId, { backend = kioskBackend, campusId = CAMPUS_ID, refreshMs = KIOSK_REFRESH_MS } = {}) {
+  const [state, setState] = useState({ status: "loading", data: null, error: null, updatedAt: 0 });
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+    function load() {
+      backend
+        .fetchBoard(campusId, arrivePointId)
+        .then((data) => {
+          if (cancelled) return;
+          setState({ status: "ready", data, error: null, updatedAt: Date.now() });
+          timer = setTimeout(load, refreshMs);
+        })
+        .catch((error) => {
+          if (cancelled) return;
+          setState((s) => ({ ...s, status: s.data ? "ready" : "error", error }));
+          timer = setTimeout(load, Math.min(refreshMs, RETRY_MS));
+        });
+    }
+    setState({ status: "loading", data: null, error: null, updatedAt: 0 });
+    load();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [backend, campusId, arrivePointId, refreshMs]);
+
+  return state;
+}
+
+// Keeps the screen on while `active`, taking the wake lock again whenever the page comes back into view.
+export function useWakeLock(active = true) {
+  useEffect(() => {
+    if (!active || !navigator.wakeLock) return;
+    let lock = null;
+    let released = false;
+    const acquire = () => {
+      if (document.visibilityState !== "visible") return;
+      navigator.wakeLock
+        .request("screen")
+        .then((l) => {
+          if (released) l.release();
+          else lock = l;
+        })
+        .catch(() => {});
+    };
+    acquire();
+    document.addEventListener("visibilitychange", acquire);
+    return () => {
+      released = true;
+      document.removeEventListener("visibilitychange", acquire);
+      lock?.release().catch(() => {});
+    };
+  }, [active]);
+}
@@ -0,0 +1,20 @@
+import { boardRows } from "./kiosk";
+
+const ready = (id, compartment) => ({ id, status: "DELIVERED", compartment, eta: null });
+const incoming = (id, earliest) => ({ id, status: "IN_FLIGHT", compartment: null, eta: earliest ? { earliest, latest: earliest + 1 } : null });
+
+test("ready orders come first, by compartment, then the rest by ETA", () => {
+  const orders = [incoming("a", 300), ready("b", 3), incoming("c", 100), ready("d", 1), incoming("e", null)];
+  expect(boardRows(orders).map((o) => o.id)).toEqual(["d", "b", "c", "a", "e"]);
+});
+
+test("a delivered order without a compartment is not ready for pickup", () => {
+  const handedOver = { id: "f", status: "DELIVERED", compartment: null, eta: null };
+  expect(boardRows([handedOver, incoming("g", 100), ready("h", 2)]).map((o) => o.id)).toEqual(["h", "g", "f"]);
+});
+
+test("leaves the input alone", () => {
+  const orders = [incoming("a", 300), ready("b", 1)];
+  boardRows(orders);
+  expect(orders.map((o) => o.id)).toEqual(["a", "b"]);
+});
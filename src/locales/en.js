@@ -0,0 +1,437 @@
+// English messages, and the fallback for keys missing from other catalogs.
+
+const en = {
+  "common.back": "Back",
+  "common.continue": "Continue",
+  "common.done": "Done",
+  "common.gotIt": "Got it",
+  "common.tryAgain": "Try again",
+  "common.select": "Select",
+  "common.selected": "Selected",
+  "common.openArrivePoint": "Open Arrive Point",
+  "common.eta": "ETA {time}",
+  "common.scheduledAt": "Scheduled {time}",
+  "common.minutesRange": "{low}–{high} min",
+  "common.compartment": "Compartment {n}",
+
+  "errors.generic": "Something went wrong. Please try again.",
+  "errors.network": "Network error. Check your connection and try again.",
+  "errors.invalidCode": ({ count }) => `That code didn’t match. ${count} ${count === 1 ? "attempt" : "attempts"} left.`,
+  "errors.locked": "Too many attempts. Try again in {time}.",
+
+  "topbar.title": "Drone Delivery",
+  "topbar.subtitle": "Order from nearby merchants, delivered to your Arrive Point",
+  "topbar.active": "{count} active",
+  "topbar.orders": "Orders",
+  "topbar.alerts": "Alerts",
+  "topbar.how": "How it works",
+  "topbar.language": "Language",
+  "topbar.operator": "Operator",
+
+  "how.title": "How it works",
+  "how.sub": "QR → web app → ChowNow → delivery → pickup",
+  "how.scan": "Scan a QR code",
+  "how.scanDesc": "Open the ordering hub in your browser. No app install.",
+  "how.confirm": "Confirm your Arrive Point",
+  "how.confirmDesc": "We route delivery and secure pickup based on your destination.",
+  "how.order": "Order in ChowNow",
+  "how.orderDesc": "Restaurants keep their normal checkout and payment flow.",
+  "how.pickup": "Track and pick up",
+  "how.pickupDesc": "Get updates, then open the Arrive Point when delivered.",
+
+  "catalog.errorTitle": "Couldn’t load this campus",
+  "catalog.errorDesc": "Something went wrong loading locations and merchants.",
+  "catalog.loading": "Loading locations and merchants…",
+
+  "windows.title": "Delivery windows",
+  "windows.today": "Today’s windows",
+  "windows.closed": "Closed",
+  "windows.closesIn": "Open · closes in {duration}",
+  "windows.opensIn": "Opens in {duration}",
+  "windows.estimates": "Times are estimates and may vary with pickup and flight conditions.",
+
+  "landing.title": "Order from nearby merchants",
+  "landing.secure": "Secure pickup",
+  "landing.secureDesc": "Delivery is routed to your Arrive Point and access is controlled here.",
+  "landing.restaurant": "Restaurant friendly",
+  "landing.restaurantDesc": "Ordering stays in ChowNow. No new POS training.",
+  "landing.runner": "Runner or drone",
+  "landing.runnerDesc": "We handle pickup, staging, and delivery to your Arrive Point.",
+  "landing.live": "Live updates",
+  "landing.liveDesc": "Track from order placed to delivered.",
+  "landing.unlock": "One tap unlock",
+  "landing.unlockDesc": "Open the Arrive Point when your order arrives.",
+
+  "auth.title": "Sign in",
+  "auth.phone": "Mobile number",
+  "auth.country": "Country",
+  "auth.phoneHint": "We will send a one-time code to verify your number.",
+  "auth.invalidPhone": "That doesn’t look like a mobile number. Check the country and number.",
+  "auth.send": "Send code",
+  "auth.code": "Enter code",
+  "auth.codePlaceholder": "{length}-digit code",
+  "auth.expired": "Code expired. Send a new one to continue.",
+  "auth.codeExpired": "That code has expired.",
+  "auth.unknownRequest": "That code is no longer valid. Send a new one.",
+  "auth.sentTo": "Sent to {phone}. Code expires in {time}.",
+  "auth.demoCode": "Demo code: {code}",
+  "auth.resend": "Resend code",
+  "auth.resendIn": "Resend code in {time}",
+  "auth.resendTooSoon": "You can request another code in {time}.",
+  "auth.verify": "Verify",
+  "auth.why": "Why we verify",
+  "auth.secure": "Secure access",
+  "auth.secureDesc": "Protects Arrive Point access and delivery notifications.",
+  "auth.friction": "Less friction",
+  "auth.frictionDesc": "OTP sign in is quick and works on any phone.",
+
+  "destination.title": "Confirm your delivery destination",
+  "destination.location": "Location",
+  "destination.arrivePoint": "Arrive Point",
+  "destination.pickLocation": "Select a location to see available Arrive Points.",
+  "destination.shared": "Shared access rules may apply",
+  "destination.private": "Private delivery destination",
+  "destination.compartmentsFree": ({ free, capacity }) => `${free} of ${capacity} compartments free`,
+  "destination.full": "Full right now",
+  "destination.fullTitle": "{arrivePoint} is full",
+  "destination.fullDesc": "Every compartment is holding an order. You can still order, but your delivery may wait at the launch pad until one frees up. Another Arrive Point may be quicker.",
+  "destination.continue": "Continue to merchants",
+  "destination.next": "What happens next",
+  "destination.order": "Order through ChowNow",
+  "destination.orderDesc": "Restaurants keep checkout and payment flow.",
+  "destination.staging": "Pickup and staging",
+  "destination.stagingDesc": "Runner or robot moves order to drone launch.",
+  "destination.delivery": "Delivery to Arrive Point",
+  "destination.deliveryDesc": "You get notified when pickup is ready.",
+
+  "merchants.title": "Choose a merchant",
+  "merchants.flightHold": "Drone flights paused: {reason}",
+  "merchants.flightHoldDesc": "Ordering resumes automatically once it is safe to fly.",
+  "merchants.closed": "Ordering is closed right now",
+  "merchants.nextWindow": "{window} opens at {time} (in {duration}).",
+  "merchants.noWindows": "No delivery windows are scheduled.",
+  "merchants.search": "Search",
+  "merchants.searchPlaceholder": "Search merchants",
+  "merchants.eta": "Est. delivery",
+  "merchants.arrives": "Arrives ~{time}",
+  "merchants.mayPause": "Merchants may pause drone delivery due to weather or capacity.",
+
+  "availability.open": "Open",
+  "availability.closed": "Closed",
+  "availability.paused": "Paused: {reason}",
+  "availability.capacity": "Paused: at capacity",
+  "availability.opens": "Opens {time}",
+  "availability.opensDay": "Opens {day} {time}",
+
+  "merchant.checkoutInfo": "Checkout and payment happens in ChowNow. Tracking starts here once ChowNow confirms your order.",
+  "merchant.destination": "Delivery destination",
+  "merchant.nextWindow": "Deliver in the next window",
+  "merchant.closedUntil": "Ordering is closed until {time}. Pick a time and we will deliver then.",
+  "merchant.noWindows": "No upcoming delivery windows.",
+  "merchant.note": "Suggested order note (placeholder)",
+  "merchant.order": "Order with ChowNow",
+  "merchant.schedule": "Schedule with ChowNow",
+  "merchant.pickTime": "Pick a delivery time",
+  "merchant.closed": "Ordering closed",
+  "merchant.checkoutError": "Could not start checkout. Try again.",
+  "merchant.keepNote": "Keep the suggested note in ChowNow so we know which Arrive Point to deliver to.",
+
+  "checkout.title": "Checkout",
+  "checkout.finish": "Finish checkout in ChowNow",
+  "checkout.confirmed": "Order confirmed. Starting tracking…",
+  "checkout.waiting":
+    "Tracking starts as soon as ChowNow confirms your order. Keep the suggested order note so it reaches the right Arrive Point.",
+  "checkout.unreachable": "Could not reach checkout. Retrying…",
+  "checkout.backToMerchants": "Back to merchants",
+  "checkout.cancel": "Cancel checkout",
+  "checkout.reopen": "Reopen ChowNow",
+  "checkout.CANCELLED.title": "Checkout cancelled",
+  "checkout.CANCELLED.desc": "No order was placed and you were not charged.",
+  "checkout.ABANDONED.title": "Checkout expired",
+  "checkout.ABANDONED.desc":
+    "ChowNow never confirmed this checkout, so no order was placed. If you did pay, contact the merchant.",
+
+  "orders.active": "Active orders",
+  "orders.noActive": "No orders on the way.",
+  "orders.new": "New order",
+  "orders.past": "Past orders",
+  "orders.noPast": "Nothing here yet.",
+
+  "tracking.title": "Tracking",
+  "tracking.order": "Order {id}",
+  "tracking.late": "Running late",
+  "tracking.lateDesc": "Now expected {time}.",
+  "tracking.lateWasDesc": "Now expected {time}, originally by {promised}.",
+  "tracking.refunds": "Refunds",
+  "tracking.orderAgain": "Order again",
+  "tracking.refundInfo": "Refund info",
+  "tracking.support": "Contact support",
+  "tracking.startsIn": "Starts in {duration}",
+  "tracking.scheduledDesc": "We will send your order to the merchant at {time}, then track it here.",
+  "tracking.arrived": "Your order has arrived",
+  "tracking.arrivedDesc": "Open the Arrive Point to retrieve your order.",
+  "tracking.arrivedHeld": "Open the Arrive Point to retrieve your order. It is held for you until {time}.",
+  "tracking.inCompartment": "It is in compartment {n}.",
+  "tracking.allOrders": "All orders",
+
+  "connection.connecting": "Connecting to live updates…",
+  "connection.live": "Live updates on.",
+  "connection.reconnecting": "Connection lost. Reconnecting…",
+  "connection.polling": "Live updates unavailable. Checking every few seconds.",
+
+  "status.SCHEDULED.label": "Scheduled",
+  "status.SCHEDULED.title": "Scheduled",
+  "status.SCHEDULED.desc": "We will send your order to the merchant when your delivery time comes up.",
+  "status.PLACED.label": "Order placed",
+  "status.PLACED.title": "Order placed",
+  "status.PLACED.desc": "Waiting for the merchant to accept your order.",
+  "status.ACCEPTED.label": "Accepted",
+  "status.ACCEPTED.title": "Accepted",
+  "status.ACCEPTED.desc": "The merchant has your order.",
+  "status.PREPARING.label": "Preparing",
+  "status.PREPARING.title": "Preparing",
+  "status.PREPARING.desc": "Your order is being made.",
+  "status.READY.label": "Ready for pickup",
+  "status.READY.title": "Ready for pickup",
+  "status.READY.desc": "A runner is on the way to collect it.",
+  "status.PICKED_UP.label": "Picked up",
+  "status.PICKED_UP.title": "Picked up",
+  "status.PICKED_UP.desc": "Your order is heading to the launch pad.",
+  "status.IN_FLIGHT.label": "In flight",
+  "status.IN_FLIGHT.title": "In flight",
+  "status.IN_FLIGHT.desc": "The drone is on its way to your Arrive Point.",
+  "status.DELIVERED.label": "Delivered",
+  "status.DELIVERED.title": "Delivered",
+  "status.DELIVERED.desc": "Open the Arrive Point to retrieve your order.",
+  "status.HANDED_OVER.label": "Handed over",
+  "status.HANDED_OVER.title": "Handed over",
+  "status.HANDED_OVER.desc": "The runner handed your order to you.",
+  "status.DELAYED.label": "Delayed",
+  "status.DELAYED.title": "Running behind",
+  "status.DELAYED.desc":
+    "The merchant is taking longer than usual. Your order is still coming and the ETA will update when it moves on.",
+  "status.WEATHER_HOLD.label": "Weather hold",
+  "status.WEATHER_HOLD.title": "Paused for weather",
+  "status.WEATHER_HOLD.desc":
+    "Drone flights are paused until it is safe to fly. Your order is kept at the launch pad and will fly, or go by runner, as soon as it can.",
+  "status.REROUTED_TO_RUNNER.label": "Coming by runner",
+  "status.REROUTED_TO_RUNNER.title": "Coming by runner",
+  "status.REROUTED_TO_RUNNER.desc":
+    "A runner is bringing your order to your Arrive Point instead of a drone and will hand it to you. There is nothing to unlock.",
+  "status.CANCELLED.label": "Cancelled",
+  "status.CANCELLED.title": "Order cancelled",
+  "status.CANCELLED.desc": "This order was cancelled and will not be delivered.",
+  "status.CANCELLED.refund":
+    "If you were charged, ChowNow refunds the full amount to your original payment method, usually within 5 to 10 business days.",
+  "status.MERCHANT_REJECTED.label": "Not accepted",
+  "status.MERCHANT_REJECTED.title": "The merchant could not take this order",
+  "status.MERCHANT_REJECTED.desc":
+    "They may be out of an item or too busy right now. Try again later or order from another merchant.",
+  "status.MERCHANT_REJECTED.refund": "Your card was authorized but not charged. The hold drops off within a few business days.",
+  "status.DELIVERY_FAILED.label": "Delivery failed",
+  "status.DELIVERY_FAILED.title": "We could not deliver your order",
+  "status.DELIVERY_FAILED.desc":
+    "The drone could not complete the drop at your Arrive Point. It is on its way back and support has been alerted.",
+  "status.DELIVERY_FAILED.refund": "Orders that cannot be delivered are refunded in full once they are back with the merchant.",
+  "status.RETURNED.label": "Returned",
+  "status.RETURNED.title": "Order returned",
+  "status.RETURNED.desc": "Your order went back to the merchant and will not be delivered.",
+  "status.RETURNED.refund":
+    "A full refund is on its way to your original payment method, usually within 5 to 10 business days.",
+
+  "qr.expired": "This code has expired",
+  "qr.expiredDesc": "Get a fresh code to open the Arrive Point.",
+  "qr.error": "Couldn’t load your code",
+  "qr.offline": "You are offline and this phone has no saved code yet. Connect once to get one.",
+  "qr.notReady": "Your code is ready once your order is delivered.",
+  "qr.orderNotFound": "We couldn’t find this order.",
+  "qr.refresh": "Refresh code",
+  "qr.alt": "Unlock QR code",
+  "qr.refreshesIn": "Refreshes in {seconds}s. Screenshots stop working.",
+
+  "unlock.offline": "Offline mode",
+  "unlock.offlineDesc":
+    "No signal here, but your code is saved on this phone and the Arrive Point checks it without a network. Show the QR to the scanner, or type the keypad code on the Arrive Point.",
+  "unlock.method": "Unlock method",
+  "unlock.keypad": "Keypad",
+  "unlock.otp": "OTP",
+  "unlock.scan": "Scan to open",
+  "unlock.scanDesc": "Show this QR to the Arrive Point scanner.",
+  "unlock.keypadCode": "Keypad code",
+  "unlock.keypadDesc": "Type this on the Arrive Point keypad.",
+  "unlock.keypadChanges": "Changes every {seconds} seconds.",
+  "unlock.code": "6-digit code",
+  "unlock.codeHint": "Enter the code shown on the Arrive Point screen.",
+  "unlock.demoCode": "Demo: the Arrive Point shows {code}.",
+  "unlock.wrongArrivePoint": "This order is for a different Arrive Point.",
+  "unlock.wrongCompartment": "This code opens a different compartment. Refresh the code and try again.",
+  "unlock.invalidCredential": "The Arrive Point couldn’t accept this code. Refresh the code and try again.",
+  "unlock.unlock": "Unlock",
+  "unlock.help": "Pickup help",
+  "unlock.helpPlaceholder": "Support flow placeholder",
+
+  "door.UNLOCKING.title": "Unlocking…",
+  "door.UNLOCKING.desc": "Waiting for the Arrive Point to confirm.",
+  "door.OPEN.title": "Unlocked",
+  "door.OPEN.desc": "Retrieve your order and close the compartment door.",
+  "door.DOOR_CLOSED.title": "Pickup complete",
+  "door.DOOR_CLOSED.desc": "The compartment door is closed. Enjoy your meal.",
+  "door.JAMMED.title": "The door didn’t open",
+  "door.JAMMED.desc": "The latch is stuck. Try again, or get pickup help.",
+  "door.TIMEOUT.title": "No response from the Arrive Point",
+  "door.TIMEOUT.desc": "It may be offline. Try again in a moment, or get pickup help.",
+  "door.ALREADY_COLLECTED.title": "Already picked up",
+  "door.ALREADY_COLLECTED.desc": "This order was collected from the Arrive Point earlier.",
+
+  "alerts.title": "Order alerts",
+  "alerts.sub": "Know when your food lands while you are in ChowNow or another tab.",
+  "alerts.browser": "Browser notifications",
+  "alerts.permission.unsupported": "This browser cannot show notifications.",
+  "alerts.permission.denied": "Notifications are blocked for this site. Allow them in your browser settings.",
+  "alerts.permission.default": "Shown while this tab is in the background.",
+  "alerts.permission.granted": "Shown while this tab is in the background.",
+  "alerts.sms": "Text messages",
+  "alerts.smsDesc": "Sent to {phone}. Message rates may apply.",
+  "alerts.when": "Alert me when",
+
+  "notify.ACCEPTED.label": "Order accepted",
+  "notify.ACCEPTED.text": "{merchant} accepted your order {id}.",
+  "notify.IN_FLIGHT.label": "Drone in flight",
+  "notify.IN_FLIGHT.text": "Your {merchant} order is in the air, heading to {arrivePoint}.",
+  "notify.DELIVERED.label": "Delivered",
+  "notify.DELIVERED.text": "Your {merchant} order has landed at {arrivePoint}. Open the Arrive Point to pick it up.",
+  "notify.UNLOCK_EXPIRING.label": "Pickup ending soon",
+  "notify.UNLOCK_EXPIRING.text": "Pick up your order from {arrivePoint} by {time}, when the Arrive Point releases it.",
+  "operator.title": "Operator console",
+  "operator.sub": "Saved changes show up in Destination and Merchants right away. Nothing is deleted: disable an entry to hide it from customers.",
+  "operator.sections": "Catalog sections",
+  "operator.loading": "Loading the full catalog…",
+  "operator.forbidden": "This account can’t manage the catalog.",
+  "operator.notFound": "That entry no longer exists. Reload the console and try again.",
+  "operator.invalid": "Some fields need fixing.",
+  "operator.tab.locations": "Locations",
+  "operator.tab.merchants": "Merchants",
+  "operator.tab.windows": "Windows",
+  "operator.add.locations": "Add location",
+  "operator.add.merchants": "Add merchant",
+  "operator.add.windows": "Add delivery window",
+  "operator.new.locations": "New location",
+  "operator.new.merchants": "New merchant",
+  "operator.new.windows": "New delivery window",
+  "operator.editTitle.locations": "Edit location",
+  "operator.editTitle.merchants": "Edit merchant",
+  "operator.editTitle.windows": "Edit delivery window",
+  "operator.edit": "Edit",
+  "operator.disabled": "Disabled",
+  "operator.arrivePointCount": ({ count }) => (count === 1 ? "1 Arrive Point" : `${count} Arrive Points`),
+  "operator.arrivePoints": "Arrive Points",
+  "operator.newArrivePoint": "New Arrive Point",
+  "operator.addArrivePoint": "Add Arrive Point",
+  "operator.addHours": "Add opening hours",
+  "operator.remove": "Remove",
+  "operator.cancel": "Cancel",
+  "operator.save": "Save",
+  "operator.saved": "Saved {name}.",
+  "operator.fixFields": ({ count }) => (count === 1 ? "Fix the highlighted field to save." : `Fix the ${count} highlighted fields to save.`),
+  "operator.type.shared": "Shared",
+  "operator.type.private": "Private",
+  "operator.field.id": "ID",
+  "operator.field.idHint": "Used in links and orders. It can’t be changed later.",
+  "operator.field.idLocked": "Orders refer to this ID, so it can’t be changed.",
+  "operator.field.arrivePointIdHint": "Printed on the Arrive Point, e.g. AP-401. It can’t be changed later.",
+  "operator.field.name": "Name",
+  "operator.field.subtitle": "Subtitle",
+  "operator.field.label": "Label",
+  "operator.field.type": "Access",
+  "operator.field.flightMins": "Flight time (min)",
+  "operator.field.compartments": "Compartments",
+  "operator.field.category": "Category",
+  "operator.field.tags": "Tags",
+  "operator.field.tagsHint": "Separate tags with commas.",
+  "operator.field.chownowUrl": "ChowNow ordering link",
+  "operator.field.etaMins": "Typical ETA (min)",
+  "operator.field.prepMins": "Prep time (min)",
+  "operator.field.capacity": "Order capacity",
+  "operator.field.capacityHint": "How many open orders the kitchen takes before it stops accepting more.",
+  "operator.field.openingHours": "Opening hours",
+  "operator.field.hours": "Hours",
+  "operator.field.days": "Days",
+  "operator.field.daysHint": "Leave every day off to run daily.",
+  "operator.field.disabled": "Hidden from customers",
+  "operator.field.disabledDesc": "Existing orders keep working, but new customers won’t see it.",
+  "operator.error.required": "Required.",
+  "operator.error.idFormat": "Use lowercase letters, numbers and dashes.",
+  "operator.error.arrivePointIdFormat": "Use the AP-123 format.",
+  "operator.error.idTaken": "This ID is already in use.",
+  "operator.error.type": "Pick shared or private.",
+  "operator.error.minutes": "Enter whole minutes, 1 or more.",
+  "operator.error.count": "Enter a whole number, 1 or more.",
+  "operator.error.prepOverEta": "Prep time can’t be longer than the ETA.",
+  "operator.error.url": "Enter a full https:// link.",
+  "operator.error.hours": "Use a range like 11:00 AM to 2:00 PM.",
+  "operator.error.noArrivePoints": "Add at least one Arrive Point.",
+  "operator.error.noHours": "Add at least one set of opening hours.",
+  "operator.posters": "QR posters",
+  "posters.title": "QR posters",
+  "posters.sub": "Print a poster for each location or Arrive Point. Scanning it opens the app with that destination already picked.",
+  "posters.pick": "Poster",
+  "posters.wholeLocation": "Whole location",
+  "posters.svg": "Download SVG",
+  "posters.print": "Print or save PDF",
+  "posters.all": ({ count }) => (count === 1 ? "All posters (1)" : `All posters (${count})`),
+  "posters.svgAll": "Download all SVGs",
+  "posters.printAll": "Print all",
+  "posters.downloaded": ({ count }) => (count === 1 ? "Downloaded 1 poster." : `Downloaded ${count} posters.`),
+  "posters.preview": "Preview",
+  "posters.previewAlt": "Poster for {name}",
+  "posters.rendering": "Drawing the poster…",
+  "posters.failed": "Couldn’t draw the poster",
+  "posters.failedDesc": "Try again, or reload the page if it keeps happening.",
+  "poster.scan": "Scan to order drone delivery here",
+  "poster.step.scan": "Scan the code with your phone camera.",
+  "poster.step.signIn": "Sign in with your mobile number.",
+  "poster.step.order": "Pick your Arrive Point and order from a nearby merchant.",
+  "poster.step.orderTo": "Order from a nearby merchant. It flies to {arrivePoint}.",
+  "poster.step.unlock": "Unlock the Arrive Point from the app to collect it.",
+  "poster.orVisit": "Or open {link}",
+  "deepLink.staleTitle": "This QR code is out of date",
+  "deepLink.unknownLocation": "We couldn’t find the location “{code}” it points to. Pick your destination instead; we’ve let the campus team know.",
+  "deepLink.unknownArrivePoint": "Arrive Point “{code}” is no longer here. Pick another one at this location; we’ve let the campus team know.",
+  "deepLink.pick": "Pick destination",
+  "deepLink.dismiss": "Dismiss",
+  "deepLink.problem.UNKNOWN_LOCATION": "Unknown location",
+  "deepLink.problem.UNKNOWN_ARRIVE_POINT": "Unknown Arrive Point",
+  "posters.staleTitle": "Out of date codes being scanned",
+  "posters.staleSub": "QR codes customers scanned that name a location or Arrive Point the catalog doesn’t have. Replace those posters.",
+  "posters.staleNone": "No out of date codes have been scanned.",
+  "posters.lastScanned": "last {time}",
+  "posters.scans": ({ count }) => (count === 1 ? "1 scan" : `${count} scans`),
+  "map.title": "Live map",
+  "map.launchPad": "Launch pad",
+  "map.waiting": "Your order is still being prepared. The map starts moving once it's picked up.",
+  "map.atPad": "Your order is at the launch pad, ready to go.",
+  "map.grounded": "Your order is grounded at the launch pad until the weather clears.",
+  "map.flying": ({ percent, arrivePoint }) => `About ${percent}% of the way to ${arrivePoint}, estimated from your ETA.`,
+  "map.flyingLive": ({ arrivePoint }) => `Flying to ${arrivePoint}. Position from the drone.`,
+  "map.walking": ({ percent, arrivePoint }) => `A runner is about ${percent}% of the way to ${arrivePoint}, estimated from your ETA.`,
+  "map.walkingLive": ({ arrivePoint }) => `A runner is on the way to ${arrivePoint}. Position from the runner.`,
+  "map.arrived": ({ arrivePoint }) => `Your order is at ${arrivePoint}.`,
+  "map.route": ({ arrivePoint }) => `Route from the launch pad to ${arrivePoint}.`,
+  "kiosk.order": "Order",
+  "kiosk.merchant": "From",
+  "kiosk.status": "Status",
+  "kiosk.eta": "Arriving",
+  "kiosk.ready": "Ready in compartment {n}",
+  "kiosk.arrivedAt": "Arrived {time}",
+  "kiosk.more": ({ count }) => `+${count} more`,
+  "kiosk.empty": "No deliveries on the way right now.",
+  "kiosk.loading": "Loading deliveries…",
+  "kiosk.offline": "Can't reach the server. Trying again…",
+  "kiosk.unknownTitle": "Unknown Arrive Point",
+  "kiosk.unknownDesc": "There is no shared Arrive Point {id} on this campus. Check the kiosk's address.",
+  "kiosk.howTo": "Find your order by the last digits of its number, then open the Arrive Point from your phone.",
+  "kiosk.updated": "Updated {time}",
+  "kiosk.stale": "Offline since {time}, reconnecting…"
+};
+
+export default en;
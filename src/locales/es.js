@@ -0,0 +1,439 @@
+// Spanish messages. Product names (ChowNow, Arrive Point) stay as they appear on signage.
+
+const es = {
+  "common.back": "Atrás",
+  "common.continue": "Continuar",
+  "common.done": "Listo",
+  "common.gotIt": "Entendido",
+  "common.tryAgain": "Reintentar",
+  "common.select": "Elegir",
+  "common.selected": "Elegido",
+  "common.openArrivePoint": "Abrir Arrive Point",
+  "common.eta": "Llega {time}",
+  "common.scheduledAt": "Programado {time}",
+  "common.minutesRange": "{low}–{high} min",
+  "common.compartment": "Compartimento {n}",
+
+  "errors.generic": "Algo salió mal. Inténtalo de nuevo.",
+  "errors.network": "Error de red. Revisa tu conexión y vuelve a intentarlo.",
+  "errors.invalidCode": ({ count }) =>
+    `El código no coincide. ${count === 1 ? "Queda 1 intento" : `Quedan ${count} intentos`}.`,
+  "errors.locked": "Demasiados intentos. Vuelve a intentarlo en {time}.",
+
+  "topbar.title": "Entrega con dron",
+  "topbar.subtitle": "Pide a comercios cercanos y recíbelo en tu Arrive Point",
+  "topbar.active": ({ count }) => (count === 1 ? "1 activo" : `${count} activos`),
+  "topbar.orders": "Pedidos",
+  "topbar.alerts": "Avisos",
+  "topbar.how": "Cómo funciona",
+  "topbar.language": "Idioma",
+  "topbar.operator": "Operador",
+
+  "how.title": "Cómo funciona",
+  "how.sub": "QR → web → ChowNow → entrega → recogida",
+  "how.scan": "Escanea un código QR",
+  "how.scanDesc": "Abre el centro de pedidos en tu navegador. Sin instalar nada.",
+  "how.confirm": "Confirma tu Arrive Point",
+  "how.confirmDesc": "Dirigimos la entrega y la recogida segura según tu destino.",
+  "how.order": "Pide en ChowNow",
+  "how.orderDesc": "Los restaurantes mantienen su proceso habitual de pago.",
+  "how.pickup": "Sigue y recoge",
+  "how.pickupDesc": "Recibe novedades y abre el Arrive Point cuando llegue.",
+
+  "catalog.errorTitle": "No se pudo cargar este campus",
+  "catalog.errorDesc": "Algo salió mal al cargar ubicaciones y comercios.",
+  "catalog.loading": "Cargando ubicaciones y comercios…",
+
+  "windows.title": "Horarios de entrega",
+  "windows.today": "Horarios de hoy",
+  "windows.closed": "Cerrado",
+  "windows.closesIn": "Abierto · cierra en {duration}",
+  "windows.opensIn": "Abre en {duration}",
+  "windows.estimates": "Los tiempos son estimados y pueden variar según la recogida y las condiciones de vuelo.",
+
+  "landing.title": "Pide a comercios cercanos",
+  "landing.secure": "Recogida segura",
+  "landing.secureDesc": "La entrega va a tu Arrive Point y el acceso se controla desde aquí.",
+  "landing.restaurant": "Fácil para restaurantes",
+  "landing.restaurantDesc": "Los pedidos siguen en ChowNow. Sin formación nueva en caja.",
+  "landing.runner": "Repartidor o dron",
+  "landing.runnerDesc": "Nos encargamos de la recogida, la preparación y la entrega en tu Arrive Point.",
+  "landing.live": "Novedades en vivo",
+  "landing.liveDesc": "Sigue tu pedido desde que lo haces hasta que llega.",
+  "landing.unlock": "Apertura con un toque",
+  "landing.unlockDesc": "Abre el Arrive Point cuando llegue tu pedido.",
+
+  "auth.title": "Iniciar sesión",
+  "auth.phone": "Número de móvil",
+  "auth.country": "País",
+  "auth.phoneHint": "Te enviaremos un código de un solo uso para verificar tu número.",
+  "auth.invalidPhone": "No parece un número de móvil. Revisa el país y el número.",
+  "auth.send": "Enviar código",
+  "auth.code": "Introduce el código",
+  "auth.codePlaceholder": "Código de {length} dígitos",
+  "auth.expired": "El código caducó. Envía uno nuevo para continuar.",
+  "auth.codeExpired": "Ese código ha caducado.",
+  "auth.unknownRequest": "Ese código ya no es válido. Pide uno nuevo.",
+  "auth.sentTo": "Enviado a {phone}. El código caduca en {time}.",
+  "auth.demoCode": "Código de demostración: {code}",
+  "auth.resend": "Reenviar código",
+  "auth.resendIn": "Reenviar código en {time}",
+  "auth.resendTooSoon": "Puedes pedir otro código en {time}.",
+  "auth.verify": "Verificar",
+  "auth.why": "Por qué verificamos",
+  "auth.secure": "Acceso seguro",
+  "auth.secureDesc": "Protege el acceso al Arrive Point y los avisos de entrega.",
+  "auth.friction": "Menos pasos",
+  "auth.frictionDesc": "Entrar con un código es rápido y funciona en cualquier teléfono.",
+
+  "destination.title": "Confirma tu destino de entrega",
+  "destination.location": "Ubicación",
+  "destination.arrivePoint": "Arrive Point",
+  "destination.pickLocation": "Elige una ubicación para ver sus Arrive Points.",
+  "destination.shared": "Puede haber normas de acceso compartido",
+  "destination.private": "Destino de entrega privado",
+  "destination.compartmentsFree": ({ free, capacity }) => `${free} de ${capacity} compartimentos libres`,
+  "destination.full": "Lleno ahora mismo",
+  "destination.fullTitle": "{arrivePoint} está lleno",
+  "destination.fullDesc": "Todos los compartimentos tienen un pedido. Puedes pedir igualmente, pero la entrega puede esperar en el punto de despegue hasta que se libere uno. Otro Arrive Point puede ser más rápido.",
+  "destination.continue": "Continuar a los comercios",
+  "destination.next": "Qué pasa después",
+  "destination.order": "Pide a través de ChowNow",
+  "destination.orderDesc": "Los restaurantes mantienen su proceso de pago.",
+  "destination.staging": "Recogida y preparación",
+  "destination.stagingDesc": "Un repartidor o robot lleva el pedido al punto de despegue.",
+  "destination.delivery": "Entrega en el Arrive Point",
+  "destination.deliveryDesc": "Te avisamos cuando esté listo para recoger.",
+
+  "merchants.title": "Elige un comercio",
+  "merchants.flightHold": "Vuelos de dron en pausa: {reason}",
+  "merchants.flightHoldDesc": "Los pedidos se reanudan solos en cuanto sea seguro volar.",
+  "merchants.closed": "Ahora mismo no se aceptan pedidos",
+  "merchants.nextWindow": "{window} abre a las {time} (en {duration}).",
+  "merchants.noWindows": "No hay horarios de entrega programados.",
+  "merchants.search": "Buscar",
+  "merchants.searchPlaceholder": "Buscar comercios",
+  "merchants.eta": "Entrega estimada",
+  "merchants.arrives": "Llega ~{time}",
+  "merchants.mayPause": "Los comercios pueden pausar la entrega con dron por el clima o la demanda.",
+
+  "availability.open": "Abierto",
+  "availability.closed": "Cerrado",
+  "availability.paused": "En pausa: {reason}",
+  "availability.capacity": "En pausa: sin capacidad",
+  "availability.opens": "Abre a las {time}",
+  "availability.opensDay": "Abre {day} a las {time}",
+
+  "merchant.checkoutInfo": "El pago se hace en ChowNow. El seguimiento empieza aquí cuando ChowNow confirme tu pedido.",
+  "merchant.destination": "Destino de entrega",
+  "merchant.nextWindow": "Entregar en el próximo horario",
+  "merchant.closedUntil": "No se aceptan pedidos hasta las {time}. Elige una hora y lo entregaremos entonces.",
+  "merchant.noWindows": "No hay próximos horarios de entrega.",
+  "merchant.note": "Nota sugerida para el pedido (provisional)",
+  "merchant.order": "Pedir con ChowNow",
+  "merchant.schedule": "Programar con ChowNow",
+  "merchant.pickTime": "Elige una hora de entrega",
+  "merchant.closed": "Pedidos cerrados",
+  "merchant.checkoutError": "No se pudo iniciar el pago. Inténtalo de nuevo.",
+  "merchant.keepNote": "Mantén la nota sugerida en ChowNow para que sepamos a qué Arrive Point entregar.",
+
+  "checkout.title": "Pago",
+  "checkout.finish": "Termina el pago en ChowNow",
+  "checkout.confirmed": "Pedido confirmado. Iniciando seguimiento…",
+  "checkout.waiting":
+    "El seguimiento empieza en cuanto ChowNow confirme tu pedido. Mantén la nota sugerida para que llegue al Arrive Point correcto.",
+  "checkout.unreachable": "No se pudo contactar con el pago. Reintentando…",
+  "checkout.backToMerchants": "Volver a los comercios",
+  "checkout.cancel": "Cancelar pago",
+  "checkout.reopen": "Volver a abrir ChowNow",
+  "checkout.CANCELLED.title": "Pago cancelado",
+  "checkout.CANCELLED.desc": "No se hizo ningún pedido y no se te ha cobrado.",
+  "checkout.ABANDONED.title": "Pago caducado",
+  "checkout.ABANDONED.desc":
+    "ChowNow nunca confirmó este pago, así que no se hizo ningún pedido. Si llegaste a pagar, contacta con el comercio.",
+
+  "orders.active": "Pedidos activos",
+  "orders.noActive": "No hay pedidos en camino.",
+  "orders.new": "Nuevo pedido",
+  "orders.past": "Pedidos anteriores",
+  "orders.noPast": "Todavía no hay nada.",
+
+  "tracking.title": "Seguimiento",
+  "tracking.order": "Pedido {id}",
+  "tracking.late": "Con retraso",
+  "tracking.lateDesc": "Ahora se espera {time}.",
+  "tracking.lateWasDesc": "Ahora se espera {time}; estaba previsto antes de las {promised}.",
+  "tracking.refunds": "Reembolsos",
+  "tracking.orderAgain": "Volver a pedir",
+  "tracking.refundInfo": "Información de reembolso",
+  "tracking.support": "Contactar con soporte",
+  "tracking.startsIn": "Empieza en {duration}",
+  "tracking.scheduledDesc": "Enviaremos tu pedido al comercio a las {time} y lo seguirás aquí.",
+  "tracking.arrived": "Tu pedido ha llegado",
+  "tracking.arrivedDesc": "Abre el Arrive Point para recoger tu pedido.",
+  "tracking.arrivedHeld": "Abre el Arrive Point para recoger tu pedido. Lo guardamos hasta las {time}.",
+  "tracking.inCompartment": "Está en el compartimento {n}.",
+  "tracking.allOrders": "Todos los pedidos",
+
+  "connection.connecting": "Conectando con las novedades en vivo…",
+  "connection.live": "Novedades en vivo activadas.",
+  "connection.reconnecting": "Se perdió la conexión. Reconectando…",
+  "connection.polling": "Novedades en vivo no disponibles. Comprobando cada pocos segundos.",
+
+  "status.SCHEDULED.label": "Programado",
+  "status.SCHEDULED.title": "Programado",
+  "status.SCHEDULED.desc": "Enviaremos tu pedido al comercio cuando llegue tu hora de entrega.",
+  "status.PLACED.label": "Pedido hecho",
+  "status.PLACED.title": "Pedido hecho",
+  "status.PLACED.desc": "Esperando a que el comercio acepte tu pedido.",
+  "status.ACCEPTED.label": "Aceptado",
+  "status.ACCEPTED.title": "Aceptado",
+  "status.ACCEPTED.desc": "El comercio tiene tu pedido.",
+  "status.PREPARING.label": "En preparación",
+  "status.PREPARING.title": "En preparación",
+  "status.PREPARING.desc": "Están preparando tu pedido.",
+  "status.READY.label": "Listo para recoger",
+  "status.READY.title": "Listo para recoger",
+  "status.READY.desc": "Un repartidor va de camino a recogerlo.",
+  "status.PICKED_UP.label": "Recogido",
+  "status.PICKED_UP.title": "Recogido",
+  "status.PICKED_UP.desc": "Tu pedido va hacia el punto de despegue.",
+  "status.IN_FLIGHT.label": "En vuelo",
+  "status.IN_FLIGHT.title": "En vuelo",
+  "status.IN_FLIGHT.desc": "El dron va de camino a tu Arrive Point.",
+  "status.DELIVERED.label": "Entregado",
+  "status.DELIVERED.title": "Entregado",
+  "status.DELIVERED.desc": "Abre el Arrive Point para recoger tu pedido.",
+  "status.HANDED_OVER.label": "Entregado en mano",
+  "status.HANDED_OVER.title": "Entregado en mano",
+  "status.HANDED_OVER.desc": "El repartidor te entregó el pedido.",
+  "status.DELAYED.label": "Retrasado",
+  "status.DELAYED.title": "Va con retraso",
+  "status.DELAYED.desc":
+    "El comercio está tardando más de lo normal. Tu pedido sigue en camino y la hora estimada se actualizará cuando avance.",
+  "status.WEATHER_HOLD.label": "Pausa por clima",
+  "status.WEATHER_HOLD.title": "En pausa por el clima",
+  "status.WEATHER_HOLD.desc":
+    "Los vuelos de dron están en pausa hasta que sea seguro volar. Tu pedido espera en el punto de despegue y saldrá en dron, o con un repartidor, en cuanto se pueda.",
+  "status.REROUTED_TO_RUNNER.label": "Llega con repartidor",
+  "status.REROUTED_TO_RUNNER.title": "Llega con repartidor",
+  "status.REROUTED_TO_RUNNER.desc":
+    "Un repartidor lleva tu pedido a tu Arrive Point en lugar de un dron y te lo dará en mano. No hay nada que abrir.",
+  "status.CANCELLED.label": "Cancelado",
+  "status.CANCELLED.title": "Pedido cancelado",
+  "status.CANCELLED.desc": "Este pedido se canceló y no se entregará.",
+  "status.CANCELLED.refund":
+    "Si se te cobró, ChowNow reembolsa el importe completo a tu método de pago original, normalmente en 5 a 10 días hábiles.",
+  "status.MERCHANT_REJECTED.label": "No aceptado",
+  "status.MERCHANT_REJECTED.title": "El comercio no pudo aceptar este pedido",
+  "status.MERCHANT_REJECTED.desc":
+    "Puede que no tengan algún producto o que estén muy ocupados. Inténtalo más tarde o pide a otro comercio.",
+  "status.MERCHANT_REJECTED.refund":
+    "Tu tarjeta se autorizó pero no se cobró. La retención desaparece en unos pocos días hábiles.",
+  "status.DELIVERY_FAILED.label": "Entrega fallida",
+  "status.DELIVERY_FAILED.title": "No pudimos entregar tu pedido",
+  "status.DELIVERY_FAILED.desc":
+    "El dron no pudo completar la entrega en tu Arrive Point. Está volviendo y ya avisamos a soporte.",
+  "status.DELIVERY_FAILED.refund": "Los pedidos que no se pueden entregar se reembolsan por completo cuando vuelven al comercio.",
+  "status.RETURNED.label": "Devuelto",
+  "status.RETURNED.title": "Pedido devuelto",
+  "status.RETURNED.desc": "Tu pedido volvió al comercio y no se entregará.",
+  "status.RETURNED.refund":
+    "Tienes un reembolso completo en camino a tu método de pago original, normalmente en 5 a 10 días hábiles.",
+
+  "qr.expired": "Este código ha caducado",
+  "qr.expiredDesc": "Obtén un código nuevo para abrir el Arrive Point.",
+  "qr.error": "No se pudo cargar tu código",
+  "qr.offline": "Estás sin conexión y este teléfono aún no tiene un código guardado. Conéctate una vez para obtenerlo.",
+  "qr.notReady": "Tu código estará listo cuando se entregue tu pedido.",
+  "qr.orderNotFound": "No encontramos este pedido.",
+  "qr.refresh": "Actualizar código",
+  "qr.alt": "Código QR de apertura",
+  "qr.refreshesIn": "Se actualiza en {seconds} s. Las capturas de pantalla dejan de funcionar.",
+
+  "unlock.offline": "Modo sin conexión",
+  "unlock.offlineDesc":
+    "Aquí no hay señal, pero tu código está guardado en este teléfono y el Arrive Point lo comprueba sin red. Muestra el QR al lector o escribe el código en el teclado del Arrive Point.",
+  "unlock.method": "Método de apertura",
+  "unlock.keypad": "Teclado",
+  "unlock.otp": "Código",
+  "unlock.scan": "Escanea para abrir",
+  "unlock.scanDesc": "Muestra este QR al lector del Arrive Point.",
+  "unlock.keypadCode": "Código de teclado",
+  "unlock.keypadDesc": "Escríbelo en el teclado del Arrive Point.",
+  "unlock.keypadChanges": "Cambia cada {seconds} segundos.",
+  "unlock.code": "Código de 6 dígitos",
+  "unlock.codeHint": "Introduce el código que aparece en la pantalla del Arrive Point.",
+  "unlock.demoCode": "Demo: el Arrive Point muestra {code}.",
+  "unlock.wrongArrivePoint": "Este pedido es para otro Arrive Point.",
+  "unlock.wrongCompartment": "Este código abre otro compartimento. Actualiza el código y vuelve a intentarlo.",
+  "unlock.invalidCredential": "El Arrive Point no pudo aceptar este código. Actualiza el código y vuelve a intentarlo.",
+  "unlock.unlock": "Abrir",
+  "unlock.help": "Ayuda con la recogida",
+  "unlock.helpPlaceholder": "Flujo de soporte provisional",
+
+  "door.UNLOCKING.title": "Abriendo…",
+  "door.UNLOCKING.desc": "Esperando la confirmación del Arrive Point.",
+  "door.OPEN.title": "Abierto",
+  "door.OPEN.desc": "Recoge tu pedido y cierra la puerta del compartimento.",
+  "door.DOOR_CLOSED.title": "Recogida completada",
+  "door.DOOR_CLOSED.desc": "La puerta del compartimento está cerrada. ¡Buen provecho!",
+  "door.JAMMED.title": "La puerta no se abrió",
+  "door.JAMMED.desc": "El cierre está atascado. Vuelve a intentarlo o pide ayuda con la recogida.",
+  "door.TIMEOUT.title": "El Arrive Point no responde",
+  "door.TIMEOUT.desc": "Puede estar desconectado. Inténtalo en un momento o pide ayuda con la recogida.",
+  "door.ALREADY_COLLECTED.title": "Ya recogido",
+  "door.ALREADY_COLLECTED.desc": "Este pedido ya se recogió del Arrive Point.",
+
+  "alerts.title": "Avisos de pedidos",
+  "alerts.sub": "Entérate de cuándo llega tu comida mientras estás en ChowNow o en otra pestaña.",
+  "alerts.browser": "Notificaciones del navegador",
+  "alerts.permission.unsupported": "Este navegador no puede mostrar notificaciones.",
+  "alerts.permission.denied": "Las notificaciones están bloqueadas para este sitio. Permítelas en los ajustes del navegador.",
+  "alerts.permission.default": "Se muestran cuando esta pestaña está en segundo plano.",
+  "alerts.permission.granted": "Se muestran cuando esta pestaña está en segundo plano.",
+  "alerts.sms": "Mensajes de texto",
+  "alerts.smsDesc": "Se envían a {phone}. Pueden aplicarse tarifas.",
+  "alerts.when": "Avisarme cuando",
+
+  "notify.ACCEPTED.label": "Pedido aceptado",
+  "notify.ACCEPTED.text": "{merchant} aceptó tu pedido {id}.",
+  "notify.IN_FLIGHT.label": "Dron en vuelo",
+  "notify.IN_FLIGHT.text": "Tu pedido de {merchant} va por el aire hacia {arrivePoint}.",
+  "notify.DELIVERED.label": "Entregado",
+  "notify.DELIVERED.text": "Tu pedido de {merchant} llegó a {arrivePoint}. Abre el Arrive Point para recogerlo.",
+  "notify.UNLOCK_EXPIRING.label": "La recogida termina pronto",
+  "notify.UNLOCK_EXPIRING.text": "Recoge tu pedido en {arrivePoint} antes de las {time}, cuando el Arrive Point lo libera.",
+  "operator.title": "Consola de operador",
+  "operator.sub": "Los cambios guardados aparecen al momento en Destino y Comercios. No se borra nada: desactiva una entrada para ocultarla a los clientes.",
+  "operator.sections": "Secciones del catálogo",
+  "operator.loading": "Cargando el catálogo completo…",
+  "operator.forbidden": "Esta cuenta no puede gestionar el catálogo.",
+  "operator.notFound": "Esa entrada ya no existe. Recarga la consola y vuelve a intentarlo.",
+  "operator.invalid": "Hay campos que corregir.",
+  "operator.tab.locations": "Ubicaciones",
+  "operator.tab.merchants": "Comercios",
+  "operator.tab.windows": "Franjas",
+  "operator.add.locations": "Añadir ubicación",
+  "operator.add.merchants": "Añadir comercio",
+  "operator.add.windows": "Añadir franja de entrega",
+  "operator.new.locations": "Nueva ubicación",
+  "operator.new.merchants": "Nuevo comercio",
+  "operator.new.windows": "Nueva franja de entrega",
+  "operator.editTitle.locations": "Editar ubicación",
+  "operator.editTitle.merchants": "Editar comercio",
+  "operator.editTitle.windows": "Editar franja de entrega",
+  "operator.edit": "Editar",
+  "operator.disabled": "Desactivado",
+  "operator.arrivePointCount": ({ count }) => (count === 1 ? "1 Arrive Point" : `${count} Arrive Points`),
+  "operator.arrivePoints": "Arrive Points",
+  "operator.newArrivePoint": "Nuevo Arrive Point",
+  "operator.addArrivePoint": "Añadir Arrive Point",
+  "operator.addHours": "Añadir horario",
+  "operator.remove": "Quitar",
+  "operator.cancel": "Cancelar",
+  "operator.save": "Guardar",
+  "operator.saved": "{name} guardado.",
+  "operator.fixFields": ({ count }) => (count === 1 ? "Corrige el campo marcado para guardar." : `Corrige los ${count} campos marcados para guardar.`),
+  "operator.type.shared": "Compartido",
+  "operator.type.private": "Privado",
+  "operator.field.id": "ID",
+  "operator.field.idHint": "Se usa en enlaces y pedidos. No se puede cambiar después.",
+  "operator.field.idLocked": "Hay pedidos que usan este ID, así que no se puede cambiar.",
+  "operator.field.arrivePointIdHint": "El código impreso en el Arrive Point, p. ej. AP-401. No se puede cambiar después.",
+  "operator.field.name": "Nombre",
+  "operator.field.subtitle": "Subtítulo",
+  "operator.field.label": "Etiqueta",
+  "operator.field.type": "Acceso",
+  "operator.field.flightMins": "Tiempo de vuelo (min)",
+  "operator.field.compartments": "Compartimentos",
+  "operator.field.category": "Categoría",
+  "operator.field.tags": "Etiquetas",
+  "operator.field.tagsHint": "Separa las etiquetas con comas.",
+  "operator.field.chownowUrl": "Enlace de pedidos de ChowNow",
+  "operator.field.etaMins": "Tiempo de entrega habitual (min)",
+  "operator.field.prepMins": "Tiempo de preparación (min)",
+  "operator.field.capacity": "Capacidad de pedidos",
+  "operator.field.capacityHint": "Cuántos pedidos abiertos acepta la cocina antes de dejar de aceptar más.",
+  "operator.field.openingHours": "Horario de apertura",
+  "operator.field.hours": "Horas",
+  "operator.field.days": "Días",
+  "operator.field.daysHint": "Sin días marcados funciona todos los días.",
+  "operator.field.disabled": "Oculto para los clientes",
+  "operator.field.disabledDesc": "Los pedidos existentes siguen funcionando, pero los clientes nuevos no lo verán.",
+  "operator.error.required": "Obligatorio.",
+  "operator.error.idFormat": "Usa minúsculas, números y guiones.",
+  "operator.error.arrivePointIdFormat": "Usa el formato AP-123.",
+  "operator.error.idTaken": "Este ID ya está en uso.",
+  "operator.error.type": "Elige compartido o privado.",
+  "operator.error.minutes": "Indica minutos enteros, 1 o más.",
+  "operator.error.count": "Indica un número entero, 1 o más.",
+  "operator.error.prepOverEta": "La preparación no puede durar más que el tiempo de entrega.",
+  "operator.error.url": "Indica un enlace https:// completo.",
+  "operator.error.hours": "Usa un rango como 11:00-14:00.",
+  "operator.error.noArrivePoints": "Añade al menos un Arrive Point.",
+  "operator.error.noHours": "Añade al menos un horario.",
+  "operator.posters": "Pósteres QR",
+  "posters.title": "Pósteres QR",
+  "posters.sub": "Imprime un póster para cada ubicación o Arrive Point. Al escanearlo, la app se abre con ese destino ya elegido.",
+  "posters.pick": "Póster",
+  "posters.wholeLocation": "Toda la ubicación",
+  "posters.svg": "Descargar SVG",
+  "posters.print": "Imprimir o guardar PDF",
+  "posters.all": ({ count }) => (count === 1 ? "Todos los pósteres (1)" : `Todos los pósteres (${count})`),
+  "posters.svgAll": "Descargar todos los SVG",
+  "posters.printAll": "Imprimir todos",
+  "posters.downloaded": ({ count }) => (count === 1 ? "Se descargó 1 póster." : `Se descargaron ${count} pósteres.`),
+  "posters.preview": "Vista previa",
+  "posters.previewAlt": "Póster de {name}",
+  "posters.rendering": "Dibujando el póster…",
+  "posters.failed": "No se pudo dibujar el póster",
+  "posters.failedDesc": "Inténtalo de nuevo o recarga la página si sigue pasando.",
+  "poster.scan": "Escanea para pedir entrega con dron aquí",
+  "poster.step.scan": "Escanea el código con la cámara del móvil.",
+  "poster.step.signIn": "Inicia sesión con tu número de móvil.",
+  "poster.step.order": "Elige tu Arrive Point y pide a un comercio cercano.",
+  "poster.step.orderTo": "Pide a un comercio cercano. Volará hasta {arrivePoint}.",
+  "poster.step.unlock": "Abre el Arrive Point desde la app para recogerlo.",
+  "poster.orVisit": "O abre {link}",
+  "deepLink.staleTitle": "Este código QR está desactualizado",
+  "deepLink.unknownLocation": "No encontramos la ubicación “{code}” a la que apunta. Elige tu destino manualmente; ya avisamos al equipo del campus.",
+  "deepLink.unknownArrivePoint": "El Arrive Point “{code}” ya no está aquí. Elige otro en esta ubicación; ya avisamos al equipo del campus.",
+  "deepLink.pick": "Elegir destino",
+  "deepLink.dismiss": "Cerrar",
+  "deepLink.problem.UNKNOWN_LOCATION": "Ubicación desconocida",
+  "deepLink.problem.UNKNOWN_ARRIVE_POINT": "Arrive Point desconocido",
+  "posters.staleTitle": "Códigos desactualizados que se escanean",
+  "posters.staleSub": "Códigos QR escaneados por clientes que apuntan a una ubicación o Arrive Point que no está en el catálogo. Sustituye esos pósteres.",
+  "posters.staleNone": "No se ha escaneado ningún código desactualizado.",
+  "posters.lastScanned": "último {time}",
+  "posters.scans": ({ count }) => (count === 1 ? "1 escaneo" : `${count} escaneos`),
+  "map.title": "Mapa en vivo",
+  "map.launchPad": "Plataforma de despegue",
+  "map.waiting": "Tu pedido aún se está preparando. El mapa se moverá cuando lo recojan.",
+  "map.atPad": "Tu pedido está en la plataforma de despegue, listo para salir.",
+  "map.grounded": "Tu pedido espera en la plataforma de despegue hasta que mejore el clima.",
+  "map.flying": ({ percent, arrivePoint }) => `Aproximadamente ${percent}% del camino a ${arrivePoint}, estimado según tu hora de llegada.`,
+  "map.flyingLive": ({ arrivePoint }) => `Volando hacia ${arrivePoint}. Posición del dron.`,
+  "map.walking": ({ percent, arrivePoint }) => `Un mensajero lleva aproximadamente ${percent}% del camino a ${arrivePoint}, estimado según tu hora de llegada.`,
+  "map.walkingLive": ({ arrivePoint }) => `Un mensajero va hacia ${arrivePoint}. Posición del mensajero.`,
+  "map.arrived": ({ arrivePoint }) => `Tu pedido está en ${arrivePoint}.`,
+  "map.route": ({ arrivePoint }) => `Ruta desde la plataforma de despegue hasta ${arrivePoint}.`,
+  "kiosk.order": "Pedido",
+  "kiosk.merchant": "De",
+  "kiosk.status": "Estado",
+  "kiosk.eta": "Llega",
+  "kiosk.ready": "Listo en el compartimento {n}",
+  "kiosk.arrivedAt": "Llegó a las {time}",
+  "kiosk.more": ({ count }) => `+${count} más`,
+  "kiosk.empty": "No hay entregas en camino ahora mismo.",
+  "kiosk.loading": "Cargando entregas…",
+  "kiosk.offline": "No se puede conectar con el servidor. Reintentando…",
+  "kiosk.unknownTitle": "Arrive Point desconocido",
+  "kiosk.unknownDesc": "No hay ningún Arrive Point compartido {id} en este campus. Revisa la dirección del kiosco.",
+  "kiosk.howTo": "Busca tu pedido por los últimos dígitos de su número y abre el Arrive Point desde tu teléfono.",
+  "kiosk.updated": "Actualizado a las {time}",
+  "kiosk.stale": "Sin conexión desde las {time}, reconectando…"
+};
+
+export default es;
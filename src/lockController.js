@@ -0,0 +1,51 @@
+import { API_BASE_URL, USE_MOCK_BACKEND } from "./config";
+import { fromHttpError } from "./errors";
+import { fetchJson } from "./http";
+import { createMockLockController } from "./mock/lockDevice";
+
+/**
+ * Arrive Point lock: unlock({ order, session, method: "OTP" | "QR", code?, token? }, onState) reports UNLOCKING and OPEN,
+ * then resolves with DOOR_CLOSED, JAMMED, TIMEOUT or ALREADY_COLLECTED. Rejections carry LOCK_ERRORS codes.
+ */
+
+export const DOOR_STATES = ["UNLOCKING", "OPEN", "DOOR_CLOSED", "JAMMED", "TIMEOUT", "ALREADY_COLLECTED"];
+const FINAL_DOOR_STATES = ["DOOR_CLOSED", "JAMMED", "TIMEOUT", "ALREADY_COLLECTED"];
+
+const POLL_MS = 700;
+const CONFIRM_TIMEOUT_MS = 20000;
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function createHttpLockController(baseUrl) {
+  return {
+    async unlock({ order, session, method, code, token }, onState) {
+      const auth = { Authorization: `Bearer ${session.token}` };
+      let request;
+      try {
+        request = await fetchJson(`${baseUrl}/arrive-points/${encodeURIComponent(order.arrivePointId)}/unlock`, {
+          method: "POST",
+          headers: auth,
+          body: { orderId: order.id, method, code, token }
+        });
+      } catch (e) {
+        throw fromHttpError(e);
+      }
+
+      // The device reports back asynchronously; follow it until it settles.
+      const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+      let last = null;
+      while (Date.now() < deadline) {
+        const { state } = await fetchJson(`${baseUrl}/unlock-requests/${encodeURIComponent(request.id)}`, { headers: auth });
+        if (state !== last) {
+          last = state;
+          if (FINAL_DOOR_STATES.includes(state)) return state;
+          onState(state);
+        }
+        await wait(POLL_MS);
+      }
+      return "TIMEOUT";
+    }
+  };
+}
+
+export const lockController = USE_MOCK_BACKEND ? createMockLockController() : createHttpLockController(API_BASE_URL);
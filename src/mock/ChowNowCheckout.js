@@ -0,0 +1,44 @@
+import React, { useState } from "react";
+import { checkoutReturnUrl } from "../checkout";
+import { completeMockCheckout, getMockCheckoutSession } from "./checkout";
+
+// Mock ChowNow checkout at /dev/chownow/:sessionId: paying or cancelling plays the webhook, then returns like ChowNow.
+export default function ChowNowCheckout({ sessionId }) {
+  const session = getMockCheckoutSession(sessionId);
+  const [orderNote, setOrderNote] = useState(session?.note || "");
+
+  function finish(paid) {
+    completeMockCheckout(sessionId, { paid, orderNote });
+    window.location.assign(checkoutReturnUrl(sessionId));
+  }
+
+  return (
+    <div className="page">
+      <div className="wrap">
+        <div className="card">
+          <div className="cardTitle">ChowNow checkout (mock)</div>
+          <div className="cardBody">
+            {!session ? (
+              <div className="muted">This checkout link is not valid.</div>
+            ) : session.status !== "PENDING" ? (
+              <div className="muted">This checkout is already {session.status.toLowerCase()}.</div>
+            ) : (
+              <>
+                <div className="rowTitle">{session.merchantName}</div>
+                <div className="field">
+                  <label className="label" htmlFor="chownow-note">Order note</label>
+                  <textarea id="chownow-note" className="input" rows={3} value={orderNote} onChange={(e) => setOrderNote(e.target.value)} />
+                  <div className="hint">Edit or clear the note to try a checkout without an Arrive Point.</div>
+                </div>
+                <div className="btnRow">
+                  <button className="btn btnOutline" onClick={() => finish(false)}>Cancel</button>
+                  <button className="btn btnPrimary" onClick={() => finish(true)}>Pay and place order</button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { AUTH_ERRORS, codedError } from "../errors";
+import { roundTrip } from "./util";
+
+const CODE_LENGTH = 6;
+const CODE_TTL = 5 * 60 * 1000;
+const RESEND_AFTER = 30 * 1000;
+const MAX_ATTEMPTS = 5;
+const LOCKOUT = 10 * 60 * 1000;
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// Numbers that sign in as operators, e.g. REACT_APP_MOCK_OPERATOR_PHONES=+13175550100,+13175550101.
+const OPERATOR_PHONES = (process.env.REACT_APP_MOCK_OPERATOR_PHONES || "+13175550100").split(",").map((p) => p.trim());
+
+function randomDigits(n) {
+  const values = new Uint32Array(n);
+  window.crypto.getRandomValues(values);
+  return Array.from(values, (v) => v % 10).join("");
+}
+
+/**
+ * Local stand-in for the SMS OTP service. Codes are random and returned as
+ * `devCode` instead of being texted. Attempts and lockout are tracked per
+ * phone, so sending a fresh code does not reset them.
+ */
+export function createMockAuthProvider() {
+  const phones = new Map(); // phone → { attempts, lockedUntil, resendAt }
+  const requests = new Map(); // requestId → { phone, code, expiresAt }
+
+  function phoneState(phone) {
+    if (!phones.has(phone)) phones.set(phone, { attempts: 0, lockedUntil: 0, resendAt: 0 });
+    return phones.get(phone);
+  }
+
+  function assertNotLocked(p, now) {
+    if (p.lockedUntil > now) {
+      throw codedError(AUTH_ERRORS.LOCKED, "Too many attempts.", { lockedUntil: p.lockedUntil });
+    }
+    if (p.lockedUntil) {
+      p.lockedUntil = 0;
+      p.attempts = 0;
+    }
+  }
+
+  return {
+    async sendCode(phone) {
+      await roundTrip();
+      const now = Date.now();
+      if (!/^\+?\d{10,15}$/.test(phone || "")) {
+        throw codedError(AUTH_ERRORS.INVALID_PHONE, "Enter a valid mobile number.");
+      }
+      const p = phoneState(phone);
+      assertNotLocked(p, now);
+      if (p.resendAt > now) {
+        throw codedError(AUTH_ERRORS.RESEND_TOO_SOON, "Please wait before requesting another code.", { resendAt: p.resendAt });
+      }
+
+      // A new code replaces any outstanding one for this phone.
+      for (const [id, r] of requests) if (r.phone === phone) requests.delete(id);
+
+      const requestId = `otp_${randomDigits(12)}`;
+      const code = randomDigits(CODE_LENGTH);
+      const expiresAt = now + CODE_TTL;
+      p.resendAt = now + RESEND_AFTER;
+      requests.set(requestId, { phone, code, expiresAt });
+
+      return { requestId, expiresAt, resendAt: p.resendAt, codeLength: CODE_LENGTH, devCode: code };
+    },
+
+    async verifyCode(requestId, code) {
+      await roundTrip();
+      const now = Date.now();
+      const r = requests.get(requestId);
+      if (!r) throw codedError(AUTH_ERRORS.UNKNOWN_REQUEST, "That code is no longer valid. Send a new one.");
+
+      const p = phoneState(r.phone);
+      assertNotLocked(p, now);
+      if (r.expiresAt <= now) {
+        requests.delete(requestId);
+        throw codedError(AUTH_ERRORS.CODE_EXPIRED, "That code has expired. Send a new one.");
+      }
+
+      if (code !== r.code) {
+        p.attempts += 1;
+        if (p.attempts >= MAX_ATTEMPTS) {
+          p.lockedUntil = now + LOCKOUT;
+          requests.delete(requestId);
+          throw codedError(AUTH_ERRORS.LOCKED, "Too many attempts.", { lockedUntil: p.lockedUntil });
+        }
+        throw codedError(AUTH_ERRORS.INVALID_CODE, "That code didn’t match.", { attemptsLeft: MAX_ATTEMPTS - p.attempts });
+      }
+
+      requests.delete(requestId);
+      phones.delete(r.phone);
+      return {
+        token: `sess_${randomDigits(24)}`,
+        phone: r.phone,
+        role: OPERATOR_PHONES.includes(r.phone) ? "operator" : "customer",
+        issuedAt: now,
+        expiresAt: now + SESSION_TTL
+      };
+    }
+  };
+}
@@ -0,0 +1,192 @@
+import { loadItem, saveItem } from "../storage";
+import { mockOccupancy } from "./compartments";
+import { clone, roundTrip } from "./util";
+
+// Campus-wide drone flight hold, e.g. REACT_APP_MOCK_FLIGHT_HOLD="high winds".
+const FLIGHT_HOLD = process.env.REACT_APP_MOCK_FLIGHT_HOLD || "";
+
+// Mock data, as first seeded. Operator edits are saved over it in storage.
+const SEED_CATALOGS = {
+  "visionary-park": {
+    campus: {
+      id: "visionary-park",
+      name: "Visionary Park",
+      timeZone: "America/Indiana/Indianapolis",
+      pickupMins: 4,
+      stagingMins: 3,
+      pickupHoldMins: 30,
+      support: { phone: "+13175550142", email: "help@visionarypark.example" },
+      map: {
+        bounds: { north: 39.9616, south: 39.9574, west: -86.0182, east: -86.0092 },
+        launchPad: { lat: 39.958, lng: -86.017 }
+      }
+    },
+    locations: [
+      {
+        id: "vp-launch-fishers",
+        name: "Launch Fishers",
+        subtitle: "Shared pickup",
+        footprint: { north: 39.9607, south: 39.9595, west: -86.0152, east: -86.0128 },
+        arrivePoints: [
+          { id: "AP-101", label: "AP-101 • Lobby", type: "shared", flightMins: 5, compartments: 8, position: { lat: 39.9596, lng: -86.0142 } },
+          {
+            id: "AP-102",
+            label: "AP-102 • Suite Wing",
+            type: "shared",
+            flightMins: 6,
+            compartments: 4,
+            position: { lat: 39.9606, lng: -86.013 }
+          }
+        ]
+      },
+      {
+        id: "vp-building-a",
+        name: "Visionary Park Building A",
+        subtitle: "Private pickup",
+        footprint: { north: 39.9591, south: 39.958, west: -86.0124, east: -86.0106 },
+        arrivePoints: [
+          {
+            id: "AP-201",
+            label: "AP-201 • Main Entrance",
+            type: "private",
+            flightMins: 7,
+            compartments: 2,
+            position: { lat: 39.9581, lng: -86.0115 }
+          }
+        ]
+      },
+      {
+        id: "vp-building-b",
+        name: "Visionary Park Building B",
+        subtitle: "Private pickup",
+        footprint: { north: 39.9612, south: 39.9601, west: -86.0112, east: -86.0097 },
+        arrivePoints: [
+          {
+            id: "AP-301",
+            label: "AP-301 • Mail Room",
+            type: "private",
+            flightMins: 9,
+            compartments: 2,
+            position: { lat: 39.9602, lng: -86.0099 }
+          }
+        ]
+      }
+    ],
+    merchants: [
+      {
+        id: "merchant-1",
+        name: "Sushi & Bowls",
+        category: "Asian",
+        etaMins: 28,
+        prepMins: 16,
+        hours: [{ hours: "10:30 AM to 9:30 PM" }],
+        capacity: 12,
+        chownowUrl: "https://order.chownow.com/placeholders/merchant-1",
+        tags: ["Fresh", "Light", "Popular"]
+      },
+      {
+        id: "merchant-2",
+        name: "Garlic Noodle House",
+        category: "Noodles",
+        etaMins: 32,
+        prepMins: 20,
+        hours: [{ hours: "11:00 AM to 3:00 PM" }, { hours: "4:30 PM to 9:30 PM" }],
+        capacity: 6,
+        chownowUrl: "https://order.chownow.com/placeholders/merchant-2",
+        tags: ["Savory", "Medium spice"]
+      },
+      {
+        id: "merchant-3",
+        name: "Grill & Greens",
+        category: "Bowls",
+        etaMins: 24,
+        prepMins: 12,
+        hours: [{ hours: "5:00 PM to 9:00 PM", days: [1, 2, 3, 4, 5] }],
+        capacity: 8,
+        chownowUrl: "https://order.chownow.com/placeholders/merchant-3",
+        tags: ["Protein", "Clean"]
+      }
+    ],
+    windows: [
+      { id: "lunch", label: "Lunch Window", hours: "11:00 AM to 2:00 PM" },
+      { id: "dinner", label: "Dinner Window", hours: "5:00 PM to 9:00 PM" }
+    ]
+  }
+};
+
+// A queue that drifts every five minutes, so capacity limits come and go like they would live.
+function simulatedQueue(merchant, now) {
+  const bucket = Math.floor(now / (5 * 60 * 1000));
+  const seed = merchant.id.split("").reduce((n, c) => n + c.charCodeAt(0), 0);
+  const wave = (Math.sin(seed * 7.1 + bucket * 1.7) + 1) / 2;
+  return Math.round(wave * merchant.capacity * 1.1);
+}
+
+const storeKey = (campusId) => `mock:catalog:${campusId}`;
+
+/**
+ * The editable catalog for a campus, including disabled entries: what the
+ * operator console last saved, or the seed data. Null for an unknown campus.
+ * The console does not edit the campus itself, so that always comes from the seed.
+ */
+export function loadMockCatalog(campusId) {
+  const seed = SEED_CATALOGS[campusId];
+  if (!seed) return null;
+  const saved = loadItem(storeKey(campusId));
+  return saved ? { ...saved, campus: clone(seed.campus) } : clone(seed);
+}
+
+export function saveMockCatalog(campusId, catalog) {
+  saveItem(storeKey(campusId), catalog);
+}
+
+// The catalog entry for an Arrive Point, for mocks that need its compartments.
+export function findMockArrivePoint(arrivePointId) {
+  for (const campusId of Object.keys(SEED_CATALOGS)) {
+    for (const location of loadMockCatalog(campusId).locations) {
+      const ap = location.arrivePoints.find((a) => a.id === arrivePointId);
+      if (ap) return ap;
+    }
+  }
+  return null;
+}
+
+const enabled = (entry) => !entry.disabled;
+
+/**
+ * In-browser stand-in for GET /campuses/:campusId/catalog. Customers never
+ * see disabled entries.
+ */
+export function createMockCatalogBackend() {
+  return {
+    async fetchCatalog(campusId) {
+      await roundTrip();
+      const catalog = loadMockCatalog(campusId);
+      if (!catalog) {
+        const err = new Error(`Unknown campus "${campusId}"`);
+        err.status = 404;
+        throw err;
+      }
+      const now = Date.now();
+      const result = {
+        campus: catalog.campus,
+        locations: catalog.locations
+          .filter(enabled)
+          .map((l) => ({ ...l, arrivePoints: l.arrivePoints.filter(enabled) }))
+          .filter((l) => l.arrivePoints.length),
+        merchants: catalog.merchants.filter(enabled),
+        windows: catalog.windows.filter(enabled)
+      };
+      result.campus.flightHold = FLIGHT_HOLD ? { reason: FLIGHT_HOLD } : null;
+      result.merchants.forEach((m) => {
+        m.activeOrders = simulatedQueue(m, now);
+      });
+      result.locations.forEach((l) =>
+        l.arrivePoints.forEach((ap) => {
+          ap.occupied = mockOccupancy(ap, now);
+        })
+      );
+      return result;
+    }
+  };
+}
@@ -0,0 +1,81 @@
+import { BASENAME } from "../router";
+import { loadItem, saveItem } from "../storage";
+import { roundTrip } from "./util";
+
+const SESSION_TTL = 30 * 60 * 1000;
+const STORE_KEY = "mock:checkoutSessions";
+
+// Sessions live in storage, not memory: the checkout tab and the app tab both need to see them.
+function readAll() {
+  return loadItem(STORE_KEY, {});
+}
+
+function writeAll(sessions) {
+  saveItem(STORE_KEY, sessions, { ttl: 24 * 60 * 60 * 1000 });
+}
+
+function update(id, patch) {
+  const sessions = readAll();
+  if (!sessions[id]) return null;
+  sessions[id] = { ...sessions[id], ...patch };
+  writeAll(sessions);
+  return sessions[id];
+}
+
+export function getMockCheckoutSession(id) {
+  return readAll()[id] || null;
+}
+
+// What ChowNow's webhook would report: paid (with the final order note) or backed out.
+export function completeMockCheckout(id, { paid, orderNote }) {
+  if (!paid) return update(id, { status: "CANCELLED" });
+  return update(id, {
+    status: "CONFIRMED",
+    chownowOrderId: `CN-${Math.floor(Math.random() * 900000) + 100000}`,
+    orderNote
+  });
+}
+
+// Local stand-in for the checkout session API; checkoutUrl is the mock ChowNow page.
+export function createMockCheckoutProvider() {
+  return {
+    async createSession({ merchantId, merchantName, arrivePointId, note, scheduledFor }) {
+      await roundTrip();
+      const id = `cs_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      const now = Date.now();
+      const session = {
+        id,
+        status: "PENDING",
+        merchantId,
+        merchantName,
+        arrivePointId,
+        note,
+        scheduledFor: scheduledFor || null,
+        checkoutUrl: `${window.location.origin}${BASENAME}/dev/chownow/${id}`,
+        createdAt: now,
+        expiresAt: now + SESSION_TTL
+      };
+      writeAll({ ...readAll(), [id]: session });
+      return session;
+    },
+
+    async getSession(id) {
+      await roundTrip();
+      const session = getMockCheckoutSession(id);
+      if (!session) {
+        const err = new Error("Checkout session not found.");
+        err.status = 404;
+        throw err;
+      }
+      if (session.status === "PENDING" && Date.now() > session.expiresAt) return update(id, { status: "ABANDONED" });
+      return session;
+    },
+
+    async cancelSession(id) {
+      await roundTrip();
+      const session = getMockCheckoutSession(id);
+      if (session?.status !== "PENDING") return session;
+      return update(id, { status: "CANCELLED" });
+    }
+  };
+}
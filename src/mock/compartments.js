@@ -0,0 +1,53 @@
+import { loadItem, saveItem } from "../storage";
+
+// Every compartment at this Arrive Point reads as taken, e.g. REACT_APP_MOCK_FULL_ARRIVE_POINT=AP-101.
+const FULL_ARRIVE_POINT = process.env.REACT_APP_MOCK_FULL_ARRIVE_POINT || "";
+const STORE_KEY = "mock:compartments";
+const TTL = 24 * 60 * 60 * 1000;
+
+// arrivePointId → { orderId: compartment } for this device's orders, until they are collected.
+const assigned = loadItem(STORE_KEY, {});
+
+function persist() {
+  saveItem(STORE_KEY, assigned, { ttl: TTL });
+}
+
+// Other people's orders come and go every ten minutes, filling the low-numbered compartments.
+export function mockOthersOccupying(arrivePoint, now) {
+  if (arrivePoint.id === FULL_ARRIVE_POINT) return arrivePoint.compartments;
+  const bucket = Math.floor(now / (10 * 60 * 1000));
+  const seed = arrivePoint.id.split("").reduce((n, c) => n + c.charCodeAt(0), 0);
+  const wave = (Math.sin(seed * 3.3 + bucket * 2.1) + 1) / 2;
+  return Math.floor(wave * (arrivePoint.compartments - 1));
+}
+
+/**
+ * Compartments in use at an Arrive Point: other people's plus ours.
+ */
+export function mockOccupancy(arrivePoint, now = Date.now()) {
+  const ours = Object.keys(assigned[arrivePoint.id] || {}).length;
+  return Math.min(arrivePoint.compartments, mockOthersOccupying(arrivePoint, now) + ours);
+}
+
+// An order's compartment: the lowest free one on the first call, the same after. A full point shares its last one.
+export function assignMockCompartment(arrivePoint, orderId, now = Date.now()) {
+  const byOrder = assigned[arrivePoint.id] || (assigned[arrivePoint.id] = {});
+  if (byOrder[orderId]) return byOrder[orderId];
+  const taken = new Set(Object.values(byOrder));
+  let n = mockOthersOccupying(arrivePoint, now) + 1;
+  while (taken.has(n) && n < arrivePoint.compartments) n += 1;
+  byOrder[orderId] = Math.min(n, arrivePoint.compartments);
+  persist();
+  return byOrder[orderId];
+}
+
+// Whether an order of ours is still in its compartment, i.e. not collected yet.
+export function isMockCompartmentHeld(arrivePointId, orderId) {
+  return Boolean(assigned[arrivePointId]?.[orderId]);
+}
+
+export function releaseMockCompartment(arrivePointId, orderId) {
+  if (!assigned[arrivePointId]?.[orderId]) return;
+  delete assigned[arrivePointId][orderId];
+  persist();
+}
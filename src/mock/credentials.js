@@ -0,0 +1,63 @@
+import { sha256Hex, randomB64url } from "../crypto";
+import { CREDENTIAL_ERRORS, codedError } from "../errors";
+import { loadItem, saveItem } from "../storage";
+import { roundTrip } from "./util";
+
+const STEP_SECONDS = 30;
+// Covers the Arrive Point's pickup hold, so a grant saved on delivery still works offline at pickup.
+const GRANT_TTL = 30 * 60 * 1000;
+const STORE_KEY = "mock:unlockGrants";
+
+// keyId → grant. Kept in storage so the simulated lock can still verify after a reload.
+const grants = new Map(Object.entries(loadItem(STORE_KEY, {})));
+
+function persist() {
+  const now = Date.now();
+  for (const [kid, g] of grants) if (g.expiresAt < now) grants.delete(kid);
+  saveItem(STORE_KEY, Object.fromEntries(grants));
+}
+
+export function findMockGrant(keyId) {
+  return grants.get(keyId) || null;
+}
+
+// The newest live grant for an order: what the lock checks keypad codes against.
+export function findMockGrantForOrder(orderId, now = Date.now()) {
+  let found = null;
+  for (const g of grants.values()) {
+    if (g.orderId === orderId && g.expiresAt > now && (!found || g.issuedAt > found.issuedAt)) found = g;
+  }
+  return found;
+}
+
+/**
+ * Local stand-in for POST /orders/:id/unlock-grant.
+ */
+export function createMockCredentialProvider() {
+  return {
+    async issueGrant({ order, session }) {
+      await roundTrip();
+      if (!order) throw codedError(CREDENTIAL_ERRORS.ORDER_NOT_FOUND, "Order not found.");
+      if (order.status !== "DELIVERED") {
+        throw codedError(CREDENTIAL_ERRORS.NOT_READY, "Your order has not arrived yet.");
+      }
+
+      const now = Date.now();
+      const grant = {
+        keyId: randomB64url(6),
+        secret: randomB64url(32),
+        // Opaque user reference: the scanner never sees the phone number.
+        subject: `usr_${(await sha256Hex(session.phone)).slice(0, 16)}`,
+        orderId: order.id,
+        arrivePointId: order.arrivePointId,
+        compartment: order.compartment || null,
+        stepSeconds: STEP_SECONDS,
+        issuedAt: now,
+        expiresAt: now + GRANT_TTL
+      };
+      grants.set(grant.keyId, grant);
+      persist();
+      return grant;
+    }
+  };
+}
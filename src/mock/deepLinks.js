@@ -0,0 +1,31 @@
+import { loadItem, saveItem } from "../storage";
+import { roundTrip } from "./util";
+
+const STORE_KEY = "mock:deepLinkReports";
+
+// campusId → { "locationId|arrivePointId": { locationId, arrivePointId, problem, count, firstAt, lastAt } }
+function readAll() {
+  return loadItem(STORE_KEY, {});
+}
+
+// Reports for a campus, most recently scanned first.
+export function mockDeepLinkReports(campusId) {
+  return Object.values(readAll()[campusId] || {}).sort((a, b) => b.lastAt - a.lastAt);
+}
+
+// Local stand-in for POST /campuses/:campusId/deep-link-reports; scans of the same code are counted together.
+export function createMockDeepLinkReporter() {
+  return {
+    async report(campusId, { locationId, arrivePointId, problem }) {
+      await roundTrip();
+      const now = Date.now();
+      const all = readAll();
+      const reports = all[campusId] || (all[campusId] = {});
+      const key = `${locationId || ""}|${arrivePointId || ""}`;
+      const prev = reports[key];
+      reports[key] = { locationId, arrivePointId, problem, count: (prev?.count || 0) + 1, firstAt: prev?.firstAt || now, lastAt: now };
+      saveItem(STORE_KEY, all);
+      return reports[key];
+    }
+  };
+}
@@ -0,0 +1,105 @@
+import { isFinalStatus } from "../orderStream";
+import { maskOrderId } from "../orderRef";
+import { loadItem } from "../storage";
+import { loadMockCatalog } from "./catalog";
+import { isMockCompartmentHeld, mockOthersOccupying } from "./compartments";
+import { roundTrip } from "./util";
+
+const MIN = 60 * 1000;
+// Other people's orders are reshuffled this often, like their compartments in ./compartments.js.
+const BUCKET = 10 * MIN;
+// How long other people's orders spend in each status on their way in.
+const INCOMING_FLOW = ["ACCEPTED", "PREPARING", "READY", "PICKED_UP", "IN_FLIGHT"];
+const STEP = 2 * MIN;
+
+// Small seeded generator, so every refresh within a bucket draws the same orders.
+function seededRandom(text) {
+  let h = 2166136261;
+  for (const c of text) h = Math.imul(h ^ c.charCodeAt(0), 16777619);
+  return () => {
+    h = Math.imul(h ^ (h >>> 15), 2246822507) ^ Math.imul(h ^ (h >>> 13), 3266489909);
+    return ((h >>>= 0) % 1000000) / 1000000;
+  };
+}
+
+// Other people's orders: one in each compartment counted as taken, and a few more on the way.
+function othersOrders(arrivePoint, merchants, now) {
+  const bucket = Math.floor(now / BUCKET);
+  const startedAt = bucket * BUCKET;
+  const random = seededRandom(`${arrivePoint.id}:${bucket}`);
+  const draw = () => ({
+    id: `CN-${Math.floor(random() * 900000) + 100000}`,
+    merchantName: merchants[Math.floor(random() * merchants.length)]?.name || ""
+  });
+
+  const ready = Array.from({ length: mockOthersOccupying(arrivePoint, now) }, (_, i) => ({
+    ...draw(),
+    status: "DELIVERED",
+    statusAt: startedAt,
+    eta: null,
+    compartment: i + 1
+  }));
+  const incoming = Array.from({ length: 1 + Math.floor(random() * 3) }, (_, i) => {
+    // Each one a few minutes behind the one before.
+    const placedAt = startedAt - i * 3 * MIN;
+    const step = Math.min(INCOMING_FLOW.length - 1, Math.floor((now - placedAt) / STEP));
+    const arriveAt = placedAt + INCOMING_FLOW.length * STEP + arrivePoint.flightMins * MIN;
+    return {
+      ...draw(),
+      status: INCOMING_FLOW[step],
+      statusAt: placedAt + step * STEP,
+      eta: { earliest: arriveAt - 2 * MIN, latest: arriveAt + 3 * MIN },
+      compartment: null
+    };
+  });
+  return [...ready, ...incoming];
+}
+
+/**
+ * Demo only: orders of whoever is signed in to the customer app in this same browser. A real kiosk shares no
+ * storage with customers; its board comes from the backend.
+ */
+function deviceOrders(arrivePointId, holdMins, now) {
+  const phone = loadItem("session")?.phone;
+  if (!phone) return [];
+  return loadItem(`orders:${phone}`, [])
+    .filter((o) => {
+      if (o.arrivePointId !== arrivePointId) return false;
+      if (o.status !== "DELIVERED") return !isFinalStatus(o.status);
+      if (o.timeline?.REROUTED_TO_RUNNER) return false;
+      return isMockCompartmentHeld(arrivePointId, o.id) && now - o.statusAt < holdMins * MIN;
+    });
+}
+
+/**
+ * In-browser stand-in for GET /campuses/:campusId/arrive-points/:arrivePointId/board.
+ */
+export function createMockKioskBackend() {
+  return {
+    async fetchBoard(campusId, arrivePointId) {
+      await roundTrip();
+      const catalog = loadMockCatalog(campusId);
+      const arrivePoint = catalog?.locations.flatMap((l) => l.arrivePoints).find((ap) => ap.id === arrivePointId && !ap.disabled);
+      // Private points have no lobby to hang a board in.
+      if (!arrivePoint || arrivePoint.type !== "shared") {
+        const err = new Error(`Unknown Arrive Point "${arrivePointId}"`);
+        err.status = 404;
+        throw err;
+      }
+      const now = Date.now();
+      const ours = deviceOrders(arrivePointId, catalog.campus.pickupHoldMins || 30, now);
+      // Ours were given compartments above the others' (see assignMockCompartment).
+      const others = othersOrders(arrivePoint, catalog.merchants.filter((m) => !m.disabled), now);
+      return {
+        orders: [...others, ...ours].map((o) => ({
+          id: maskOrderId(o.id),
+          merchantName: o.merchantName,
+          status: o.status,
+          statusAt: o.statusAt,
+          eta: o.eta ? { earliest: o.eta.earliest, latest: o.eta.latest } : null,
+          compartment: o.compartment || null
+        }))
+      };
+    }
+  };
+}
@@ -0,0 +1,108 @@
+import { verifyCredential, verifyKeypadCode, parseCredential } from "../credential";
+import { LOCK_ERRORS, codedError } from "../errors";
+import { loadItem, saveItem } from "../storage";
+import { releaseMockCompartment } from "./compartments";
+import { findMockGrant, findMockGrantForOrder } from "./credentials";
+import { roundTrip, sleep } from "./util";
+
+const MAX_ATTEMPTS = 5;
+const LOCKOUT = 5 * 60 * 1000;
+const UNLOCK_MS = 900;
+const DOOR_OPEN_MS = 8000;
+const TIMEOUT_MS = 6000;
+const STORE_KEY = "mock:lockDevice";
+
+// Force a door fault for every unlock: "jammed" or "timeout".
+const FAULT = process.env.REACT_APP_MOCK_LOCK_FAULT || "";
+
+// orderId → { code, attempts, lockedUntil, collected }
+const orders = new Map(Object.entries(loadItem(STORE_KEY, {})));
+
+function persist() {
+  saveItem(STORE_KEY, Object.fromEntries(orders), { ttl: 24 * 60 * 60 * 1000 });
+}
+
+function orderState(orderId) {
+  if (!orders.has(orderId)) {
+    const code = String(window.crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, "0");
+    orders.set(orderId, { code, attempts: 0, lockedUntil: 0, collected: false });
+    persist();
+  }
+  return orders.get(orderId);
+}
+
+// Counts a failed code or credential toward the lockout and throws: LOCKED on
+// the last attempt, otherwise `code` with attemptsLeft.
+function failAttempt(o, now, code, message, extra = {}) {
+  o.attempts += 1;
+  if (o.attempts >= MAX_ATTEMPTS) {
+    o.attempts = 0;
+    o.lockedUntil = now + LOCKOUT;
+    persist();
+    throw codedError(LOCK_ERRORS.LOCKED, "Too many attempts.", { lockedUntil: o.lockedUntil });
+  }
+  persist();
+  throw codedError(code, message, { ...extra, attemptsLeft: MAX_ATTEMPTS - o.attempts });
+}
+
+/**
+ * Simulated lock: takes its own screen code (demoDisplayCode), the credential's keypad code or a scanned QR credential.
+ * Wrong codes and refused credentials count toward the same lockout.
+ */
+export function createMockLockController() {
+  return {
+    demoDisplayCode(order) {
+      return orderState(order.id).code;
+    },
+
+    async unlock({ order, method, code, token }, onState) {
+      await roundTrip();
+      const now = Date.now();
+      const o = orderState(order.id);
+
+      if (o.lockedUntil > now) {
+        throw codedError(LOCK_ERRORS.LOCKED, "Too many attempts.", { lockedUntil: o.lockedUntil });
+      }
+      if (o.collected) return "ALREADY_COLLECTED";
+
+      if (method === "OTP") {
+        const accepted = code === o.code || (await verifyKeypadCode(code, findMockGrantForOrder(order.id, now), { now }));
+        if (!accepted) failAttempt(o, now, LOCK_ERRORS.INVALID_CODE, "That code didn’t match.");
+      } else {
+        const grant = findMockGrant(parseCredential(token)?.claims.kid);
+        const result = await verifyCredential(token, grant, {
+          arrivePointId: order.arrivePointId,
+          compartment: order.compartment,
+          now
+        });
+        if (!result.ok && result.reason === "wrong-arrive-point") {
+          failAttempt(o, now, LOCK_ERRORS.WRONG_ARRIVE_POINT, "This code is for a different Arrive Point.");
+        }
+        if (!result.ok && result.reason === "wrong-compartment") {
+          failAttempt(o, now, LOCK_ERRORS.WRONG_COMPARTMENT, "This code is for a different compartment.");
+        }
+        if (!result.ok) {
+          failAttempt(o, now, LOCK_ERRORS.INVALID_CREDENTIAL, "The scanner couldn’t accept this code.", { reason: result.reason });
+        }
+      }
+
+      o.attempts = 0;
+      persist();
+
+      onState("UNLOCKING");
+      if (FAULT === "timeout") {
+        await sleep(TIMEOUT_MS);
+        return "TIMEOUT";
+      }
+      await sleep(UNLOCK_MS);
+      if (FAULT === "jammed") return "JAMMED";
+
+      onState("OPEN");
+      await sleep(DOOR_OPEN_MS);
+      o.collected = true;
+      persist();
+      releaseMockCompartment(order.arrivePointId, order.id);
+      return "DOOR_CLOSED";
+    }
+  };
+}
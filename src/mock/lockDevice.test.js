@@ -0,0 +1,30 @@
+import { buildCredential } from "../credential";
+import { LOCK_ERRORS } from "../errors";
+import { createMockCredentialProvider } from "./credentials";
+import { createMockLockController } from "./lockDevice";
+
+// No latency, failures or door timings.
+jest.mock("./util", () => ({ roundTrip: () => Promise.resolve(), sleep: () => Promise.resolve() }));
+
+const order = { id: "CN-900001", status: "DELIVERED", arrivePointId: "AP-101", compartment: 2 };
+const session = { phone: "+15550100" };
+
+test("opens for the offline keypad code of the order's credential", async () => {
+  const grant = await createMockCredentialProvider().issueGrant({ order, session });
+  const { code } = await buildCredential(grant);
+  const states = [];
+  const lock = createMockLockController();
+  await expect(lock.unlock({ order, method: "OTP", code }, (s) => states.push(s))).resolves.toBe("DOOR_CLOSED");
+  expect(states).toEqual(["UNLOCKING", "OPEN"]);
+});
+
+test("counts a wrong keypad code toward the lockout", async () => {
+  const other = { ...order, id: "CN-900002" };
+  await createMockCredentialProvider().issueGrant({ order: other, session });
+  const lock = createMockLockController();
+  const wrong = lock.demoDisplayCode(other) === "000000" ? "000001" : "000000";
+  await expect(lock.unlock({ order: other, method: "OTP", code: wrong }, () => {})).rejects.toMatchObject({
+    code: LOCK_ERRORS.INVALID_CODE,
+    attemptsLeft: 4
+  });
+});
@@ -0,0 +1,53 @@
+import { OPERATOR_ERRORS, codedError } from "../errors";
+import { normalizeEntry, validateEntry } from "../operator";
+import { loadMockCatalog, saveMockCatalog } from "./catalog";
+import { mockDeepLinkReports } from "./deepLinks";
+import { clone, roundTrip } from "./util";
+
+function assertOperator(session) {
+  if (session?.role !== "operator") throw codedError(OPERATOR_ERRORS.FORBIDDEN, "Operators only.");
+}
+
+function unknownCampus(campusId) {
+  const err = new Error(`Unknown campus "${campusId}"`);
+  err.status = 404;
+  return err;
+}
+
+// In-browser operator catalog API. Saves go to the stored catalog the mock catalog backend serves, checked as a server would.
+export function createMockOperatorBackend() {
+  return {
+    async fetchCatalog(campusId, session) {
+      await roundTrip();
+      assertOperator(session);
+      const catalog = loadMockCatalog(campusId);
+      if (!catalog) throw unknownCampus(campusId);
+      return catalog;
+    },
+
+    async save(campusId, kind, entry, { session, isNew }) {
+      await roundTrip();
+      assertOperator(session);
+      const catalog = loadMockCatalog(campusId);
+      if (!catalog) throw unknownCampus(campusId);
+
+      const saved = normalizeEntry(kind, entry);
+      const fields = validateEntry(kind, saved, catalog, { isNew });
+      if (Object.keys(fields).length) throw codedError(OPERATOR_ERRORS.INVALID, "Some fields need fixing.", { fields });
+
+      const list = catalog[kind];
+      const i = list.findIndex((e) => e.id === saved.id);
+      if (!isNew && i < 0) throw codedError(OPERATOR_ERRORS.NOT_FOUND, "That entry no longer exists.");
+      if (i < 0) list.push(saved);
+      else list[i] = saved;
+      saveMockCatalog(campusId, clone(catalog));
+      return clone(saved);
+    },
+
+    async fetchDeepLinkReports(campusId, session) {
+      await roundTrip();
+      assertOperator(session);
+      return mockDeepLinkReports(campusId);
+    }
+  };
+}
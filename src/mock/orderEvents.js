@@ -0,0 +1,110 @@
+import { findMockArrivePoint } from "./catalog";
+import { assignMockCompartment } from "./compartments";
+import { roundTrip } from "./util";
+
+// How long an order sits in each status before moving on.
+export const MOCK_STATUS_FLOW = [
+  { status: "PLACED", ms: 1500 },
+  { status: "ACCEPTED", ms: 1800 },
+  { status: "PREPARING", ms: 2600 },
+  { status: "READY", ms: 1800 },
+  { status: "PICKED_UP", ms: 1800 },
+  { status: "IN_FLIGHT", ms: 2800 },
+  { status: "DELIVERED", ms: null }
+];
+
+// Every mock order runs into this exception, e.g. REACT_APP_MOCK_ORDER_EXCEPTION=WEATHER_HOLD.
+const EXCEPTION = process.env.REACT_APP_MOCK_ORDER_EXCEPTION || "";
+
+// The flow with an exception worked in: `after` is the status it interrupts, `then` what follows it.
+const EXCEPTION_FLOWS = {
+  CANCELLED: { after: "ACCEPTED", then: [] },
+  MERCHANT_REJECTED: { after: "PLACED", then: [] },
+  DELAYED: { after: "PREPARING", then: ["PREPARING", "READY", "PICKED_UP", "IN_FLIGHT", "DELIVERED"] },
+  WEATHER_HOLD: { after: "PICKED_UP", then: ["IN_FLIGHT", "DELIVERED"] },
+  REROUTED_TO_RUNNER: { after: "PICKED_UP", then: ["DELIVERED"] },
+  DELIVERY_FAILED: { after: "IN_FLIGHT", then: ["RETURNED"] },
+  RETURNED: { after: "IN_FLIGHT", then: [] }
+};
+const EXCEPTION_MS = 4000;
+
+function mockFlow() {
+  const exception = EXCEPTION_FLOWS[EXCEPTION];
+  if (!exception) return MOCK_STATUS_FLOW;
+  const msFor = (status) => MOCK_STATUS_FLOW.find((s) => s.status === status)?.ms ?? null;
+  const cut = MOCK_STATUS_FLOW.findIndex((s) => s.status === exception.after) + 1;
+  return [
+    ...MOCK_STATUS_FLOW.slice(0, cut),
+    { status: EXCEPTION, ms: EXCEPTION_MS },
+    ...exception.then.map((status) => ({ status, ms: msFor(status) || EXCEPTION_MS }))
+  ].map((step, i, flow) => (i === flow.length - 1 ? { ...step, ms: null } : step));
+}
+
+// An order's events, derived from placedAt so every tab and reload agrees. Event n moves it into flow[n].
+function timelineFor(order) {
+  const flow = mockFlow();
+  const events = [];
+  let at = order.placedAt;
+  const push = (status) => {
+    const seq = events.length + 1;
+    events.push({ id: `${order.id}:${seq}`, orderId: order.id, seq, status, at });
+  };
+
+  if (order.scheduledFor) {
+    at = Math.max(at, order.scheduledFor);
+    push("PLACED");
+  }
+  for (let i = 1; i < flow.length; i++) {
+    at += flow[i - 1].ms;
+    push(flow[i].status);
+  }
+  return events;
+}
+
+// The drone's compartment is reserved as IN_FLIGHT goes out, not when the timeline is worked out.
+function emitted(order, event) {
+  if (event.status !== "IN_FLIGHT" && event.status !== "DELIVERED") return event;
+  const arrivePoint = findMockArrivePoint(order.arrivePointId);
+  if (!arrivePoint?.compartments || mockFlow().some((s) => s.status === "REROUTED_TO_RUNNER")) return event;
+  return { ...event, compartment: assignMockCompartment(arrivePoint, order.id, event.at) };
+}
+
+/**
+ * In-browser order event feed with the same shape as the network feeds in
+ * src/orderStream.js, so Tracking runs with no server at all.
+ */
+export function createMockOrderFeed() {
+  return {
+    open({ order, since }, { onOpen, onEvent }) {
+      const timers = [];
+      let closed = false;
+
+      timers.push(
+        setTimeout(() => {
+          if (closed) return;
+          onOpen();
+          const now = Date.now();
+          timelineFor(order)
+            .filter((e) => e.seq > since)
+            .forEach((e) => {
+              if (e.at <= now) onEvent(emitted(order, e));
+              else timers.push(setTimeout(() => !closed && onEvent(emitted(order, e)), e.at - now));
+            });
+        }, 0)
+      );
+
+      return () => {
+        closed = true;
+        timers.forEach(clearTimeout);
+      };
+    },
+
+    async poll({ order, since }) {
+      await roundTrip();
+      const now = Date.now();
+      return timelineFor(order)
+        .filter((e) => e.seq > since && e.at <= now)
+        .map((e) => emitted(order, e));
+    }
+  };
+}
@@ -0,0 +1,19 @@
+import { isMockCompartmentHeld } from "./compartments";
+import { createMockOrderFeed } from "./orderEvents";
+
+jest.mock("./util", () => ({ ...jest.requireActual("./util"), roundTrip: () => Promise.resolve() }));
+
+test("a compartment is only reserved once the drone is dispatched", async () => {
+  const feed = createMockOrderFeed();
+  const order = { id: "CN-700001", arrivePointId: "AP-101", placedAt: Date.now() - 2000 };
+
+  const early = await feed.poll({ order, since: 0 });
+  expect(early.map((e) => e.status)).toEqual(["ACCEPTED"]);
+  expect(isMockCompartmentHeld("AP-101", order.id)).toBe(false);
+
+  const dispatched = await feed.poll({ order: { ...order, placedAt: Date.now() - 60000 }, since: 0 });
+  const inFlight = dispatched.find((e) => e.status === "IN_FLIGHT");
+  expect(inFlight.compartment).toBeGreaterThan(0);
+  expect(dispatched.find((e) => e.status === "DELIVERED").compartment).toBe(inFlight.compartment);
+  expect(isMockCompartmentHeld("AP-101", order.id)).toBe(true);
+});
@@ -0,0 +1,17 @@
+import { loadItem, saveItem } from "../storage";
+import { roundTrip } from "./util";
+
+const OUTBOX_KEY = "mock:smsOutbox";
+const OUTBOX_SIZE = 20;
+
+// Local stand-in for the SMS gateway: messages go to an outbox in storage ("vp:mock:smsOutbox").
+export function createMockSmsNotifier() {
+  return {
+    async send({ session, message }) {
+      await roundTrip();
+      const sms = { id: `sms_${Date.now().toString(36)}`, to: session.phone, message, sentAt: Date.now() };
+      saveItem(OUTBOX_KEY, [sms, ...loadItem(OUTBOX_KEY, [])].slice(0, OUTBOX_SIZE));
+      return { id: sms.id };
+    }
+  };
+}
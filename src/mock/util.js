@@ -0,0 +1,23 @@
+import { MOCK_FAIL_RATE, MOCK_LATENCY_MS } from "../config";
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Simulated network round trip for the mock backends: waits MOCK_LATENCY_MS
+ * (with some jitter) and fails with a status 0 error at MOCK_FAIL_RATE.
+ */
+export async function roundTrip() {
+  await sleep(MOCK_LATENCY_MS * (0.75 + Math.random() * 0.5));
+  if (Math.random() < MOCK_FAIL_RATE) {
+    const err = new Error("Network error. Check your connection and try again.");
+    err.status = 0;
+    throw err;
+  }
+}
+
+// Responses are deep copies, like data that came over the wire.
+export function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,18 @@
+import { useEffect, useState } from "react";
+
+// navigator.onLine, kept current. False means definitely offline; true only means a network interface is up.
+export function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => {
+      window.removeEventListener("online", update);
+      window.removeEventListener("offline", update);
+    };
+  }, []);
+
+  return online;
+}
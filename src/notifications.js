@@ -0,0 +1,140 @@
+import { useEffect, useRef } from "react";
+import { API_BASE_URL, USE_MOCK_BACKEND } from "./config";
+import { fromHttpError } from "./errors";
+import { fetchJson } from "./http";
+import { translate } from "./i18n";
+import { createMockSmsNotifier } from "./mock/sms";
+import { canUnlockOrder, pickupDeadline } from "./orderStatus";
+import { registerServiceWorker } from "./serviceWorker";
+import { loadItem, saveItem } from "./storage";
+import { formatZonedClock, useNow } from "./time";
+
+// Opt-in order notifications: each NOTIFY_EVENTS moment once per order, by browser notification and/or SMS.
+
+export const NOTIFY_EVENTS = {
+  ACCEPTED: {
+    due: (o) => o.timeline?.ACCEPTED
+  },
+  IN_FLIGHT: {
+    due: (o) => o.timeline?.IN_FLIGHT
+  },
+  DELIVERED: {
+    due: (o) => (canUnlockOrder(o) ? o.timeline.DELIVERED : null)
+  },
+  UNLOCK_EXPIRING: {
+    due: (o, { holdMins }) => {
+      const deadline = canUnlockOrder(o) && !o.collectedAt ? pickupDeadline(o, holdMins) : null;
+      return deadline ? deadline - EXPIRY_WARNING_MS : null;
+    }
+  }
+};
+
+// Message text for an event, in the user's language: notify.<EVENT>.label is the title.
+function notificationText(key, order, { holdMins, timeZone, locale }) {
+  const deadline = pickupDeadline(order, holdMins);
+  return translate(locale, `notify.${key}.text`, {
+    merchant: order.merchantName,
+    id: order.id,
+    arrivePoint: order.arrivePointId,
+    time: deadline ? formatZonedClock(deadline, timeZone, locale) : ""
+  });
+}
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+  browser: false,
+  sms: false,
+  events: { ACCEPTED: true, IN_FLIGHT: true, DELIVERED: true, UNLOCK_EXPIRING: true }
+};
+
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+// Anything older than this is not worth interrupting for, e.g. after the tab was closed for a while.
+const STALE_MS = 5 * 60 * 1000;
+const SENT_KEY = "notified";
+const SENT_TTL = 24 * 60 * 60 * 1000;
+
+export function createHttpSmsNotifier(baseUrl) {
+  return {
+    async send({ session, message }) {
+      try {
+        return await fetchJson(`${baseUrl}/notifications/sms`, {
+          method: "POST",
+          headers: { Authorization: `Bearer ${session.token}` },
+          body: { message }
+        });
+      } catch (e) {
+        throw fromHttpError(e);
+      }
+    }
+  };
+}
+
+export const smsNotifier = USE_MOCK_BACKEND ? createMockSmsNotifier() : createHttpSmsNotifier(API_BASE_URL);
+
+// "unsupported" | "default" | "granted" | "denied"
+export function browserNotificationPermission() {
+  return "Notification" in window ? Notification.permission : "unsupported";
+}
+
+export async function requestBrowserNotifications() {
+  if (!("Notification" in window)) return "unsupported";
+  await registerServiceWorker();
+  return Notification.requestPermission();
+}
+
+async function showBrowserNotification({ title, body, tag, url }) {
+  const registration = await registerServiceWorker();
+  const options = { body, tag, data: { url } };
+  if (registration) return registration.showNotification(title, options);
+  // No service worker: a page notification still works while the tab is open,
+  // except where the constructor is disabled (Android Chrome throws).
+  let n;
+  try {
+    n = new Notification(title, options);
+  } catch {
+    return;
+  }
+  n.onclick = () => {
+    window.focus();
+    window.location.assign(url);
+  };
+}
+
+// Sends the NOTIFY_EVENTS that fall due under `prefs`; a click lands on urlFor(order, eventKey).
+export function useOrderNotifications(orders, { prefs, session, holdMins, timeZone, locale, urlFor, smsNotifier: sms = smsNotifier }) {
+  const waiting = orders.some((o) => canUnlockOrder(o) && !o.collectedAt);
+  // Pickup expiry is the one event that depends on the clock rather than on an order update.
+  const tick = useNow(waiting ? 30000 : null);
+  const urlForRef = useRef(urlFor);
+  urlForRef.current = urlFor;
+
+  useEffect(() => {
+    const browser = prefs.browser && browserNotificationPermission() === "granted";
+    const text = prefs.sms && session;
+    if (!browser && !text) return;
+
+    const now = Date.now();
+    const sent = loadItem(SENT_KEY, {});
+    let changed = false;
+    orders.forEach((order) => {
+      Object.entries(NOTIFY_EVENTS).forEach(([key, event]) => {
+        const id = `${order.id}:${key}`;
+        const at = event.due(order, { holdMins });
+        if (!prefs.events[key] || !at || sent[id] || at > now || now - at > STALE_MS) return;
+        sent[id] = now;
+        changed = true;
+
+        const message = notificationText(key, order, { holdMins, timeZone, locale });
+        // The page is showing the same thing; only interrupt when the user is elsewhere.
+        if (browser && document.visibilityState !== "visible") {
+          const title = translate(locale, `notify.${key}.label`);
+          showBrowserNotification({ title, body: message, tag: id, url: urlForRef.current(order, key) }).catch(() => {});
+        }
+        if (text) sms.send({ session, message }).catch(() => {});
+      });
+    });
+
+    if (!changed) return;
+    Object.keys(sent).forEach((id) => now - sent[id] > SENT_TTL && delete sent[id]);
+    saveItem(SENT_KEY, sent, { ttl: SENT_TTL });
+  }, [orders, prefs, session, holdMins, timeZone, locale, tick, sms]);
+}
@@ -0,0 +1,217 @@
+import { useEffect, useRef, useState } from "react";
+import { API_BASE_URL, CAMPUS_ID, USE_MOCK_BACKEND } from "./config";
+import { catalogClient } from "./catalog";
+import { fromHttpError } from "./errors";
+import { fetchJson } from "./http";
+import { parseHours } from "./windows";
+import { createMockOperatorBackend } from "./mock/operator";
+
+/**
+ * Operator catalog editing: fetchCatalog(campusId, session), save(campusId, kind, entry, { session, isNew }) and
+ * fetchDeepLinkReports(campusId, session). Entries are never deleted, only `disabled`; failures carry OPERATOR_ERRORS.
+ */
+
+export const CATALOG_KINDS = ["locations", "merchants", "windows"];
+
+export function createHttpOperatorBackend(baseUrl) {
+  const call = (path, session, init = {}) =>
+    fetchJson(`${baseUrl}/operator/campuses${path}`, {
+      ...init,
+      headers: { Authorization: `Bearer ${session.token}` }
+    }).catch((e) => {
+      throw fromHttpError(e);
+    });
+  return {
+    fetchCatalog(campusId, session) {
+      return call(`/${encodeURIComponent(campusId)}/catalog`, session);
+    },
+    save(campusId, kind, entry, { session, isNew }) {
+      const base = `/${encodeURIComponent(campusId)}/${kind}`;
+      return isNew
+        ? call(base, session, { method: "POST", body: entry })
+        : call(`${base}/${encodeURIComponent(entry.id)}`, session, { method: "PUT", body: entry });
+    },
+    fetchDeepLinkReports(campusId, session) {
+      return call(`/${encodeURIComponent(campusId)}/deep-link-reports`, session);
+    }
+  };
+}
+
+export const operatorBackend = USE_MOCK_BACKEND ? createMockOperatorBackend() : createHttpOperatorBackend(API_BASE_URL);
+
+// Form inputs hold text; "" stays NaN so it fails validation instead of reading as 0.
+const toNumber = (v) => (v === "" || v == null ? NaN : Number(v));
+const text = (v) => String(v ?? "").trim();
+const days = (v) => (Array.isArray(v) && v.length ? [...new Set(v)].sort() : undefined);
+
+// The entry as stored: trimmed text, numbers and a tag list. Fields the form doesn't edit are kept as they were.
+export function normalizeEntry(kind, entry) {
+  const disabled = entry.disabled ? true : undefined;
+  if (kind === "locations") {
+    return {
+      ...entry,
+      id: text(entry.id),
+      name: text(entry.name),
+      subtitle: text(entry.subtitle),
+      arrivePoints: (entry.arrivePoints || []).map(({ isNew, ...ap }) => ({
+        ...ap,
+        id: text(ap.id).toUpperCase(),
+        label: text(ap.label),
+        flightMins: toNumber(ap.flightMins),
+        compartments: toNumber(ap.compartments),
+        disabled: ap.disabled ? true : undefined
+      })),
+      disabled
+    };
+  }
+  if (kind === "merchants") {
+    const tags = Array.isArray(entry.tags) ? entry.tags : String(entry.tags || "").split(",");
+    return {
+      ...entry,
+      id: text(entry.id),
+      name: text(entry.name),
+      category: text(entry.category),
+      etaMins: toNumber(entry.etaMins),
+      prepMins: toNumber(entry.prepMins),
+      hours: (entry.hours || []).map((h) => ({ hours: text(h.hours), days: days(h.days) })),
+      capacity: toNumber(entry.capacity),
+      chownowUrl: text(entry.chownowUrl),
+      tags: tags.map(text).filter(Boolean),
+      disabled
+    };
+  }
+  return { ...entry, id: text(entry.id), label: text(entry.label), hours: text(entry.hours), days: days(entry.days), disabled };
+}
+
+const SLUG_RE = /^[a-z0-9][a-z0-9-]*$/;
+// Order notes name the Arrive Point by this code (arrivePointFromNote in src/checkout.js).
+const ARRIVE_POINT_ID_RE = /^AP-\d+$/;
+
+const isWhole = (n, min) => Number.isInteger(n) && n >= min;
+
+function isHttpsUrl(value) {
+  try {
+    return new URL(value).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Problems with a normalized entry as { path: reason }, e.g. { "arrivePoints.1.id": "idTaken" }; empty when valid.
+export function validateEntry(kind, entry, catalog, { isNew = false } = {}) {
+  const errors = {};
+  const required = (path, value) => {
+    if (!value) errors[path] = "required";
+    return Boolean(value);
+  };
+
+  if (required("id", entry.id)) {
+    if (!SLUG_RE.test(entry.id)) errors.id = "idFormat";
+    else if (isNew && catalog[kind].some((e) => e.id === entry.id)) errors.id = "idTaken";
+  }
+
+  if (kind === "locations") {
+    required("name", entry.name);
+    if (!entry.arrivePoints.length) errors.arrivePoints = "noArrivePoints";
+    // Arrive Point ids are unique across the campus, not just the location.
+    const elsewhere = new Set(
+      catalog.locations.filter((l) => l.id !== entry.id).flatMap((l) => l.arrivePoints.map((ap) => ap.id))
+    );
+    const seen = new Set();
+    entry.arrivePoints.forEach((ap, i) => {
+      const at = `arrivePoints.${i}`;
+      if (required(`${at}.id`, ap.id)) {
+        if (!ARRIVE_POINT_ID_RE.test(ap.id)) errors[`${at}.id`] = "arrivePointIdFormat";
+        else if (elsewhere.has(ap.id) || seen.has(ap.id)) errors[`${at}.id`] = "idTaken";
+        seen.add(ap.id);
+      }
+      required(`${at}.label`, ap.label);
+      if (ap.type !== "shared" && ap.type !== "private") errors[`${at}.type`] = "type";
+      if (!isWhole(ap.flightMins, 1)) errors[`${at}.flightMins`] = "minutes";
+      if (!isWhole(ap.compartments, 1)) errors[`${at}.compartments`] = "count";
+    });
+  }
+
+  if (kind === "merchants") {
+    required("name", entry.name);
+    required("category", entry.category);
+    if (!isWhole(entry.etaMins, 1)) errors.etaMins = "minutes";
+    if (!isWhole(entry.prepMins, 1)) errors.prepMins = "minutes";
+    else if (entry.prepMins > entry.etaMins) errors.prepMins = "prepOverEta";
+    if (!isWhole(entry.capacity, 1)) errors.capacity = "count";
+    if (required("chownowUrl", entry.chownowUrl) && !isHttpsUrl(entry.chownowUrl)) errors.chownowUrl = "url";
+    if (!entry.hours.length) errors.hours = "noHours";
+    entry.hours.forEach((h, i) => {
+      if (!parseHours(h.hours)) errors[`hours.${i}.hours`] = "hours";
+    });
+  }
+
+  if (kind === "windows") {
+    required("label", entry.label);
+    if (!parseHours(entry.hours)) errors.hours = "hours";
+  }
+  return errors;
+}
+
+// The operator catalog: { status, data, error, reload, save }. A save validates first and then refreshes the customer catalog.
+export function useOperatorCatalog(session, { backend = operatorBackend, campusId = CAMPUS_ID } = {}) {
+  const [state, setState] = useState({ status: "loading", data: null, error: null });
+  const [attempt, setAttempt] = useState(0);
+  // A new session object with the same token is the same operator: fetch again
+  // only when the token changes, with whatever session is current by then.
+  const token = session?.token;
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
+  useEffect(() => {
+    let cancelled = false;
+    setState((s) => ({ ...s, status: "loading", error: null }));
+    backend
+      .fetchCatalog(campusId, sessionRef.current)
+      .then((data) => !cancelled && setState({ status: "ready", data, error: null }))
+      .catch((error) => !cancelled && setState({ status: "error", data: null, error }));
+    return () => {
+      cancelled = true;
+    };
+  }, [backend, campusId, token, attempt]);
+
+  async function save(kind, entry, { isNew = false } = {}) {
+    const normalized = normalizeEntry(kind, entry);
+    const fields = validateEntry(kind, normalized, state.data, { isNew });
+    if (Object.keys(fields).length) return { fields };
+    const saved = await backend.save(campusId, kind, normalized, { session, isNew });
+    setState((s) => {
+      const list = s.data[kind];
+      const next = list.some((e) => e.id === saved.id) ? list.map((e) => (e.id === saved.id ? saved : e)) : [...list, saved];
+      return { ...s, data: { ...s.data, [kind]: next } };
+    });
+    catalogClient.refresh();
+    return { saved };
+  }
+
+  return { ...state, reload: () => setAttempt((n) => n + 1), save };
+}
+
+// Unknown QR codes customers are scanning, most recent first: { status, data, error, reload }.
+export function useDeepLinkReports(session, { backend = operatorBackend, campusId = CAMPUS_ID } = {}) {
+  const [state, setState] = useState({ status: "loading", data: null, error: null });
+  const [attempt, setAttempt] = useState(0);
+  // As in useOperatorCatalog, only a new token fetches again.
+  const token = session?.token;
+  const sessionRef = useRef(session);
+  sessionRef.current = session;
+
+  useEffect(() => {
+    let cancelled = false;
+    setState((s) => ({ ...s, status: "loading", error: null }));
+    backend
+      .fetchDeepLinkReports(campusId, sessionRef.current)
+      .then((data) => !cancelled && setState({ status: "ready", data, error: null }))
+      .catch((error) => !cancelled && setState({ status: "error", data: null, error }));
+    return () => {
+      cancelled = true;
+    };
+  }, [backend, campusId, token, attempt]);
+
+  return { ...state, reload: () => setAttempt((n) => n + 1) };
+}
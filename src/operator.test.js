@@ -0,0 +1,79 @@
+import { normalizeEntry, validateEntry } from "./operator";
+
+const arrivePoint = (id, extra) => ({ id, label: "Lobby", type: "shared", flightMins: 6, compartments: 4, ...extra });
+const catalog = {
+  locations: [
+    { id: "fishers", name: "Fishers", arrivePoints: [arrivePoint("AP-101")] },
+    { id: "carmel", name: "Carmel", arrivePoints: [arrivePoint("AP-201")] }
+  ],
+  merchants: [],
+  windows: [{ id: "lunch", label: "Lunch", hours: "11:00 AM to 2:00 PM" }]
+};
+const merchant = {
+  id: "taco-spot",
+  name: "Taco Spot",
+  category: "Mexican",
+  etaMins: 25,
+  prepMins: 15,
+  capacity: 8,
+  chownowUrl: "https://direct.chownow.com/order/1",
+  hours: [{ hours: "10:30 AM to 9:30 PM" }]
+};
+
+test("a valid entry has no errors", () => {
+  expect(validateEntry("locations", { ...catalog.locations[0], arrivePoints: [arrivePoint("AP-101"), arrivePoint("AP-102")] }, catalog)).toEqual({});
+  expect(validateEntry("merchants", merchant, catalog, { isNew: true })).toEqual({});
+  expect(validateEntry("windows", { id: "dinner", label: "Dinner", hours: "5:00 PM to 9:00 PM" }, catalog, { isNew: true })).toEqual({});
+});
+
+test("ids must be slugs, and new ones unused", () => {
+  expect(validateEntry("windows", { ...catalog.windows[0], id: "Lunch Time" }, catalog)).toEqual({ id: "idFormat" });
+  expect(validateEntry("windows", catalog.windows[0], catalog, { isNew: true })).toEqual({ id: "idTaken" });
+  expect(validateEntry("windows", catalog.windows[0], catalog)).toEqual({});
+});
+
+test("Arrive Point ids are unique across the campus", () => {
+  const entry = { ...catalog.locations[0], arrivePoints: [arrivePoint("AP-101"), arrivePoint("AP-201"), arrivePoint("AP-101")] };
+  expect(validateEntry("locations", entry, catalog)).toEqual({ "arrivePoints.1.id": "idTaken", "arrivePoints.2.id": "idTaken" });
+});
+
+test("reports each bad Arrive Point field by path", () => {
+  const bad = arrivePoint("101", { label: "", type: "public", flightMins: 0, compartments: 1.5 });
+  expect(validateEntry("locations", { ...catalog.locations[0], arrivePoints: [bad] }, catalog)).toEqual({
+    "arrivePoints.0.id": "arrivePointIdFormat",
+    "arrivePoints.0.label": "required",
+    "arrivePoints.0.type": "type",
+    "arrivePoints.0.flightMins": "minutes",
+    "arrivePoints.0.compartments": "count"
+  });
+  expect(validateEntry("locations", { ...catalog.locations[0], arrivePoints: [] }, catalog)).toEqual({ arrivePoints: "noArrivePoints" });
+});
+
+test("merchant timings, links and hours", () => {
+  expect(validateEntry("merchants", { ...merchant, prepMins: 30 }, catalog)).toEqual({ prepMins: "prepOverEta" });
+  expect(validateEntry("merchants", { ...merchant, chownowUrl: "http://direct.chownow.com/order/1" }, catalog)).toEqual({ chownowUrl: "url" });
+  expect(validateEntry("merchants", { ...merchant, hours: [{ hours: "lunchtime" }] }, catalog)).toEqual({ "hours.0.hours": "hours" });
+  expect(validateEntry("merchants", { ...merchant, hours: [] }, catalog)).toEqual({ hours: "noHours" });
+});
+
+test("saving keeps the fields the form does not edit", () => {
+  const stored = { ...merchant, pausedReason: "Inventory", minsPerQueuedOrder: 4, tags: ["tacos"] };
+  // As the editor holds it: numbers and tags as text.
+  const draft = { ...stored, name: " Taco Spot Fishers ", etaMins: "25", prepMins: "15", capacity: "8", tags: "tacos, late night" };
+  expect(normalizeEntry("merchants", draft)).toMatchObject({
+    ...stored,
+    name: "Taco Spot Fishers",
+    tags: ["tacos", "late night"]
+  });
+
+  const location = {
+    ...catalog.locations[0],
+    footprint: [[0, 0]],
+    arrivePoints: [{ ...arrivePoint("AP-101"), position: { lat: 1, lng: 2 } }, { ...arrivePoint("ap-102"), isNew: true }]
+  };
+  const saved = normalizeEntry("locations", location);
+  expect(saved.footprint).toEqual([[0, 0]]);
+  expect(saved.arrivePoints[0].position).toEqual({ lat: 1, lng: 2 });
+  expect(saved.arrivePoints[1]).not.toHaveProperty("isNew");
+  expect(saved.arrivePoints[1].id).toBe("AP-102");
+});
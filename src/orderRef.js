@@ -0,0 +1,8 @@
+/**
+ * Order ids as shown to anyone but the customer who placed the order.
+ */
+
+// "CN-482913" → "•••2913". Customers match it against the id on their phone.
+export function maskOrderId(id) {
+  return `•••${String(id).slice(-4)}`;
+}
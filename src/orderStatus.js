@@ -0,0 +1,99 @@
+import { DEFAULT_LOCALE, translate } from "./i18n";
+import { STATUS_SEQUENCE } from "./orderStream";
+
+/**
+ * What each status means to the customer: copy under status.<STATUS>.{label,title,desc,refund}, and the `actions`
+ * offered ("retry", "refund", "support"). Exceptions interrupt the STATUS_SEQUENCE happy path.
+ */
+
+export const ORDER_STATUSES = {
+  SCHEDULED: {},
+  PLACED: {},
+  ACCEPTED: {},
+  PREPARING: {},
+  READY: {},
+  PICKED_UP: {},
+  IN_FLIGHT: {},
+  DELIVERED: {},
+
+  DELAYED: { actions: ["support"] },
+  WEATHER_HOLD: { actions: ["support"] },
+  REROUTED_TO_RUNNER: { actions: ["support"] },
+  CANCELLED: { refund: true, actions: ["retry", "refund", "support"] },
+  MERCHANT_REJECTED: { refund: true, actions: ["retry", "refund", "support"] },
+  DELIVERY_FAILED: { refund: true, actions: ["refund", "support"] },
+  RETURNED: { refund: true, actions: ["retry", "refund", "support"] }
+};
+
+// A runner delivery ends here instead of at DELIVERED; it only has copy.
+const HANDED_OVER = "HANDED_OVER";
+
+const englishT = (key, vars) => translate(DEFAULT_LOCALE, key, vars);
+
+export const EXCEPTION_STATUSES = ["DELAYED", "WEATHER_HOLD", "REROUTED_TO_RUNNER", "CANCELLED", "MERCHANT_REJECTED", "DELIVERY_FAILED", "RETURNED"];
+// Exceptions that end the order: nothing after them on the happy path will happen.
+const ENDING_STATUSES = ["CANCELLED", "MERCHANT_REJECTED", "DELIVERY_FAILED", "RETURNED"];
+
+// { label, title, desc, refund?, actions? } for a status, in the language of `t` (useI18n's).
+export function statusInfo(status, t = englishT) {
+  const entry = ORDER_STATUSES[status];
+  if (!entry && status !== HANDED_OVER) return { label: status, title: status, desc: "" };
+  const copy = (field) => t(`status.${status}.${field}`);
+  return {
+    label: copy("label"),
+    title: copy("title"),
+    desc: copy("desc"),
+    refund: entry?.refund ? copy("refund") : undefined,
+    actions: entry?.actions
+  };
+}
+
+// Like statusInfo, for a particular order: a runner delivery ends "Handed over", not "Delivered".
+export function orderStatusInfo(order, t = englishT) {
+  if (order.status === "DELIVERED" && order.timeline?.REROUTED_TO_RUNNER) return statusInfo(HANDED_OVER, t);
+  return statusInfo(order.status, t);
+}
+
+export function isExceptionStatus(status) {
+  return EXCEPTION_STATUSES.includes(status);
+}
+
+// Only drone deliveries to the Arrive Point are unlocked; a runner hands the order over.
+export function canUnlockOrder(order) {
+  return order?.status === "DELIVERED" && !order.timeline?.REROUTED_TO_RUNNER;
+}
+
+// When the Arrive Point stops holding a delivered order, or null if it was not delivered there.
+export function pickupDeadline(order, holdMins) {
+  if (!canUnlockOrder(order) || !holdMins || !order.timeline?.DELIVERED) return null;
+  return order.timeline.DELIVERED + holdMins * 60 * 1000;
+}
+
+// Tracking's steps: { key, label, at, state }, state "done" | "current" | "pending" | "alert".
+export function orderSteps(order, t = englishT) {
+  const timeline = order.timeline || {};
+  const happy = STATUS_SEQUENCE.filter((s) => s !== "SCHEDULED" || order.scheduledFor);
+  const runner = Boolean(timeline.REROUTED_TO_RUNNER);
+
+  // Furthest happy-path step reached: the current status, or the latest one seen before an exception.
+  let reached = happy.indexOf(order.status);
+  if (reached < 0) reached = happy.reduce((max, s, i) => (timeline[s] ? i : max), -1);
+  const ended = ENDING_STATUSES.some((s) => timeline[s]);
+
+  const steps = happy
+    .map((key, i) => ({
+      key,
+      label: statusInfo(runner && key === "DELIVERED" ? HANDED_OVER : key, t).label,
+      at: timeline[key] || null,
+      state: key === order.status ? "current" : i <= reached ? "done" : "pending"
+    }))
+    .filter((s) => !(ended && s.state === "pending") && !(runner && s.key === "IN_FLIGHT" && !s.at));
+
+  EXCEPTION_STATUSES.filter((key) => timeline[key] || key === order.status).forEach((key) => {
+    const step = { key, label: statusInfo(key, t).label, at: timeline[key] || order.statusAt, state: "alert" };
+    // After the last step that happened before it.
+    const before = steps.reduce((idx, s, i) => (s.at && s.at <= step.at ? i : idx), -1);
+    steps.splice(before + 1, 0, step);
+  });
+  return steps;
+}
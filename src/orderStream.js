@@ -0,0 +1,236 @@
+import { useEffect, useRef, useState } from "react";
+import { API_BASE_URL, ORDER_EVENTS_TRANSPORT, ORDER_EVENTS_URL } from "./config";
+import { fetchJson } from "./http";
+import { createMockOrderFeed } from "./mock/orderEvents";
+
+/**
+ * Live order status. Events are { id, orderId, seq, status, at }; seq grows with every event for an order.
+ * Feeds implement open({ order, since }, { onOpen, onEvent, onError }) → close() (optional) and poll({ order, since }).
+ */
+
+export const STATUS_SEQUENCE = ["SCHEDULED", "PLACED", "ACCEPTED", "PREPARING", "READY", "PICKED_UP", "IN_FLIGHT", "DELIVERED"];
+// Statuses after which no more events are expected (see src/orderStatus.js for the exceptions).
+const FINAL_STATUSES = ["DELIVERED", "CANCELLED", "MERCHANT_REJECTED", "RETURNED"];
+
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const POLL_AFTER_FAILURES = 2;
+const POLL_INTERVAL_MS = 5000;
+
+export function isFinalStatus(status) {
+  return FINAL_STATUSES.includes(status);
+}
+
+/**
+ * Folds one event into an order. Stale events (seq ≤ lastSeq) only fill in the timeline and a missing
+ * compartment; a telemetry repeat of the current status keeps statusAt, so the ETA isn't pushed back.
+ */
+export function applyOrderEvent(order, event) {
+  if (!order || event.orderId !== order.id) return order;
+
+  const known = order.timeline?.[event.status];
+  const timeline = known ? order.timeline : { ...order.timeline, [event.status]: event.at };
+  if (event.seq <= (order.lastSeq || 0)) {
+    const compartment = order.compartment || event.compartment;
+    if (timeline === order.timeline && compartment === order.compartment) return order;
+    return { ...order, timeline, ...(compartment ? { compartment } : null) };
+  }
+  return {
+    ...order,
+    status: event.status,
+    statusAt: event.status === order.status ? order.statusAt : event.at,
+    lastSeq: event.seq,
+    timeline,
+    ...(event.compartment ? { compartment: event.compartment } : null),
+    ...(event.position ? { position: { lat: event.position.lat, lng: event.position.lng, at: event.at } } : null)
+  };
+}
+
+// Scheduled orders tell the feed their slot, which the local event server needs to build a timeline.
+function ordersUrl(baseUrl, order, suffix, since) {
+  const query = `since=${since}` + (order.scheduledFor ? `&scheduledFor=${order.scheduledFor}` : "");
+  return `${baseUrl}/orders/${encodeURIComponent(order.id)}/${suffix}?${query}`;
+}
+
+export function createSseOrderFeed(baseUrl) {
+  return {
+    open({ order, since }, { onOpen, onEvent, onError }) {
+      const source = new EventSource(ordersUrl(baseUrl, order, "events", since));
+      source.onopen = onOpen;
+      source.addEventListener("status", (e) => onEvent(JSON.parse(e.data)));
+      // EventSource retries on its own at a fixed rate; the tracker owns backoff instead.
+      source.onerror = () => {
+        source.close();
+        onError(new Error("Event stream disconnected"));
+      };
+      return () => source.close();
+    },
+    poll({ order, since }) {
+      return fetchJson(ordersUrl(baseUrl, order, "history", since));
+    }
+  };
+}
+
+export function createWebSocketOrderFeed(baseUrl) {
+  const wsBase = baseUrl.replace(/^http/, "ws");
+  return {
+    open({ order, since }, { onOpen, onEvent, onError }) {
+      const socket = new WebSocket(ordersUrl(wsBase, order, "ws", since));
+      let closedByUs = false;
+      socket.onopen = onOpen;
+      socket.onmessage = (e) => onEvent(JSON.parse(e.data));
+      socket.onclose = () => {
+        if (!closedByUs) onError(new Error("Socket closed"));
+      };
+      return () => {
+        closedByUs = true;
+        socket.close();
+      };
+    },
+    poll({ order, since }) {
+      return fetchJson(ordersUrl(baseUrl, order, "history", since));
+    }
+  };
+}
+
+function createDefaultFeed() {
+  const baseUrl = ORDER_EVENTS_URL || API_BASE_URL;
+  if (!baseUrl) return createMockOrderFeed();
+  return ORDER_EVENTS_TRANSPORT === "ws" ? createWebSocketOrderFeed(baseUrl) : createSseOrderFeed(baseUrl);
+}
+
+export const orderFeed = createDefaultFeed();
+
+// Keeps one order's stream alive with jittered backoff, polling as well after POLL_AFTER_FAILURES failures.
+export function createOrderTracker({ feed, getOrder, onEvent, onConnection }) {
+  let stopped = false;
+  let close = null;
+  let retryTimer = null;
+  let pollTimer = null;
+  // Bumped whenever polling stops, so a tick still waiting on the old loop's poll doesn't reschedule.
+  let pollLoop = 0;
+  let failures = 0;
+
+  const cursor = () => ({ order: getOrder(), since: getOrder()?.lastSeq || 0 });
+
+  function startPolling() {
+    if (pollTimer || stopped) return;
+    onConnection("polling");
+    const loop = pollLoop;
+    const tick = async () => {
+      try {
+        const events = await feed.poll(cursor());
+        if (!stopped) events.forEach(onEvent);
+      } catch {
+        // Keep polling; the next tick may get through.
+      }
+      if (!stopped && loop === pollLoop) pollTimer = setTimeout(tick, POLL_INTERVAL_MS);
+    };
+    pollTimer = setTimeout(tick, 0);
+  }
+
+  function stopPolling() {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+    pollLoop += 1;
+  }
+
+  function connect() {
+    clearTimeout(retryTimer);
+    if (stopped) return;
+    if (!feed.open) {
+      startPolling();
+      return;
+    }
+    if (!pollTimer) onConnection(failures ? "reconnecting" : "connecting");
+    close?.();
+    close = feed.open(cursor(), {
+      onOpen() {
+        failures = 0;
+        stopPolling();
+        onConnection("live");
+      },
+      onEvent(e) {
+        if (!stopped) onEvent(e);
+      },
+      onError() {
+        close?.();
+        close = null;
+        scheduleReconnect();
+      }
+    });
+  }
+
+  function scheduleReconnect() {
+    if (stopped) return;
+    failures += 1;
+    if (failures >= POLL_AFTER_FAILURES) startPolling();
+    else onConnection("reconnecting");
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** (failures - 1));
+    retryTimer = setTimeout(connect, delay * (0.5 + Math.random() / 2));
+  }
+
+  // Coming back online is a better signal than any backoff timer.
+  const onOnline = () => {
+    if (!close) connect();
+  };
+
+  return {
+    start() {
+      window.addEventListener("online", onOnline);
+      connect();
+    },
+    stop() {
+      stopped = true;
+      window.removeEventListener("online", onOnline);
+      clearTimeout(retryTimer);
+      stopPolling();
+      close?.();
+    }
+  };
+}
+
+// Tracks every order in `orders` not yet in a final status. Returns { [orderId]: connection state }.
+export function useOrderTracking(orders, onEvent, feed = orderFeed) {
+  const [connections, setConnections] = useState({});
+  const ordersRef = useRef(orders);
+  const onEventRef = useRef(onEvent);
+  const trackers = useRef(new Map());
+  ordersRef.current = orders;
+  onEventRef.current = onEvent;
+
+  const activeIds = orders
+    .filter((o) => !isFinalStatus(o.status))
+    .map((o) => o.id)
+    .join(",");
+
+  useEffect(() => {
+    const wanted = new Set(activeIds ? activeIds.split(",") : []);
+    trackers.current.forEach((tracker, id) => {
+      if (wanted.has(id)) return;
+      tracker.stop();
+      trackers.current.delete(id);
+    });
+    wanted.forEach((id) => {
+      if (trackers.current.has(id)) return;
+      const tracker = createOrderTracker({
+        feed,
+        getOrder: () => ordersRef.current.find((o) => o.id === id),
+        onEvent: (e) => onEventRef.current(e),
+        onConnection: (state) => setConnections((c) => (c[id] === state ? c : { ...c, [id]: state }))
+      });
+      trackers.current.set(id, tracker);
+      tracker.start();
+    });
+  }, [activeIds, feed]);
+
+  useEffect(() => {
+    const running = trackers.current;
+    return () => {
+      running.forEach((tracker) => tracker.stop());
+      running.clear();
+    };
+  }, []);
+
+  return connections;
+}
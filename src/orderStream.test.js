@@ -0,0 +1,87 @@
+import { applyOrderEvent, createOrderTracker } from "./orderStream";
+
+const order = {
+  id: "CN-1",
+  status: "PREPARING",
+  statusAt: 1000,
+  lastSeq: 3,
+  timeline: { PLACED: 100, ACCEPTED: 500, PREPARING: 1000 }
+};
+
+const event = (seq, status, at, extra) => ({ id: `e${seq}`, orderId: "CN-1", seq, status, at, ...extra });
+
+test("applies the next event", () => {
+  const next = applyOrderEvent(order, event(4, "READY", 2000));
+  expect(next).toMatchObject({ status: "READY", statusAt: 2000, lastSeq: 4 });
+  expect(next.timeline).toEqual({ ...order.timeline, READY: 2000 });
+});
+
+test("ignores events for other orders", () => {
+  expect(applyOrderEvent(order, { ...event(4, "READY", 2000), orderId: "CN-2" })).toBe(order);
+});
+
+test("returns the same order for a duplicate", () => {
+  expect(applyOrderEvent(order, event(3, "PREPARING", 1000))).toBe(order);
+});
+
+test("a stale event only fills in the timeline", () => {
+  const next = applyOrderEvent({ ...order, timeline: { PLACED: 100 } }, event(2, "ACCEPTED", 500));
+  expect(next).toMatchObject({ status: "PREPARING", statusAt: 1000, lastSeq: 3 });
+  expect(next.timeline).toEqual({ PLACED: 100, ACCEPTED: 500 });
+});
+
+test("a stale event fills in a missing compartment but never replaces one", () => {
+  expect(applyOrderEvent(order, event(3, "PREPARING", 1000, { compartment: 2 })).compartment).toBe(2);
+  expect(applyOrderEvent({ ...order, compartment: 1 }, event(3, "PREPARING", 1000, { compartment: 2 })).compartment).toBe(1);
+});
+
+test("a newer event wins even if events in between never arrived", () => {
+  expect(applyOrderEvent(order, event(6, "IN_FLIGHT", 4000))).toMatchObject({ status: "IN_FLIGHT", statusAt: 4000, lastSeq: 6 });
+});
+
+test("telemetry repeating the status keeps statusAt and records the position", () => {
+  const flying = { ...order, status: "IN_FLIGHT", statusAt: 4000, lastSeq: 6, timeline: { IN_FLIGHT: 4000 } };
+  const next = applyOrderEvent(flying, event(7, "IN_FLIGHT", 4500, { position: { lat: 1, lng: 2 } }));
+  expect(next).toMatchObject({ statusAt: 4000, lastSeq: 7, position: { lat: 1, lng: 2, at: 4500 } });
+  expect(next.timeline).toBe(flying.timeline);
+});
+
+test("polling that stops and restarts mid-poll runs a single loop", async () => {
+  jest.useFakeTimers();
+  const polls = [];
+  let stream = null;
+  const feed = {
+    open: (cursor, handlers) => {
+      stream = handlers;
+      return () => {};
+    },
+    poll: () => new Promise((resolve) => polls.push(resolve))
+  };
+  const tracker = createOrderTracker({ feed, getOrder: () => order, onEvent: () => {}, onConnection: () => {} });
+  const failTwice = () => {
+    stream.onError();
+    jest.advanceTimersByTime(30000);
+    stream.onError();
+  };
+
+  tracker.start();
+  failTwice();
+  jest.advanceTimersByTime(0);
+  expect(polls).toHaveLength(1);
+
+  // The stream comes back and drops again while that first poll is still out.
+  jest.advanceTimersByTime(30000);
+  stream.onOpen();
+  failTwice();
+  jest.advanceTimersByTime(0);
+  expect(polls).toHaveLength(2);
+
+  polls.forEach((resolve) => resolve([]));
+  await Promise.resolve();
+  await Promise.resolve();
+  jest.advanceTimersByTime(5000);
+  expect(polls).toHaveLength(3);
+
+  tracker.stop();
+  jest.useRealTimers();
+});
@@ -0,0 +1,99 @@
+import { useEffect, useSyncExternalStore } from "react";
+import { isFinalStatus } from "./orderStream";
+import { loadItem, removeItem, saveItem, watchItems } from "./storage";
+
+// A user's orders on this device, newest first, under "orders:<userId>". Tabs merge each other's saves (mergeOrders).
+
+const HISTORY_TTL = 30 * 24 * 60 * 60 * 1000;
+const MAX_ORDERS = 50;
+const NO_ORDERS = [];
+
+export function isActiveOrder(order) {
+  return !isFinalStatus(order.status);
+}
+
+// Edits that don't come with a status event (collectedAt, late timeline entries) survive from either copy.
+function mergeOrder(winner, other) {
+  const collectedAt = winner.collectedAt || other.collectedAt;
+  const backfilled = Object.keys(other.timeline || {}).some((status) => !winner.timeline?.[status]);
+  if (collectedAt === winner.collectedAt && !backfilled) return winner;
+  return { ...winner, timeline: { ...other.timeline, ...winner.timeline }, ...(collectedAt ? { collectedAt } : null) };
+}
+
+// Both lists as one, newest first: each order keeps the status of the copy that saw more events, and both copies' local edits.
+export function mergeOrders(ours, theirs) {
+  const byId = new Map(theirs.map((o) => [o.id, o]));
+  ours.forEach((o) => {
+    const other = byId.get(o.id);
+    if (!other) byId.set(o.id, o);
+    else if ((o.lastSeq || 0) >= (other.lastSeq || 0)) byId.set(o.id, mergeOrder(o, other));
+    else byId.set(o.id, mergeOrder(other, o));
+  });
+  return [...byId.values()].sort((a, b) => b.placedAt - a.placedAt);
+}
+
+export function createOrderStore() {
+  const listeners = new Set();
+  const byUser = new Map(); // userId → orders, loaded on first use
+  const notify = () => listeners.forEach((l) => l());
+
+  // Another tab saved orders for a user this tab has loaded.
+  watchItems((key) => {
+    const userId = key.startsWith("orders:") ? key.slice("orders:".length) : null;
+    if (!byUser.has(userId)) return;
+    byUser.set(userId, mergeOrders(byUser.get(userId), loadItem(key, NO_ORDERS)));
+    notify();
+  });
+
+  function getOrders(userId) {
+    if (!userId) return NO_ORDERS;
+    if (!byUser.has(userId)) byUser.set(userId, loadItem(`orders:${userId}`, NO_ORDERS));
+    return byUser.get(userId);
+  }
+
+  function save(userId, next) {
+    const cutoff = Date.now() - HISTORY_TTL;
+    const orders = mergeOrders(next, loadItem(`orders:${userId}`, NO_ORDERS))
+      .filter((o) => isActiveOrder(o) || o.placedAt > cutoff)
+      .slice(0, MAX_ORDERS);
+    byUser.set(userId, orders);
+    saveItem(`orders:${userId}`, orders, { ttl: HISTORY_TTL });
+    notify();
+  }
+
+  return {
+    getOrders,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    add(userId, order) {
+      save(userId, [order, ...getOrders(userId).filter((o) => o.id !== order.id)]);
+    },
+    // Before this store there was a single "order" entry; it belongs to whoever signs in next.
+    claimLegacyOrder(userId) {
+      const legacy = loadItem("order");
+      if (!legacy) return;
+      removeItem("order");
+      save(userId, [legacy, ...getOrders(userId).filter((o) => o.id !== legacy.id)]);
+    },
+    // fn(order) → order; returning the same object is a no-op.
+    update(userId, orderId, fn) {
+      const orders = getOrders(userId);
+      const current = orders.find((o) => o.id === orderId);
+      if (!current) return;
+      const next = fn(current);
+      if (next !== current) save(userId, orders.map((o) => (o.id === orderId ? next : o)));
+    }
+  };
+}
+
+export const orderStore = createOrderStore();
+
+// The user's orders, newest first ([] when signed out).
+export function useOrders(userId, store = orderStore) {
+  useEffect(() => {
+    if (userId) store.claimLegacyOrder(userId);
+  }, [store, userId]);
+  return useSyncExternalStore(store.subscribe, () => store.getOrders(userId));
+}
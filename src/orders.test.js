@@ -0,0 +1,39 @@
+import { createOrderStore, mergeOrders } from "./orders";
+import { loadItem, saveItem } from "./storage";
+
+const order = (id, placedAt, extra) => ({ id, placedAt, status: "PLACED", lastSeq: 1, timeline: { PLACED: placedAt }, ...extra });
+
+test("merges by id, newest first", () => {
+  const merged = mergeOrders([order("a", 100)], [order("b", 200), order("a", 100)]);
+  expect(merged.map((o) => o.id)).toEqual(["b", "a"]);
+});
+
+test("keeps the copy that has seen the most status events", () => {
+  const behind = order("a", 100);
+  const ahead = order("a", 100, { status: "ACCEPTED", lastSeq: 2, timeline: { PLACED: 100, ACCEPTED: 150 } });
+  expect(mergeOrders([behind], [ahead])[0]).toBe(ahead);
+  expect(mergeOrders([ahead], [behind])[0]).toBe(ahead);
+});
+
+test("a stale copy does not undo a pickup", () => {
+  const delivered = order("a", 100, { status: "DELIVERED", lastSeq: 8 });
+  const collected = { ...delivered, collectedAt: 900 };
+  expect(mergeOrders([delivered], [collected])[0].collectedAt).toBe(900);
+  expect(mergeOrders([collected], [delivered])[0].collectedAt).toBe(900);
+});
+
+test("keeps timeline entries either copy backfilled", () => {
+  const ours = order("a", 100, { status: "READY", lastSeq: 4, timeline: { PLACED: 100, READY: 400 } });
+  const theirs = order("a", 100, { status: "READY", lastSeq: 4, timeline: { PLACED: 100, ACCEPTED: 200 } });
+  expect(mergeOrders([ours], [theirs])[0]).toMatchObject({ status: "READY", timeline: { PLACED: 100, ACCEPTED: 200, READY: 400 } });
+});
+
+test("the legacy single order goes to the next user to sign in, on claim only", () => {
+  const store = createOrderStore();
+  saveItem("order", order("old", 100));
+  expect(store.getOrders("+15550100")).toEqual([]);
+  expect(loadItem("order")).not.toBeNull();
+  store.claimLegacyOrder("+15550100");
+  expect(store.getOrders("+15550100").map((o) => o.id)).toEqual(["old"]);
+  expect(loadItem("order")).toBeNull();
+});
@@ -0,0 +1,70 @@
+// Phone numbers, stored and sent in E.164 ("+13175550123") and typed as a national number for one of COUNTRIES.
+
+export const COUNTRIES = [
+  { code: "US", dial: "1", lengths: [10], pattern: "(###) ###-####", valid: /^[2-9]\d{2}[2-9]/ },
+  { code: "CA", dial: "1", lengths: [10], pattern: "(###) ###-####", valid: /^[2-9]\d{2}[2-9]/ },
+  { code: "MX", dial: "52", lengths: [10], pattern: "## #### ####" },
+  { code: "ES", dial: "34", lengths: [9], pattern: "### ## ## ##", valid: /^[6-9]/ },
+  { code: "GB", dial: "44", lengths: [10], pattern: "#### ######", trunk: "0", valid: /^7/ },
+  { code: "DE", dial: "49", lengths: [10, 11], pattern: "### ########", trunk: "0", valid: /^1/ },
+  { code: "IN", dial: "91", lengths: [10], pattern: "##### #####", valid: /^[6-9]/ }
+];
+
+export function findCountry(code) {
+  return COUNTRIES.find((c) => c.code === code) || COUNTRIES[0];
+}
+
+// The country for a locale like "es-MX", falling back to the first entry.
+export function countryForLocale(locale) {
+  const region = String(locale || "").split("-")[1]?.toUpperCase();
+  return findCountry(region).code;
+}
+
+// Digits of a national number as typed, without a trunk prefix and capped at the longest valid length.
+export function nationalDigits(country, input) {
+  let digits = String(input || "").replace(/\D/g, "");
+  if (country.trunk && digits.startsWith(country.trunk)) digits = digits.slice(country.trunk.length);
+  return digits.slice(0, Math.max(...country.lengths));
+}
+
+// Formats as far as the digits go, so it can run on every keystroke: "31755" → "(317) 55".
+export function formatNational(country, digits) {
+  let out = "";
+  let i = 0;
+  for (const ch of country.pattern) {
+    if (i >= digits.length) break;
+    if (ch === "#") out += digits[i++];
+    else out += ch;
+  }
+  return out + digits.slice(i);
+}
+
+export function isValidNational(country, digits) {
+  return country.lengths.includes(digits.length) && (!country.valid || country.valid.test(digits));
+}
+
+export function toE164(country, digits) {
+  return `+${country.dial}${digits}`;
+}
+
+// Splits an E.164 number into { country, digits }; 10 bare digits (saved before E.164) read as US.
+export function parseE164(phone) {
+  const raw = String(phone || "");
+  if (!raw.startsWith("+")) return { country: findCountry("US"), digits: raw.replace(/\D/g, "") };
+  const all = raw.slice(1).replace(/\D/g, "");
+  const country = COUNTRIES.filter((c) => all.startsWith(c.dial)).sort((a, b) => b.dial.length - a.dial.length)[0];
+  return country ? { country, digits: all.slice(country.dial.length) } : { country: null, digits: all };
+}
+
+// Any stored or backend form of a number as E.164, e.g. "3175550123" → "+13175550123".
+export function normalizePhone(phone) {
+  const { country, digits } = parseE164(phone);
+  return country ? toE164(country, digits) : `+${digits}`;
+}
+
+// "+13175550123" → "+1 (317) 555-0123"
+export function formatPhone(phone) {
+  const { country, digits } = parseE164(phone);
+  if (!country) return `+${digits}`;
+  return `+${country.dial} ${formatNational(country, digits)}`;
+}
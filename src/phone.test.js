@@ -0,0 +1,11 @@
+import { formatPhone, normalizePhone } from "./phone";
+
+test("normalizePhone stores every form of a number as E.164", () => {
+  expect(normalizePhone("3175550123")).toBe("+13175550123");
+  expect(normalizePhone("+1 (317) 555-0123")).toBe("+13175550123");
+  expect(normalizePhone("+13175550123")).toBe("+13175550123");
+});
+
+test("formatPhone groups the national number", () => {
+  expect(formatPhone("+13175550123")).toBe("+1 (317) 555-0123");
+});
@@ -0,0 +1,78 @@
+import { buildDeepLink } from "./deepLink";
+import { toQrSvg } from "./qr";
+
+// Printable US Letter SVG posters (100 units to the inch) with a destination's name and deep link QR code.
+
+const WIDTH = 850;
+const HEIGHT = 1100;
+const QR_SIZE = 420;
+const QR_TOP = 380;
+const FONT = "Helvetica, Arial, sans-serif";
+
+const XML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+const escapeXml = (text) => String(text ?? "").replace(/[&<>"']/g, (c) => XML_ESCAPES[c]);
+
+// One poster per location, plus one per Arrive Point that preselects it.
+export function posterTargets(locations) {
+  return locations.flatMap((location) => [
+    { key: location.id, location, arrivePoint: null },
+    ...location.arrivePoints.map((arrivePoint) => ({ key: `${location.id}/${arrivePoint.id}`, location, arrivePoint }))
+  ]);
+}
+
+export function posterFilename({ location, arrivePoint }) {
+  return `poster-${location.id}${arrivePoint ? `-${arrivePoint.id}` : ""}.svg`;
+}
+
+// The poster SVG for a target from posterTargets, worded with `t`.
+export async function renderPoster({ location, arrivePoint }, { t, origin = window.location.origin }) {
+  const link = buildDeepLink({ locationId: location.id, arrivePointId: arrivePoint?.id }, origin);
+  // High error correction: posters get scuffed and photographed at an angle.
+  const qr = await toQrSvg(link, { margin: 0, errorCorrectionLevel: "Q" });
+  const placedQr = qr.replace("<svg ", `<svg x="${(WIDTH - QR_SIZE) / 2}" y="${QR_TOP}" width="${QR_SIZE}" height="${QR_SIZE}" `);
+
+  const title = location.name;
+  const subtitle = arrivePoint ? arrivePoint.label : location.subtitle;
+  // Shrink long names so they stay on one line.
+  const titleSize = Math.min(64, Math.floor(1500 / Math.max(title.length, 1)));
+  const steps = [
+    t("poster.step.scan"),
+    t("poster.step.signIn"),
+    arrivePoint ? t("poster.step.orderTo", { arrivePoint: arrivePoint.id }) : t("poster.step.order"),
+    t("poster.step.unlock")
+  ];
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="8.5in" height="11in" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="${FONT}">`,
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="#ffffff"/>`,
+    `<rect width="${WIDTH}" height="140" fill="#111827"/>`,
+    `<text x="60" y="88" font-size="40" font-weight="800" fill="#ffffff">${escapeXml(t("topbar.title"))}</text>`,
+    arrivePoint
+      ? `<text x="${WIDTH - 60}" y="88" font-size="40" font-weight="800" fill="#ffffff" text-anchor="end">${escapeXml(arrivePoint.id)}</text>`
+      : "",
+    `<text x="${WIDTH / 2}" y="240" font-size="${titleSize}" font-weight="800" fill="#111827" text-anchor="middle">${escapeXml(title)}</text>`,
+    subtitle ? `<text x="${WIDTH / 2}" y="295" font-size="30" fill="#4b5563" text-anchor="middle">${escapeXml(subtitle)}</text>` : "",
+    `<text x="${WIDTH / 2}" y="355" font-size="28" font-weight="700" fill="#111827" text-anchor="middle">${escapeXml(t("poster.scan"))}</text>`,
+    placedQr,
+    ...steps.map(
+      (step, i) =>
+        `<text x="90" y="${QR_TOP + QR_SIZE + 80 + i * 42}" font-size="24" fill="#111827"><tspan font-weight="800">${i + 1}.</tspan> ${escapeXml(step)}</text>`
+    ),
+    `<text x="${WIDTH / 2}" y="${HEIGHT - 40}" font-size="18" fill="#6b7280" text-anchor="middle">${escapeXml(
+      t("poster.orVisit", { link: link.replace(/^https?:\/\//, "") })
+    )}</text>`,
+    "</svg>"
+  ].join("\n");
+}
+
+export function downloadSvg(filename, svg) {
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Revoking straight away can cancel the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
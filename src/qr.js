@@ -0,0 +1,35 @@
+import { useEffect, useState } from "react";
+import QRCode from "qrcode";
+
+/**
+ * QR rendering. Codes are SVG so they stay sharp on phone screens and in print.
+ */
+
+export function toQrSvg(text, { margin = 2, errorCorrectionLevel = "M" } = {}) {
+  return QRCode.toString(text, { type: "svg", margin, errorCorrectionLevel });
+}
+
+export function svgDataUrl(svg) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// Data URL of the QR for `text`, or null while it renders (or when text is empty).
+export function useQrDataUrl(text) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!text) {
+      setUrl(null);
+      return;
+    }
+    let cancelled = false;
+    toQrSvg(text).then((svg) => {
+      if (!cancelled) setUrl(svgDataUrl(svg));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [text]);
+
+  return url;
+}
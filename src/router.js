@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Minimal history router.
+ * Routes are { screen, path } where path segments starting with ":" are params,
+ * e.g. { screen: "TRACKING", path: "/orders/:orderId/track" }.
+ * The current route is { screen, params, matched, state }: matched is false when
+ * the URL fit no route (screen is then the fallback), and state is whatever was
+ * passed to navigate(), kept in history.state so it survives back/forward.
+ * Route paths are relative to BASENAME.
+ */
+
+// The app's root when it is deployed under a subpath (PUBLIC_URL), e.g. "/delivery"; "" at the domain root.
+export const BASENAME = new URL(`${process.env.PUBLIC_URL}/`, window.location.origin).pathname.replace(/\/$/, "");
+
+// The current URL's path within the app, for matchRoute.
+export function currentPath() {
+  const path = window.location.pathname;
+  return path === BASENAME || path.startsWith(`${BASENAME}/`) ? path.slice(BASENAME.length) || "/" : path;
+}
+
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
+}
+
+export function matchRoute(routes, pathname) {
+  const parts = splitPath(pathname);
+  for (const route of routes) {
+    const pattern = splitPath(route.path);
+    if (pattern.length !== parts.length) continue;
+
+    const params = {};
+    const ok = pattern.every((seg, i) => {
+      if (seg.startsWith(":")) {
+        // A malformed escape (e.g. "%E0") is a URL no route can match, not a crash.
+        try {
+          params[seg.slice(1)] = decodeURIComponent(parts[i]);
+        } catch {
+          return false;
+        }
+        return true;
+      }
+      return seg === parts[i];
+    });
+    if (ok) return { screen: route.screen, params };
+  }
+  return null;
+}
+
+export function buildPath(routes, screen, params = {}) {
+  const route = routes.find((r) => r.screen === screen);
+  if (!route) throw new Error(`No route for screen ${screen}`);
+  const path = splitPath(route.path).map((seg) => {
+    if (!seg.startsWith(":")) return seg;
+    const value = params[seg.slice(1)];
+    if (value == null || value === "") throw new Error(`Missing param ${seg} for ${screen}`);
+    return encodeURIComponent(value);
+  });
+  return `${BASENAME}/${path.join("/")}`;
+}
+
+function readLocation(routes, fallback) {
+  const match = matchRoute(routes, currentPath());
+  return {
+    ...(match || { screen: fallback, params: {} }),
+    matched: Boolean(match),
+    state: window.history.state?.route || null
+  };
+}
+
+export function useHistoryRoute(routes, fallback) {
+  const [route, setRoute] = useState(() => readLocation(routes, fallback));
+
+  useEffect(() => {
+    const onPop = () => setRoute(readLocation(routes, fallback));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [routes, fallback]);
+
+  const navigate = useCallback(
+    (screen, params = {}, { replace = false, state = null } = {}) => {
+      // Query strings (QR deep links) only matter on the first load.
+      const url = buildPath(routes, screen, params);
+      const entry = { route: state };
+      if (replace) window.history.replaceState(entry, "", url);
+      else {
+        window.history.pushState(entry, "", url);
+        window.scrollTo(0, 0);
+      }
+      setRoute({ screen, params, matched: true, state });
+    },
+    [routes]
+  );
+
+  return [route, navigate];
+}
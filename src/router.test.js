@@ -0,0 +1,46 @@
+import { matchRoute } from "./router";
+
+const routes = [
+  { screen: "HOME", path: "/" },
+  { screen: "TRACKING", path: "/orders/:orderId/track" },
+  { screen: "KIOSK", path: "/kiosk/:arrivePointId" }
+];
+
+test("matches static and param routes", () => {
+  expect(matchRoute(routes, "/")).toEqual({ screen: "HOME", params: {} });
+  expect(matchRoute(routes, "/orders/CN-1/track")).toEqual({ screen: "TRACKING", params: { orderId: "CN-1" } });
+});
+
+test("ignores trailing and doubled slashes", () => {
+  expect(matchRoute(routes, "//kiosk/AP-101/")).toEqual({ screen: "KIOSK", params: { arrivePointId: "AP-101" } });
+});
+
+test("decodes params", () => {
+  expect(matchRoute(routes, "/kiosk/AP%20101").params).toEqual({ arrivePointId: "AP 101" });
+});
+
+test("returns null when no route fits", () => {
+  expect(matchRoute(routes, "/orders/CN-1")).toBeNull();
+  expect(matchRoute(routes, "/kiosks/AP-101")).toBeNull();
+});
+
+test("treats a malformed escape as no match", () => {
+  expect(matchRoute(routes, "/kiosk/%E0")).toBeNull();
+});
+
+test("routes live under the PUBLIC_URL subpath", () => {
+  const publicUrl = process.env.PUBLIC_URL;
+  process.env.PUBLIC_URL = "/delivery";
+  jest.isolateModules(() => {
+    const { BASENAME, buildPath, currentPath } = require("./router");
+    expect(BASENAME).toBe("/delivery");
+    expect(buildPath(routes, "TRACKING", { orderId: "CN-1" })).toBe("/delivery/orders/CN-1/track");
+    expect(buildPath(routes, "HOME")).toBe("/delivery/");
+    window.history.replaceState(null, "", "/delivery/kiosk/AP-101");
+    expect(matchRoute(routes, currentPath())).toEqual({ screen: "KIOSK", params: { arrivePointId: "AP-101" } });
+    window.history.replaceState(null, "", "/delivery");
+    expect(currentPath()).toBe("/");
+  });
+  process.env.PUBLIC_URL = publicUrl;
+  window.history.replaceState(null, "", "/");
+});
@@ -0,0 +1,18 @@
+// Registers public/sw.js, production builds only, with the build's id. Resolves to the registration or null.
+let registration = null;
+
+// The content hash of this build's main bundle, e.g. "fec99ff2".
+function buildId() {
+  const main = document.querySelector('script[src*="/static/js/main."]');
+  return main?.src.match(/main\.([0-9a-f]+)\.js/)?.[1] || "dev";
+}
+
+export function registerServiceWorker() {
+  if (!registration) {
+    registration =
+      process.env.NODE_ENV === "production" && "serviceWorker" in navigator
+        ? navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/sw.js?build=${buildId()}`).catch(() => null)
+        : Promise.resolve(null);
+  }
+  return registration;
+}
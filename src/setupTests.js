@@ -0,0 +1,6 @@
+// jsdom has neither Web Crypto nor the text codecs; the app uses both (see src/crypto.js).
+import { webcrypto } from "crypto";
+import { TextDecoder, TextEncoder } from "util";
+
+Object.defineProperty(window, "crypto", { value: webcrypto });
+Object.assign(global, { TextDecoder, TextEncoder });
@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Versioned localStorage: { v, savedAt, expiresAt, data } under "vp:<key>".
+ * Bump STORAGE_VERSION and add a migration when a stored shape changes.
+ */
+
+const PREFIX = "vp:";
+export const STORAGE_VERSION = 2;
+
+const MIN = 60 * 1000;
+
+// MIGRATIONS[n](data, key) upgrades data saved at version n to version n + 1.
+const MIGRATIONS = {
+  // v1 orders had eta as a bare minute count; v2 stores a fixed window.
+  1: (data, key) => {
+    if (key !== "order" || typeof data?.eta !== "number") return data;
+    const at = (data.scheduledFor || data.placedAt) + data.eta * MIN;
+    return { ...data, eta: { earliest: at - 3 * MIN, latest: at + 3 * MIN, promisedLatest: at + 3 * MIN, legs: null } };
+  }
+};
+
+function storageAvailable() {
+  try {
+    return typeof window !== "undefined" && Boolean(window.localStorage);
+  } catch {
+    // Safari private mode and some embedded webviews throw on access.
+    return false;
+  }
+}
+
+export function loadItem(key, fallback = null) {
+  if (!storageAvailable()) return fallback;
+  let entry;
+  try {
+    entry = JSON.parse(window.localStorage.getItem(PREFIX + key));
+  } catch {
+    entry = null;
+  }
+  if (!entry || typeof entry !== "object") return fallback;
+
+  if (entry.expiresAt && Date.now() > entry.expiresAt) {
+    removeItem(key);
+    return fallback;
+  }
+
+  let { v, data } = entry;
+  while (v < STORAGE_VERSION && MIGRATIONS[v]) {
+    data = MIGRATIONS[v](data, key);
+    v += 1;
+  }
+  if (v !== STORAGE_VERSION) {
+    removeItem(key);
+    return fallback;
+  }
+  return data;
+}
+
+export function saveItem(key, data, { ttl } = {}) {
+  if (!storageAvailable()) return;
+  const now = Date.now();
+  const entry = { v: STORAGE_VERSION, savedAt: now, expiresAt: ttl ? now + ttl : null, data };
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(entry));
+  } catch {
+    // Quota exceeded or storage disabled: the app keeps working from memory.
+  }
+}
+
+export function removeItem(key) {
+  if (!storageAvailable()) return;
+  try {
+    window.localStorage.removeItem(PREFIX + key);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Calls listener(key) whenever another tab writes or removes one of our keys
+ * (without the prefix). Returns a function that stops listening.
+ */
+export function watchItems(listener) {
+  if (typeof window === "undefined") return () => {};
+  const onStorage = (e) => {
+    if (e.key?.startsWith(PREFIX)) listener(e.key.slice(PREFIX.length));
+  };
+  window.addEventListener("storage", onStorage);
+  return () => window.removeEventListener("storage", onStorage);
+}
+
+// useState kept in storage. null clears it; with a ttl it expires after that long unsaved.
+export function usePersistentState(key, initial, { ttl } = {}) {
+  const [value, setValue] = useState(() => loadItem(key, initial));
+  // The rehydrated value is not written back, so a reload does not extend its ttl.
+  const saved = useRef(value);
+
+  useEffect(() => {
+    if (saved.current === value) return;
+    saved.current = value;
+    if (value === null || value === undefined) removeItem(key);
+    else saveItem(key, value, { ttl });
+  }, [key, value, ttl]);
+
+  useEffect(() => {
+    if (!ttl) return;
+    const onVisible = () => {
+      if (document.visibilityState !== "visible") return;
+      if (loadItem(key) === null) setValue(initial);
+    };
+    document.addEventListener("visibilitychange", onVisible);
+    return () => document.removeEventListener("visibilitychange", onVisible);
+  }, [key, ttl, initial]);
+
+  return [value, setValue];
+}
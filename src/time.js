@@ -0,0 +1,51 @@
+import { useEffect, useState } from "react";
+
+/**
+ * Current time that re-renders every `intervalMs`. Pass null to stop ticking.
+ */
+export function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (intervalMs == null) return;
+    setNow(Date.now());
+    const t = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(t);
+  }, [intervalMs]);
+
+  return now;
+}
+
+// 83000 → "1:23". Negative durations clamp to "0:00".
+export function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+// 8100000 → "2h 15m" (en) or "2h 15min" (es), 720000 → "12m", 45000 → "45s".
+export function formatDuration(ms, locale) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const unit = (n, name) => new Intl.NumberFormat(locale, { style: "unit", unit: name, unitDisplay: "narrow" }).format(n);
+  const parts = h ? [unit(h, "hour"), m ? unit(m, "minute") : null] : [m ? unit(m, "minute") : unit(total, "second")];
+  return new Intl.ListFormat(locale, { type: "unit", style: "narrow" }).format(parts.filter(Boolean));
+}
+
+// Date and time on this device, e.g. "Oct 19, 12:05 PM" (en) or "19 oct, 12:05" (es).
+export function formatDateTime(ts, locale) {
+  return new Date(ts).toLocaleString(locale, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+}
+
+// Wall-clock time in a given IANA zone, e.g. the campus's rather than the phone's:
+// "12:05 PM" (en) or "12:05" (es). Without a zone, the phone's.
+export function formatZonedClock(ts, timeZone, locale) {
+  return new Date(ts).toLocaleTimeString(locale, { hour: "numeric", minute: "2-digit", timeZone });
+}
+
+export function formatZonedClockRange(from, to, timeZone, locale) {
+  const clock = (ts) => formatZonedClock(ts, timeZone, locale);
+  return from === to ? clock(from) : `${clock(from)}–${clock(to)}`;
+}
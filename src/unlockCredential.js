@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { API_BASE_URL, USE_MOCK_BACKEND } from "./config";
+import { buildCredential, credentialStep } from "./credential";
+import { CREDENTIAL_ERRORS, codedError, fromHttpError } from "./errors";
+import { fetchJson } from "./http";
+import { createMockCredentialProvider } from "./mock/credentials";
+import { useOnline } from "./network";
+import { loadItem, saveItem } from "./storage";
+import { useNow } from "./time";
+
+// Unlock credential client: issueGrant({ order, session }) → grant (see src/credential.js).
+
+export function createHttpCredentialProvider(baseUrl) {
+  return {
+    issueGrant({ order, session }) {
+      return fetchJson(`${baseUrl}/orders/${encodeURIComponent(order.id)}/unlock-grant`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${session.token}` }
+      }).catch((e) => {
+        throw fromHttpError(e);
+      });
+    }
+  };
+}
+
+export const credentialProvider = USE_MOCK_BACKEND
+  ? createMockCredentialProvider()
+  : createHttpCredentialProvider(API_BASE_URL);
+
+// Grants are kept on the device so the code still works where there is no signal.
+const grantKey = (orderId) => `unlockGrant:${orderId}`;
+// Fetch a fresh grant once the saved one has less than this left, if there is a network.
+const REFRESH_MARGIN = 2 * 60 * 1000;
+
+function savedGrant(orderId) {
+  const grant = orderId ? loadItem(grantKey(orderId)) : null;
+  return grant && grant.expiresAt > Date.now() ? grant : null;
+}
+
+async function fetchGrant(provider, order, session) {
+  const grant = await provider.issueGrant({ order, session });
+  saveItem(grantKey(order.id), grant, { ttl: Math.max(0, grant.expiresAt - Date.now()) });
+  return grant;
+}
+
+// Saves a delivered order's grant ahead of time, so Unlock works where there is no signal.
+export async function prefetchUnlockGrant(order, session, provider = credentialProvider) {
+  const saved = savedGrant(order.id);
+  if (!navigator.onLine || (saved && saved.expiresAt - Date.now() > REFRESH_MARGIN)) return saved;
+  return fetchGrant(provider, order, session).catch(() => saved);
+}
+
+/**
+ * A fresh credential every step from the order's grant, saved or fetched: { status, credential, grant, error, refresh },
+ * status "loading" | "ready" | "expired" | "error".
+ */
+export function useUnlockCredential(order, session, provider = credentialProvider) {
+  const [grant, setGrant] = useState(() => savedGrant(order?.id));
+  const [credential, setCredential] = useState(null);
+  const [error, setError] = useState(null);
+  // { orderId, promise } for the fetch in progress, so order updates that land meanwhile do not start another.
+  const inflight = useRef(null);
+  const now = useNow(1000);
+  const online = useOnline();
+
+  const orderId = order?.id;
+  const delivered = order?.status === "DELIVERED";
+
+  const refresh = useCallback(() => {
+    if (inflight.current?.orderId === order?.id) return inflight.current.promise;
+    setError(null);
+    const promise = fetchGrant(provider, order, session)
+      .then(setGrant)
+      .catch((e) => {
+        // Offline with a saved grant is fine; the error only matters once that runs out.
+        const saved = savedGrant(order?.id);
+        if (saved) setGrant(saved);
+        else setError(e);
+      })
+      .finally(() => {
+        if (inflight.current?.promise === promise) inflight.current = null;
+      });
+    inflight.current = { orderId: order?.id, promise };
+    return promise;
+  }, [provider, order, session]);
+
+  const expiring = !grant || grant.expiresAt - now < REFRESH_MARGIN;
+
+  useEffect(() => {
+    if (orderId && delivered && expiring && online) refresh();
+  }, [orderId, delivered, expiring, online, refresh]);
+
+  const expired = Boolean(grant) && now >= grant.expiresAt;
+  const step = grant && !expired ? credentialStep(now, grant.stepSeconds) : null;
+
+  useEffect(() => {
+    if (step == null) {
+      setCredential(null);
+      return;
+    }
+    let cancelled = false;
+    buildCredential(grant, Date.now()).then((c) => {
+      if (!cancelled) setCredential(c);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [grant, step]);
+
+  let status = "loading";
+  if (expired) status = "expired";
+  else if (credential) status = "ready";
+  else if (!grant && error) status = "error";
+  else if (!grant && !online) status = "error";
+
+  return { status, credential, grant, error: error || (status === "error" ? OFFLINE_ERROR : null), refresh };
+}
+
+const OFFLINE_ERROR = codedError(
+  CREDENTIAL_ERRORS.OFFLINE,
+  "You are offline and this phone has no saved code yet. Connect once to get one."
+);
@@ -0,0 +1,174 @@
+import React, { createContext, useContext, useEffect, useState } from "react";
+
+/**
+ * Mobile viewport tracking.
+ * 100vh on iOS Safari and Android Chrome is the height with the browser chrome
+ * collapsed, so anything pinned to the bottom of the page ends up under the
+ * toolbar or the on-screen keyboard. The provider measures the real visible
+ * area and publishes it as CSS custom properties on <html>:
+ *
+ *   --app-height         dynamic viewport height (100dvh fallback)
+ *   --app-small-height   smallest viewport height seen (100svh fallback)
+ *   --keyboard-inset     space covered by the on-screen keyboard
+ *   --safe-top/right/bottom/left   env(safe-area-inset-*) as resolved px
+ */
+
+const KEYBOARD_THRESHOLD = 120;
+
+const DEFAULT_VIEWPORT = {
+  width: 0,
+  height: 0,
+  keyboardInset: 0,
+  keyboardOpen: false,
+  orientation: "portrait",
+  safeArea: { top: 0, right: 0, bottom: 0, left: 0 }
+};
+
+const ViewportContext = createContext(DEFAULT_VIEWPORT);
+
+function supportsUnit(unit) {
+  return typeof CSS !== "undefined" && CSS.supports && CSS.supports("height", `100${unit}`);
+}
+
+function readOrientation() {
+  const type = window.screen?.orientation?.type;
+  if (type) return type.startsWith("landscape") ? "landscape" : "portrait";
+  return window.matchMedia("(orientation: landscape)").matches ? "landscape" : "portrait";
+}
+
+// env() can only be resolved by the style engine, so read it back off a hidden probe.
+function createSafeAreaProbe() {
+  const probe = document.createElement("div");
+  probe.setAttribute("aria-hidden", "true");
+  probe.style.cssText =
+    "position:fixed;visibility:hidden;pointer-events:none;top:0;left:0;" +
+    "padding:env(safe-area-inset-top,0px) env(safe-area-inset-right,0px) env(safe-area-inset-bottom,0px) env(safe-area-inset-left,0px);";
+  document.body.appendChild(probe);
+  return probe;
+}
+
+function readSafeArea(probe) {
+  const cs = window.getComputedStyle(probe);
+  return {
+    top: parseFloat(cs.paddingTop) || 0,
+    right: parseFloat(cs.paddingRight) || 0,
+    bottom: parseFloat(cs.paddingBottom) || 0,
+    left: parseFloat(cs.paddingLeft) || 0
+  };
+}
+
+function measure(probe) {
+  const vv = window.visualViewport;
+  const height = window.innerHeight;
+  const visualHeight = vv ? vv.height : height;
+  const offsetTop = vv ? vv.offsetTop : 0;
+  // Whatever the layout viewport has below the visual viewport is keyboard (or an accessory bar).
+  const keyboardInset = Math.max(0, Math.round(height - visualHeight - offsetTop));
+
+  return {
+    width: window.innerWidth,
+    height,
+    keyboardInset,
+    keyboardOpen: keyboardInset > KEYBOARD_THRESHOLD,
+    orientation: readOrientation(),
+    safeArea: readSafeArea(probe)
+  };
+}
+
+// Viewport scrolls fire constantly and rarely change any of this; skip re-rendering the app for them.
+function sameViewport(a, b) {
+  return (
+    a.width === b.width &&
+    a.height === b.height &&
+    a.keyboardInset === b.keyboardInset &&
+    a.keyboardOpen === b.keyboardOpen &&
+    a.orientation === b.orientation &&
+    ["top", "right", "bottom", "left"].every((side) => a.safeArea[side] === b.safeArea[side])
+  );
+}
+
+function publish(vp, smallHeight) {
+  const s = document.documentElement.style;
+  if (!supportsUnit("dvh")) s.setProperty("--app-height", `${vp.height}px`);
+  if (!supportsUnit("svh")) s.setProperty("--app-small-height", `${smallHeight}px`);
+  s.setProperty("--keyboard-inset", `${vp.keyboardInset}px`);
+  s.setProperty("--safe-top", `${vp.safeArea.top}px`);
+  s.setProperty("--safe-right", `${vp.safeArea.right}px`);
+  s.setProperty("--safe-bottom", `${vp.safeArea.bottom}px`);
+  s.setProperty("--safe-left", `${vp.safeArea.left}px`);
+  document.documentElement.dataset.keyboard = vp.keyboardOpen ? "open" : "closed";
+  document.documentElement.dataset.orientation = vp.orientation;
+}
+
+export function ViewportProvider({ children }) {
+  const [viewport, setViewport] = useState(DEFAULT_VIEWPORT);
+
+  useEffect(() => {
+    const probe = createSafeAreaProbe();
+    const vv = window.visualViewport;
+    // Small viewport height is tracked per orientation, and only while the keyboard is closed.
+    const smallest = {};
+    let frame = 0;
+    // The field last scrolled above the keyboard, so it is only done once per field.
+    let revealed = null;
+
+    const update = () => {
+      frame = 0;
+      const next = measure(probe);
+      if (!next.keyboardOpen) {
+        const prev = smallest[next.orientation];
+        smallest[next.orientation] = prev ? Math.min(prev, next.height) : next.height;
+      }
+      publish(next, smallest[next.orientation] || next.height);
+      setViewport((prev) => (sameViewport(prev, next) ? prev : next));
+
+      // Bring the focused field above the keyboard when the keyboard opens or focus
+      // moves to another field, but not on every viewport scroll: that would fight
+      // the user's own scrolling, and the scroll it causes would land back here.
+      const el = document.activeElement;
+      const field = el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA") ? el : null;
+      if (!next.keyboardOpen) revealed = null;
+      else if (field && field !== revealed) {
+        revealed = field;
+        const reduce = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+        field.scrollIntoView({ block: "center", behavior: reduce ? "auto" : "smooth" });
+      }
+    };
+
+    const schedule = () => {
+      if (!frame) frame = window.requestAnimationFrame(update);
+    };
+
+    // orientationchange fires before the new size is known on iOS, so measure again shortly after.
+    let orientationTimer;
+    const onOrientation = () => {
+      schedule();
+      clearTimeout(orientationTimer);
+      orientationTimer = setTimeout(schedule, 350);
+    };
+
+    update();
+    window.addEventListener("resize", schedule);
+    window.addEventListener("orientationchange", onOrientation);
+    vv?.addEventListener("resize", schedule);
+    vv?.addEventListener("scroll", schedule);
+    document.addEventListener("focusin", schedule);
+
+    return () => {
+      window.cancelAnimationFrame(frame);
+      clearTimeout(orientationTimer);
+      window.removeEventListener("resize", schedule);
+      window.removeEventListener("orientationchange", onOrientation);
+      vv?.removeEventListener("resize", schedule);
+      vv?.removeEventListener("scroll", schedule);
+      document.removeEventListener("focusin", schedule);
+      probe.remove();
+    };
+  }, []);
+
+  return <ViewportContext.Provider value={viewport}>{children}</ViewportContext.Provider>;
+}
+
+export function useViewport() {
+  return useContext(ViewportContext);
+}
@@ -0,0 +1,160 @@
+import { useMemo } from "react";
+import { useNow } from "./time";
+
+/**
+ * Delivery windows: { id, label, hours: "11:00 AM to 2:00 PM", days? } in the campus time zone, turned into
+ * [start, end) epoch ranges.
+ */
+
+const TIME_RE = /^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i;
+
+function parseTime(text) {
+  const m = TIME_RE.exec(text.trim());
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  const ampm = m[3]?.[0].toLowerCase();
+  if (ampm === "p" && h < 12) h += 12;
+  if (ampm === "a" && h === 12) h = 0;
+  if (h > 24 || min > 59) return null;
+  return h * 60 + min;
+}
+
+// "11:00 AM to 2:00 PM" → { startMin: 660, endMin: 840 }. Overnight ranges end past 1440.
+export function parseHours(hours) {
+  const parts = String(hours || "").split(/\s*(?:to|–|-)\s*/i);
+  if (parts.length !== 2) return null;
+  const startMin = parseTime(parts[0]);
+  let endMin = parseTime(parts[1]);
+  if (startMin == null || endMin == null) return null;
+  if (endMin <= startMin) endMin += 24 * 60;
+  return { startMin, endMin };
+}
+
+const partsFormatters = new Map();
+
+function zonedParts(ts, timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric"
+      })
+    );
+  }
+  const out = {};
+  for (const p of partsFormatters.get(timeZone).formatToParts(ts)) {
+    if (p.type !== "literal") out[p.type] = Number(p.value);
+  }
+  return out;
+}
+
+function offsetAt(ts, timeZone) {
+  const p = zonedParts(ts, timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ts / 1000) * 1000;
+}
+
+// Epoch ms of `minutes` past midnight on y-m-d in `timeZone`. Settles DST edges in two passes.
+function zonedToEpoch(y, m, d, minutes, timeZone) {
+  const wall = Date.UTC(y, m - 1, d, 0, minutes);
+  let ts = wall - offsetAt(wall, timeZone);
+  const corrected = wall - offsetAt(ts, timeZone);
+  if (corrected !== ts) ts = corrected;
+  return ts;
+}
+
+// Occurrences of each window from yesterday through a week ahead, by start: { window, start, end }.
+export function windowOccurrences(windows, now, timeZone) {
+  const today = zonedParts(now, timeZone);
+  const out = [];
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const [y, m, d, weekday] = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), day.getUTCDay()];
+    for (const w of windows) {
+      const range = parseHours(w.hours);
+      if (!range || (w.days && !w.days.includes(weekday))) continue;
+      out.push({
+        window: w,
+        start: zonedToEpoch(y, m, d, range.startMin, timeZone),
+        end: zonedToEpoch(y, m, d, range.endMin, timeZone)
+      });
+    }
+  }
+  return out.sort((a, b) => a.start - b.start);
+}
+
+// { open, current, next, byId } at `now`; byId maps each window id to its current-or-next occurrence.
+export function getWindowStatus(windows, now, timeZone) {
+  const occurrences = windowOccurrences(windows, now, timeZone);
+  const current = occurrences.find((o) => o.start <= now && now < o.end) || null;
+  const next = occurrences.find((o) => o.start > now) || null;
+  const byId = {};
+  for (const o of occurrences) {
+    if (o.end > now && !byId[o.window.id]) byId[o.window.id] = o;
+  }
+  return { open: Boolean(current), current, next, byId };
+}
+
+// Window status that ticks every second, so countdowns stay live.
+export function useWindowStatus(windows, timeZone) {
+  const now = useNow(1000);
+  const status = useMemo(() => getWindowStatus(windows, now, timeZone), [windows, now, timeZone]);
+  return { ...status, now };
+}
+
+/**
+ * Slots every `stepMinutes` in the next `windowCount` occurrences, `leadMinutes` out at the earliest and passing
+ * `accept(start)`: [{ window, start, end, slots }].
+ */
+export function deliverySlots(windows, now, timeZone, { stepMinutes = 30, leadMinutes = 30, windowCount = 2, accept = () => true } = {}) {
+  const step = stepMinutes * 60 * 1000;
+  const earliest = now + leadMinutes * 60 * 1000;
+  const groups = [];
+  for (const o of windowOccurrences(windows, now, timeZone)) {
+    if (groups.length >= windowCount) break;
+    if (o.end <= earliest) continue;
+    const slots = [];
+    // Slots sit on the window's own grid, so a 11:00 window offers 11:00, 11:30, …
+    let t = o.start + Math.max(0, Math.ceil((earliest - o.start) / step)) * step;
+    for (; t < o.end; t += step) if (accept(t)) slots.push(t);
+    if (slots.length) groups.push({ ...o, slots });
+  }
+  return groups;
+}
+
+// Calendar days from `now` to `ts` in the zone: 0 today, 1 tomorrow.
+export function dayOffset(ts, now, timeZone) {
+  const a = zonedParts(ts, timeZone);
+  const b = zonedParts(now, timeZone);
+  return Math.round((Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day)) / 86400000);
+}
+
+// "Today", "Tomorrow", then the weekday, in the given locale.
+export function dayLabel(ts, now, timeZone, locale) {
+  const days = dayOffset(ts, now, timeZone);
+  if (days === 0 || days === 1) {
+    const label = new Intl.RelativeTimeFormat(locale, { numeric: "auto" }).format(days, "day");
+    return label.charAt(0).toLocaleUpperCase(locale) + label.slice(1);
+  }
+  return new Date(ts).toLocaleDateString(locale, { weekday: "long", timeZone });
+}
+
+// A window's "11:00 AM to 2:00 PM" as the locale writes it, e.g. "11:00–14:00".
+export function formatHours(hours, locale) {
+  const parsed = parseHours(hours);
+  if (!parsed) return hours;
+  const at = (min) =>
+    new Date(Date.UTC(2000, 0, 1, Math.floor(min / 60) % 24, min % 60)).toLocaleTimeString(locale, {
+      hour: "numeric",
+      minute: "2-digit",
+      timeZone: "UTC"
+    });
+  return `${at(parsed.startMin)}–${at(parsed.endMin)}`;
+}